@@ -3,21 +3,30 @@ import { Routes, Route, Navigate } from 'react-router-dom';
 import HomePage from './pages/HomePage';
 import GamePageNew from './pages/GamePageNew';
 import LeaderboardPage from './pages/LeaderboardPage';
+import ReplayPage from './pages/ReplayPage';
+import SpectatePage from './pages/SpectatePage';
+import PlayerProfilePage from './pages/PlayerProfilePage';
 import NotFoundPage from './pages/NotFoundPage';
 import { ThemeProvider } from './context/ThemeContext';
+import { AuthProvider } from './context/AuthContext';
 
 function App() {
   return (
     <ThemeProvider>
-      <div className="min-h-screen">
-        <Routes>
-          <Route path="/" element={<HomePage />} />
-          <Route path="/game/:roomCode" element={<GamePageNew />} />
-          <Route path="/leaderboard" element={<LeaderboardPage />} />
-          <Route path="/404" element={<NotFoundPage />} />
-          <Route path="*" element={<Navigate to="/404" replace />} />
-        </Routes>
-      </div>
+      <AuthProvider>
+        <div className="min-h-screen">
+          <Routes>
+            <Route path="/" element={<HomePage />} />
+            <Route path="/game/:roomCode" element={<GamePageNew />} />
+            <Route path="/spectate/:roomCode" element={<SpectatePage />} />
+            <Route path="/leaderboard" element={<LeaderboardPage />} />
+            <Route path="/replay/:matchId" element={<ReplayPage />} />
+            <Route path="/player/:username" element={<PlayerProfilePage />} />
+            <Route path="/404" element={<NotFoundPage />} />
+            <Route path="*" element={<Navigate to="/404" replace />} />
+          </Routes>
+        </div>
+      </AuthProvider>
     </ThemeProvider>
   );
 }
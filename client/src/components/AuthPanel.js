@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+
+const AuthPanel = () => {
+  const { user, login, register, logout } = useAuth();
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username || !password) {
+      toast.error('Please enter a username and password');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const account = mode === 'login'
+        ? await login(username, password)
+        : await register(username, password);
+      toast.success(mode === 'login' ? `Welcome back, ${account.username}!` : `Account created. Welcome, ${account.username}!`);
+      setPassword('');
+    } catch (error) {
+      console.error(`Error during ${mode}:`, error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Something went wrong. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (user) {
+    return (
+      <div className="flex items-center justify-between p-3 rounded-lg bg-gray-100 dark:bg-gray-700">
+        <span className="text-sm dark:text-gray-200">
+          Signed in as <span className="font-bold">{user.username}</span>
+        </span>
+        <button
+          type="button"
+          onClick={logout}
+          className="text-sm text-primary-600 hover:underline"
+        >
+          Log out
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="flex rounded-lg overflow-hidden border dark:border-gray-600" role="tablist">
+        {['login', 'register'].map(option => (
+          <button
+            key={option}
+            type="button"
+            role="tab"
+            aria-selected={mode === option}
+            onClick={() => setMode(option)}
+            className={`flex-1 py-2 text-sm font-medium ${
+              mode === option
+                ? 'bg-primary-600 text-white'
+                : 'bg-white text-gray-700 dark:bg-gray-700 dark:text-gray-300'
+            }`}
+          >
+            {option === 'login' ? 'Log In' : 'Register'}
+          </button>
+        ))}
+      </div>
+      <input
+        type="text"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+        placeholder="Username"
+        autoComplete="username"
+        className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+      />
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        placeholder="Password"
+        autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+        className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+      />
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full bg-gray-800 text-white py-2 rounded-lg font-medium hover:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-gray-500 disabled:opacity-50"
+      >
+        {isSubmitting ? 'Please wait...' : mode === 'login' ? 'Log In' : 'Create Account'}
+      </button>
+    </form>
+  );
+};
+
+export default AuthPanel;
@@ -27,10 +27,17 @@ const BingoGrid = React.memo(({
   isInteractionDisabled,
   isMyTurn,
   useEmojis = false, // New prop to toggle emoji display
-  lastMarkedNumber = null // New prop to highlight the last marked number
+  lastMarkedNumber = null, // New prop to highlight the last marked number
+  isReadOnly = false, // Render without click handling or disabled styling (e.g. replays)
+  columnHeaders = null, // Optional labels above each column (e.g. B-I-N-G-O)
+  emptyCellLabel = '', // Label for cells without a number (e.g. a free space)
+  hints = [] // Suggested numbers from the server, best first, as { number, lines }
 }) => {
   const { theme } = useContext(ThemeContext);
-  const gridSize = grid?.length || 5;
+  // Grids may be nested rows or already flat (assumed square when flat)
+  const isNested = Array.isArray(grid?.[0]);
+  const rowCount = isNested ? grid.length : Math.round(Math.sqrt(grid?.length || 25));
+  const columnCount = isNested ? grid[0].length : rowCount;
 
   const containerVariants = {
     hidden: { opacity: 0, scale: 0.9 },
@@ -55,7 +62,7 @@ const BingoGrid = React.memo(({
 
   const getCellStyle = (index) => {
     // Determine final disabled state
-    const isDisabled = isInteractionDisabled || !isMyTurn;
+    const isDisabled = !isReadOnly && (isInteractionDisabled || !isMyTurn);
 
     const baseStyle = {
       backgroundColor: theme.colors.card,
@@ -68,7 +75,7 @@ const BingoGrid = React.memo(({
       justifyContent: 'center',
       fontSize: '1.25rem',
       fontWeight: '700',
-      cursor: 'pointer',
+      cursor: isReadOnly ? 'default' : 'pointer',
       transition: 'all 0.3s ease',
       borderRadius: '0.5rem',
       padding: '0.5rem',
@@ -80,6 +87,19 @@ const BingoGrid = React.memo(({
       textShadow: '0px 0px 1px rgba(0,0,0,0.2)'
     };
 
+    // Cells without a number are a free space (labelled) or a blank (unlabelled)
+    if (flatGrid[index] === null) {
+      return {
+        ...baseStyle,
+        cursor: 'default',
+        fontSize: '0.875rem',
+        backgroundColor: emptyCellLabel ? theme.colors.primary : 'transparent',
+        color: '#FFFFFF',
+        border: emptyCellLabel ? 'none' : `2px dashed ${theme.colors.border}`,
+        opacity: emptyCellLabel ? 1 : 0.4
+      };
+    }
+
     // Check if this cell is marked
     const isMarked = Array.isArray(markedCells) && markedCells.includes(index);
 
@@ -94,6 +114,32 @@ const BingoGrid = React.memo(({
       };
     }
 
+    if (isWinningCell) {
+      return {
+        ...baseStyle,
+        backgroundColor: theme.colors.success,
+        color: '#FFFFFF',
+        fontWeight: '800',
+        transform: 'scale(1.1)',
+        boxShadow: `0 0 0 3px ${theme.colors.success}, 0 0 15px rgba(0,0,0,0.5)`,
+        textShadow: '0px 1px 3px rgba(0,0,0,0.5)',
+        // Add a more prominent inner glow effect
+        border: 'none',
+        outline: `3px solid ${theme.colors.success}`
+      };
+    }
+
+    const hintRank = hints.findIndex(hint => hint.number === flatGrid[index]);
+    if (!isMarked && hintRank !== -1) {
+      // The top suggestion gets the strongest highlight
+      return {
+        ...baseStyle,
+        border: `2px dashed ${theme.colors.accent}`,
+        boxShadow: `0 0 0 ${hintRank === 0 ? 3 : 1}px ${theme.colors.accent}`,
+        backgroundColor: `${theme.colors.accent}${hintRank === 0 ? '40' : '20'}`
+      };
+    }
+
     if (isMarked) {
       // Check if this is the last marked number for special highlighting
       const isLastMarked = lastMarkedNumber !== null && flatGrid[index] === lastMarkedNumber;
@@ -123,21 +169,6 @@ const BingoGrid = React.memo(({
       };
     }
 
-    if (isWinningCell) {
-      return {
-        ...baseStyle,
-        backgroundColor: theme.colors.success,
-        color: '#FFFFFF',
-        fontWeight: '800',
-        transform: 'scale(1.1)',
-        boxShadow: `0 0 0 3px ${theme.colors.success}, 0 0 15px rgba(0,0,0,0.5)`,
-        textShadow: '0px 1px 3px rgba(0,0,0,0.5)',
-        // Add a more prominent inner glow effect
-        border: 'none',
-        outline: `3px solid ${theme.colors.success}`
-      };
-    }
-
     return baseStyle;
   };
 
@@ -187,7 +218,7 @@ const BingoGrid = React.memo(({
   }
 
   // Create a flat version of the grid for easier handling
-  const flatGrid = Array.isArray(grid[0]) ? grid.flat() : grid;
+  const flatGrid = isNested ? grid.flat() : grid;
 
   return (
     <motion.div
@@ -196,19 +227,49 @@ const BingoGrid = React.memo(({
       animate="visible"
       className="w-full max-w-2xl mx-auto"
     >
+      {Array.isArray(columnHeaders) && (
+        <div
+          className="grid gap-2 mb-2 text-center text-xl font-extrabold"
+          style={{
+            gridTemplateColumns: `repeat(${columnCount}, minmax(0, 1fr))`,
+            width: '100%',
+            maxWidth: `${Math.round(500 * Math.min(1, columnCount / rowCount))}px`,
+            margin: '0 auto',
+            color: theme.colors.primary
+          }}
+        >
+          {columnHeaders.map((header, index) => <span key={index}>{header}</span>)}
+        </div>
+      )}
       <div
         className="grid gap-2"
         style={{
-          gridTemplateColumns: `repeat(${gridSize}, minmax(0, 1fr))`,
-          aspectRatio: '1/1',
+          gridTemplateColumns: `repeat(${columnCount}, minmax(0, 1fr))`,
+          aspectRatio: `${columnCount}/${rowCount}`,
           width: '100%',
-          maxWidth: '500px',
+          maxWidth: `${Math.round(500 * Math.min(1, columnCount / rowCount))}px`,
           margin: '0 auto'
         }}
       >
         {flatGrid.map((number, index) => {
+          if (number === null) {
+            return (
+              <motion.div
+                key={index}
+                variants={cellVariants}
+                style={getCellStyle(index)}
+                data-index={index}
+                aria-label={emptyCellLabel ? `Bingo cell ${emptyCellLabel}` : 'Empty cell'}
+                className="bingo-cell"
+              >
+                {emptyCellLabel}
+              </motion.div>
+            );
+          }
+
           // Determine final disabled state for this cell render
-          const isDisabled = isInteractionDisabled || !isMyTurn;
+          const isDisabled = isReadOnly || isInteractionDisabled || !isMyTurn;
+          const hint = hints.find(h => h.number === number);
           return (
             <motion.button
               key={index}
@@ -221,7 +282,7 @@ const BingoGrid = React.memo(({
               data-index={index}
               aria-disabled={isDisabled}
               aria-label={`Bingo cell ${number}`}
-              title={isMyTurn ? 'Click to mark this number' : 'Wait for your turn'}
+              title={isReadOnly ? undefined : hint ? `Hint: advances ${hint.lines.length} ${hint.lines.length === 1 ? 'line' : 'lines'}` : isMyTurn ? 'Click to mark this number' : 'Wait for your turn'}
               className={`bingo-cell ${markedCells.includes(index) ? 'bingo-cell-marked' : ''} ${lastMarkedNumber === number ? 'bingo-cell-last-marked' : ''}`}
             >
               {getCellContent(number)}
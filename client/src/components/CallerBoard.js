@@ -0,0 +1,67 @@
+import React from 'react';
+import { useTheme } from '../context/ThemeContext';
+import { GAME_MODES, BINGO_75_LETTERS, getMaxBall } from '../utils/gameModes';
+
+// 75-ball numbers are called with their column letter (B 1-15 ... O 61-75)
+const getBallLabel = (number, mode) => (
+  mode === GAME_MODES.BINGO_75 ? `${BINGO_75_LETTERS[Math.floor((number - 1) / 15)]} ${number}` : `${number}`
+);
+
+const CallerBoard = ({ mode, calledNumbers = [], lastCalled = null }) => {
+  const { theme } = useTheme();
+  const maxBall = getMaxBall(mode);
+  const called = new Set(calledNumbers);
+
+  // 75-ball boards have one row per letter; 90-ball boards run in tens
+  const rowLength = mode === GAME_MODES.BINGO_75 ? 15 : 10;
+  const rows = Array.from({ length: Math.ceil(maxBall / rowLength) }, (_, row) =>
+    Array.from({ length: rowLength }, (_, col) => row * rowLength + col + 1).filter(n => n <= maxBall)
+  );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <div
+          className="w-20 h-20 rounded-full flex items-center justify-center text-2xl font-extrabold shadow-lg"
+          style={{ backgroundColor: theme.colors.accent, color: '#ffffff' }}
+          aria-live="polite"
+          aria-label={lastCalled ? `Last number called: ${getBallLabel(lastCalled, mode)}` : 'Waiting for the first number'}
+        >
+          {lastCalled ? getBallLabel(lastCalled, mode) : '—'}
+        </div>
+        <p className="text-sm opacity-70">
+          {calledNumbers.length} of {maxBall} called
+        </p>
+      </div>
+
+      <div className="space-y-1">
+        {rows.map((numbers, rowIndex) => (
+          <div key={rowIndex} className="flex items-center gap-1">
+            {mode === GAME_MODES.BINGO_75 && (
+              <span className="w-5 text-center font-bold" style={{ color: theme.colors.primary }}>
+                {BINGO_75_LETTERS[rowIndex]}
+              </span>
+            )}
+            {numbers.map(number => (
+              <span
+                key={number}
+                className="flex-1 text-center rounded text-xs py-0.5"
+                style={{
+                  backgroundColor: number === lastCalled
+                    ? theme.colors.accent
+                    : called.has(number) ? theme.colors.primary : 'transparent',
+                  color: called.has(number) ? '#ffffff' : theme.colors.text,
+                  opacity: called.has(number) ? 1 : 0.4
+                }}
+              >
+                {number}
+              </span>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CallerBoard;
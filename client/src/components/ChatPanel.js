@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MAX_MESSAGE_LENGTH } from '../utils/chat';
+
+// Collapsible room chat pinned to the corner of the game page.
+// While collapsed it counts the messages that arrived since it was last open.
+const ChatPanel = ({ messages = [], onSend, currentPlayerId, theme }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [seenCount, setSeenCount] = useState(messages.length);
+  const listRef = useRef(null);
+
+  const unread = isOpen ? 0 : Math.max(messages.length - seenCount, 0);
+
+  // Keep the newest message in view and mark everything read while open
+  useEffect(() => {
+    if (isOpen) {
+      setSeenCount(messages.length);
+      if (listRef.current) {
+        listRef.current.scrollTop = listRef.current.scrollHeight;
+      }
+    }
+  }, [isOpen, messages.length]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+
+    onSend(text);
+    setDraft('');
+  };
+
+  return (
+    <div className="fixed bottom-4 left-4 z-40 w-72 max-w-[calc(100vw-2rem)]">
+      {isOpen && (
+        <div
+          className="mb-2 rounded-xl shadow-lg flex flex-col"
+          style={{
+            backgroundColor: theme.colors.card,
+            border: `2px solid ${theme.colors.border}`,
+            color: theme.colors.text
+          }}
+        >
+          <div
+            ref={listRef}
+            className="h-64 overflow-y-auto p-3 space-y-2 text-sm"
+            aria-live="polite"
+          >
+            {messages.length === 0 && (
+              <p className="opacity-70 text-center mt-8">No messages yet. Say hello!</p>
+            )}
+            {messages.map(message => (
+              <div key={message.id}>
+                <span
+                  className="font-semibold mr-1"
+                  style={{ color: message.playerId === currentPlayerId ? theme.colors.primary : theme.colors.text }}
+                >
+                  {message.username}:
+                </span>
+                <span className="break-words">{message.text}</span>
+              </div>
+            ))}
+          </div>
+          <form onSubmit={handleSubmit} className="flex p-2 space-x-2" style={{ borderTop: `1px solid ${theme.colors.border}` }}>
+            <input
+              type="text"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              maxLength={MAX_MESSAGE_LENGTH}
+              placeholder="Type a message..."
+              aria-label="Chat message"
+              className="flex-1 min-w-0 p-2 rounded-lg text-sm"
+              style={{
+                backgroundColor: theme.colors.background,
+                color: theme.colors.text,
+                border: `1px solid ${theme.colors.border}`
+              }}
+            />
+            <button
+              type="submit"
+              disabled={!draft.trim()}
+              className="px-3 py-2 rounded-lg text-sm font-medium disabled:opacity-50"
+              style={{ backgroundColor: theme.colors.primary, color: '#ffffff' }}
+            >
+              Send
+            </button>
+          </form>
+        </div>
+      )}
+
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="px-4 py-2 rounded-full shadow-lg text-sm font-medium"
+        style={{ backgroundColor: theme.colors.primary, color: '#ffffff' }}
+        aria-expanded={isOpen}
+      >
+        {isOpen ? 'Hide Chat' : 'Chat'}
+        {unread > 0 && (
+          <span
+            className="ml-2 px-2 py-0.5 rounded-full text-xs"
+            style={{ backgroundColor: theme.colors.accent }}
+          >
+            {unread}
+          </span>
+        )}
+      </button>
+    </div>
+  );
+};
+
+export default ChatPanel;
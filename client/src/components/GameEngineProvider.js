@@ -1,7 +1,14 @@
 import React, { createContext, useContext, useEffect, useState, useRef } from 'react';
 import BingoGameEngine from '../utils/gameEngine';
+import { isCallerMode } from '../utils/gameModes';
+import { describePenalty, getPenaltyLabel } from '../utils/claims';
+import { REACTION_DURATION } from '../utils/chat';
+import { createClockSync } from '../utils/clockSync';
 import { toast } from 'react-hot-toast';
 
+// How long past a turn's deadline before the game is treated as stuck, in milliseconds
+const STUCK_TURN_GRACE = 5000;
+
 // Create context
 const GameEngineContext = createContext(null);
 
@@ -29,10 +36,36 @@ export const GameEngineProvider = ({ children, socket, roomCode, username }) =>
     gameStarted: false,
     winner: null,
     winningLines: [],
+    matchId: null,
+    settings: {},
     isMyTurn: false,
     offlineMode: false
   });
 
+  // Move suggestions for the current turn, best first
+  const [hints, setHints] = useState([]);
+
+  // Every player's completed-line count, keyed by player id
+  const [lineProgress, setLineProgress] = useState({});
+
+  // How many people are watching the room
+  const [spectatorCount, setSpectatorCount] = useState(0);
+
+  // Who has opted in to a rematch, and whose vote is still needed
+  const [rematchVotes, setRematchVotes] = useState({ votes: [], needed: [] });
+
+  // Round wins so far when the room is playing a series
+  const [series, setSeries] = useState(null);
+
+  // Room chat, oldest first, and the reactions currently floating over the board
+  const [chatMessages, setChatMessages] = useState([]);
+  const [reactions, setReactions] = useState([]);
+
+  // When the current turn times out (server time), and this device's offset from the server clock
+  const [turnDeadline, setTurnDeadline] = useState(null);
+  const [clockOffset, setClockOffset] = useState(0);
+  const clockSyncRef = useRef(createClockSync());
+
   // State for connection status
   const [connectionStatus, setConnectionStatus] = useState({
     connected: socket.connected,
@@ -67,14 +100,8 @@ export const GameEngineProvider = ({ children, socket, roomCode, username }) =>
         toast(`${playerName}'s turn`);
       }
 
-      // Try to notify server about turn change
-      if (socket.connected && turnData.isMyTurn) {
-        try {
-          socket.emit('end-turn', { roomCode });
-        } catch (e) {
-          console.error('[GameEngineProvider] Error notifying server about turn change:', e);
-        }
-      }
+      // The server ends turns itself (when a number is marked or the deadline passes),
+      // so there's nothing to tell it here
     };
 
     gameEngineRef.current.onNumberMarked = (markData) => {
@@ -145,9 +172,48 @@ export const GameEngineProvider = ({ children, socket, roomCode, username }) =>
     };
 
     // Handle game state updates from server
+    // Keep the turn deadline on the engine too, so the stuck-game check can read it
+    const updateTurnDeadline = (deadline) => {
+      const value = typeof deadline === 'number' ? deadline : null;
+      gameEngineRef.current.turnDeadline = value;
+      setTurnDeadline(value);
+    };
+
+    // Handle the server's reply to a ping, which carries its clock
+    const handlePong = (data) => {
+      clockSyncRef.current.addSample(data);
+      setClockOffset(clockSyncRef.current.getOffset());
+    };
+
     const handleGameState = (data) => {
       console.log('[GameEngineProvider] Received game state from server:', data);
       gameEngineRef.current.updateFromServer(data);
+      if (Array.isArray(data?.chatHistory)) setChatMessages(data.chatHistory);
+      if (data && 'turnDeadline' in data) updateTurnDeadline(data.turnDeadline);
+    };
+
+    // Handle joining the room (grid, players and room settings)
+    const handleJoinedRoom = (data) => {
+      console.log('[GameEngineProvider] Joined room:', data);
+      const markedNumbers = data.markedNumbers || [];
+      const flatGrid = (data.grid || []).flat();
+      gameEngineRef.current.updateFromServer({
+        grid: data.grid,
+        players: data.players,
+        gameStarted: data.gameStarted,
+        settings: data.settings,
+        markedNumbers,
+        markedCells: markedNumbers.map(number => flatGrid.indexOf(number)).filter(index => index !== -1)
+      });
+      setSpectatorCount(data.spectatorCount || 0);
+      setChatMessages(data.chatHistory || []);
+      updateTurnDeadline(data.turnDeadline);
+    };
+
+    // Handle the host changing room settings in the lobby
+    const handleRoomSettingsUpdated = (settings) => {
+      console.log('[GameEngineProvider] Room settings updated:', settings);
+      gameEngineRef.current.updateFromServer({ settings });
     };
 
     // Handle grid assignment
@@ -160,6 +226,9 @@ export const GameEngineProvider = ({ children, socket, roomCode, username }) =>
     const handleNumberMarked = (data) => {
       console.log('[GameEngineProvider] Number marked event:', data);
 
+      // Suggestions are only good for the turn they were asked for
+      setHints([]);
+
       // Update marked numbers in game engine
       if (gameEngineRef.current) {
         const { number, markedBy } = data;
@@ -181,9 +250,131 @@ export const GameEngineProvider = ({ children, socket, roomCode, username }) =>
       }
     };
 
+    // Handle a number drawn by the caller (caller-mode rooms)
+    const handleNumberCalled = (data) => {
+      console.log('[GameEngineProvider] Number called event:', data);
+
+      if (gameEngineRef.current) {
+        const cellIndex = gameEngineRef.current.findCellIndex(data.number);
+
+        gameEngineRef.current.markedNumbers.add(data.number);
+        if (cellIndex !== -1) {
+          gameEngineRef.current.markedCells.add(cellIndex);
+        }
+        gameEngineRef.current.lastMarkedNumber = data.number;
+        gameEngineRef.current.lastTurnChangeTime = Date.now();
+
+        gameEngineRef.current.notifyStateChange();
+      }
+    };
+
+    // Handle the caller running out of numbers
+    const handleCallerFinished = () => {
+      toast('Every number has been called. Claim Bingo if your card has won!');
+    };
+
+    // Handle a Bingo claim the server couldn't verify
+    const handleClaimRejected = (data) => {
+      const callerMode = isCallerMode(gameEngineRef.current?.settings.mode);
+      const penaltyText = data?.penalty ? ` Penalty: ${getPenaltyLabel(data.penalty, callerMode)}` : '';
+      toast.error(`${data?.message || 'Your Bingo claim could not be verified'}.${penaltyText}`);
+    };
+
+    // Handle the outcome of any player's Bingo claim
+    const handleBingoClaimed = (data) => {
+      console.log('[GameEngineProvider] Bingo claimed event:', data);
+      const { player, valid, penalty } = data;
+
+      if (gameEngineRef.current) {
+        // Keep scores current after a point deduction
+        gameEngineRef.current.players = gameEngineRef.current.players.map(p =>
+          p.id === player.id ? { ...p, score: player.score } : p
+        );
+        gameEngineRef.current.notifyStateChange();
+      }
+
+      if (valid) {
+        toast.success(`${player.username} called Bingo!`);
+      } else if (player.id !== socket.id) {
+        // The claimant hears about their own false claim through claim-rejected
+        const callerMode = isCallerMode(gameEngineRef.current?.settings.mode);
+        toast(`${player.username} made a false claim and ${describePenalty(penalty, callerMode)}`, { icon: '🚫' });
+      }
+    };
+
+    // Handle a player sitting out their turn as a penalty or after running out of time
+    const handleTurnSkipped = (data) => {
+      const name = data.player?.id === socket.id ? 'You' : data.player?.username;
+      const reason = data.reason === 'timeout' ? 'ran out of time' : 'skipped a turn for a false Bingo claim';
+      toast(`${name} ${reason}`, { icon: '⏭️' });
+    };
+
+    // Handle a player forfeiting after too many timeouts in a row
+    const handlePlayerForfeited = (data) => {
+      const { player, timeouts } = data;
+
+      if (gameEngineRef.current) {
+        gameEngineRef.current.players = gameEngineRef.current.players.map(p =>
+          p.id === player.id ? { ...p, forfeited: true } : p
+        );
+        gameEngineRef.current.notifyStateChange();
+      }
+
+      const name = player.id === socket.id ? 'You' : player.username;
+      toast(`${name} forfeited after ${timeouts} ${timeouts === 1 ? 'timeout' : 'timeouts'} in a row`, { icon: '🏳️' });
+    };
+
+    // Handle the server's per-player line counts after each number
+    const handleLineProgress = (data) => {
+      setLineProgress(Object.fromEntries((data?.players || []).map(({ id, ...progress }) => [id, progress])));
+    };
+
+    // Handle a chat message from anyone in the room
+    const handleChatMessage = (message) => {
+      setChatMessages(prev => [...prev, message]);
+    };
+
+    // Handle a reaction, removing it once it has floated away
+    const handleReaction = (reaction) => {
+      const floating = { ...reaction, offset: 10 + Math.random() * 80 };
+      setReactions(prev => [...prev, floating]);
+      setTimeout(() => {
+        setReactions(prev => prev.filter(r => r.id !== floating.id));
+      }, REACTION_DURATION);
+    };
+
+    const handleChatError = (data) => {
+      toast.error(data?.message || 'Message not sent');
+    };
+
+    // Handle the rematch vote changing after a game
+    const handleRematchVotes = (data) => {
+      setRematchVotes({ votes: data?.votes || [], needed: data?.needed || [] });
+    };
+
+    // Handle spectators arriving or leaving
+    const handleSpectatorsUpdated = (data) => {
+      setSpectatorCount(data?.count || 0);
+    };
+
+    // Handle move suggestions for the local player's turn
+    const handleHintSuggestions = (data) => {
+      console.log('[GameEngineProvider] Hint suggestions:', data);
+      const suggestions = data?.suggestions || [];
+      setHints(suggestions);
+
+      if (suggestions.length === 0) {
+        toast('No suggestions for this turn');
+      }
+    };
+
     // Handle turn changed
     const handleTurnChanged = (data) => {
       console.log('[GameEngineProvider] Turn changed event:', data);
+      setHints([]);
+
+      // A new deadline arrives with every turn, even when the same player goes again
+      updateTurnDeadline(data.deadline);
 
       // Update current turn in game engine
       if (gameEngineRef.current) {
@@ -209,11 +400,19 @@ export const GameEngineProvider = ({ children, socket, roomCode, username }) =>
     // Handle game won
     const handleGameWon = (data) => {
       console.log('[GameEngineProvider] Game won event:', data);
+      setSeries(data.series || null);
+      updateTurnDeadline(null);
 
       // Update game state in game engine
       if (gameEngineRef.current) {
         gameEngineRef.current.winner = data.player;
         gameEngineRef.current.winningLines = data.lines || [];
+
+        // The winner's running room score goes up
+        gameEngineRef.current.players = gameEngineRef.current.players.map(p =>
+          p.id === data.player?.id ? { ...p, score: data.player.score } : p
+        );
+        gameEngineRef.current.matchId = data.matchId || null;
         gameEngineRef.current.gameStarted = false;
 
         // Notify state change
@@ -224,11 +423,27 @@ export const GameEngineProvider = ({ children, socket, roomCode, username }) =>
     // Handle game started
     const handleGameStarted = (data) => {
       console.log('[GameEngineProvider] Game started event:', data);
+      setHints([]);
+      updateTurnDeadline(null);
+      setRematchVotes({ votes: [], needed: [] });
+      setSeries(data.series || null);
+
+      if (data.round > 1) {
+        toast.success(`Rematch! Round ${data.round}`);
+      }
 
       // Update game state in game engine
       if (gameEngineRef.current) {
         gameEngineRef.current.gameStarted = true;
 
+        // Every game, including a rematch, starts from a clean card
+        gameEngineRef.current.markedNumbers = new Set();
+        gameEngineRef.current.markedCells = new Set();
+        gameEngineRef.current.lastMarkedNumber = null;
+        gameEngineRef.current.winner = null;
+        gameEngineRef.current.winningLines = [];
+        gameEngineRef.current.matchId = null;
+
         // Update grid if provided
         if (data.grid) {
           gameEngineRef.current.grid = data.grid;
@@ -289,41 +504,60 @@ export const GameEngineProvider = ({ children, socket, roomCode, username }) =>
     socket.on('connect', handleConnect);
     socket.on('disconnect', handleDisconnect);
     socket.on('game-state', handleGameState);
+    socket.on('joined-room', handleJoinedRoom);
+    socket.on('room-settings-updated', handleRoomSettingsUpdated);
     socket.on('assign-grid', handleGridAssigned);
+    socket.on('grid-assigned', handleGridAssigned);
     socket.on('number-marked', handleNumberMarked);
+    socket.on('number-called', handleNumberCalled);
+    socket.on('caller-finished', handleCallerFinished);
+    socket.on('claim-rejected', handleClaimRejected);
+    socket.on('bingo-claimed', handleBingoClaimed);
+    socket.on('turn-skipped', handleTurnSkipped);
+    socket.on('player-forfeited', handlePlayerForfeited);
+    socket.on('hint-suggestions', handleHintSuggestions);
+    socket.on('line-progress', handleLineProgress);
+    socket.on('spectators-updated', handleSpectatorsUpdated);
+    socket.on('rematch-votes', handleRematchVotes);
+    socket.on('chat-message', handleChatMessage);
+    socket.on('reaction', handleReaction);
+    socket.on('chat-error', handleChatError);
     socket.on('turn-changed', handleTurnChanged);
     socket.on('game-won', handleGameWon);
     socket.on('game-started', handleGameStarted);
     socket.on('player-joined', handlePlayerJoined);
     socket.on('player-left', handlePlayerLeft);
+    socket.on('pong', handlePong);
 
-    // Set up ping/pong for connection monitoring
-    const pingInterval = setInterval(() => {
+    // Set up ping/pong for connection monitoring and clock sync
+    const sendPing = () => {
       if (socket.connected) {
-        socket.emit('ping');
+        socket.emit('ping', { clientTime: Date.now() });
         setConnectionStatus(prev => ({
           ...prev,
           lastActivity: Date.now()
         }));
       }
-    }, 5000);
+    };
+    sendPing();
+    const pingInterval = setInterval(sendPing, 5000);
 
     // Set up game state check
     const gameStateCheckInterval = setInterval(() => {
       if (!gameEngineRef.current) return;
 
-      const now = Date.now();
-      const lastTurnTime = gameEngineRef.current.lastTurnChangeTime;
+      // Caller-mode rooms have no turns to get stuck on, and untimed turns can take as long as they like
+      const { turnDeadline: deadline, settings } = gameEngineRef.current;
+      if (isCallerMode(settings.mode) || !deadline) return;
 
-      // If it's been more than 20 seconds since the last turn change
-      if (now - lastTurnTime > 20000 && gameEngineRef.current.gameStarted) {
-        console.warn('[GameEngineProvider] Game appears to be stuck. Forcing turn change...');
+      // If the server's deadline passed a while ago and no new turn has arrived
+      const serverNow = Date.now() + clockSyncRef.current.getOffset();
+      if (serverNow - deadline > STUCK_TURN_GRACE && gameEngineRef.current.gameStarted) {
+        console.warn('[GameEngineProvider] Game appears to be stuck.');
 
-        // Force a turn change
-        gameEngineRef.current.forceTurnChange();
-
-        // If we're not connected to the server, enable offline mode
+        // The server moves turns on by itself, so only take over when we've lost it
         if (!socket.connected) {
+          gameEngineRef.current.forceTurnChange();
           gameEngineRef.current.enableOfflineMode();
           toast.error('Connection lost. Continuing in offline mode.');
         }
@@ -335,13 +569,30 @@ export const GameEngineProvider = ({ children, socket, roomCode, username }) =>
       socket.off('connect', handleConnect);
       socket.off('disconnect', handleDisconnect);
       socket.off('game-state', handleGameState);
+      socket.off('joined-room', handleJoinedRoom);
+      socket.off('room-settings-updated', handleRoomSettingsUpdated);
       socket.off('assign-grid', handleGridAssigned);
+      socket.off('grid-assigned', handleGridAssigned);
       socket.off('number-marked', handleNumberMarked);
+      socket.off('number-called', handleNumberCalled);
+      socket.off('caller-finished', handleCallerFinished);
+      socket.off('claim-rejected', handleClaimRejected);
+      socket.off('bingo-claimed', handleBingoClaimed);
+      socket.off('turn-skipped', handleTurnSkipped);
+      socket.off('player-forfeited', handlePlayerForfeited);
+      socket.off('hint-suggestions', handleHintSuggestions);
+      socket.off('line-progress', handleLineProgress);
+      socket.off('spectators-updated', handleSpectatorsUpdated);
+      socket.off('rematch-votes', handleRematchVotes);
+      socket.off('chat-message', handleChatMessage);
+      socket.off('reaction', handleReaction);
+      socket.off('chat-error', handleChatError);
       socket.off('turn-changed', handleTurnChanged);
       socket.off('game-won', handleGameWon);
       socket.off('game-started', handleGameStarted);
       socket.off('player-joined', handlePlayerJoined);
       socket.off('player-left', handlePlayerLeft);
+      socket.off('pong', handlePong);
 
       clearInterval(pingInterval);
       clearInterval(gameStateCheckInterval);
@@ -356,6 +607,29 @@ export const GameEngineProvider = ({ children, socket, roomCode, username }) =>
     // Connection status
     connectionStatus,
 
+    // Move suggestions for the current turn
+    hints,
+
+    // Completed-line counts for every player
+    lineProgress,
+
+    // Number of people watching
+    spectatorCount,
+
+    // Rematch vote after a game ends
+    rematchVotes,
+
+    // Series scoreboard, or null for single games
+    series,
+
+    // Room chat and floating reactions
+    chatMessages,
+    reactions,
+
+    // Server time the current turn runs out (null for untimed turns), and the local clock's offset from it
+    turnDeadline,
+    clockOffset,
+
     // Methods
     markNumber: (number) => {
       if (gameEngineRef.current) {
@@ -384,6 +658,44 @@ export const GameEngineProvider = ({ children, socket, roomCode, username }) =>
       }
     },
 
+    requestHint: () => {
+      if (socket.connected) {
+        socket.emit('request-hint', { roomCode });
+      } else {
+        toast.error('Cannot get a hint: not connected to server');
+      }
+    },
+
+    sendChatMessage: (text) => {
+      if (socket.connected) {
+        socket.emit('chat-message', { roomCode, text });
+      } else {
+        toast.error('Cannot send message: not connected to server');
+      }
+    },
+
+    sendReaction: (emoji) => {
+      if (socket.connected) {
+        socket.emit('send-reaction', { roomCode, emoji });
+      }
+    },
+
+    voteRematch: () => {
+      if (socket.connected) {
+        socket.emit('vote-rematch', { roomCode });
+      } else {
+        toast.error('Cannot vote for a rematch: not connected to server');
+      }
+    },
+
+    claimBingo: () => {
+      if (socket.connected) {
+        socket.emit('claim-bingo', { roomCode });
+      } else {
+        toast.error('Cannot claim Bingo: not connected to server');
+      }
+    },
+
     requestGameState: () => {
       if (socket.connected) {
         socket.emit('request-game-state', { roomCode });
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { getSpectatePath } from '../utils/roomAccess';
+
+// Shown when someone opens a room link without a username yet
+const JoinRoomForm = ({ roomCode, invite, onSubmit, theme }) => {
+  const [name, setName] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    onSubmit(trimmed);
+  };
+
+  return (
+    <div
+      className="min-h-screen flex items-center justify-center p-4"
+      style={{ backgroundColor: theme.colors.background, color: theme.colors.text }}
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm rounded-xl p-6 shadow-lg"
+        style={{ backgroundColor: theme.colors.card, border: `2px solid ${theme.colors.border}` }}
+      >
+        <h2 className="text-2xl font-semibold mb-2">Join room {roomCode}</h2>
+        <p className="text-sm opacity-70 mb-4">
+          Pick a name to play as. Guest games don't count towards the leaderboard.
+        </p>
+
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Enter your name"
+          aria-label="Your name"
+          autoFocus
+          className="w-full p-3 rounded-lg mb-4"
+          style={{
+            backgroundColor: theme.colors.background,
+            color: theme.colors.text,
+            border: `1px solid ${theme.colors.border}`
+          }}
+        />
+
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="w-full px-4 py-2 rounded-lg font-medium mb-3 disabled:opacity-50"
+          style={{ backgroundColor: theme.colors.primary, color: '#ffffff' }}
+        >
+          Join Game
+        </button>
+
+        <div className="flex justify-between text-sm">
+          <Link to="/" className="opacity-70 hover:opacity-100">Back to home</Link>
+          <Link to={getSpectatePath(roomCode, invite)} className="opacity-70 hover:opacity-100">Just watch</Link>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default JoinRoomForm;
@@ -0,0 +1,50 @@
+import React from 'react';
+
+const LETTERS = ['B', 'I', 'N', 'G', 'O'];
+
+// Strikes through B-I-N-G-O as a player completes lines, like marking a paper card.
+// When a room needs more or fewer than five lines, letters are struck in proportion.
+// Rooms won by patterns send patternSize/closestPattern instead, and letters are struck
+// as the player's closest pattern fills in.
+const LineProgress = ({ linesCompleted = 0, linesToWin = 5, closestLine = null, patternSize, closestPattern }) => {
+  const patternRoom = patternSize !== undefined;
+
+  let struck;
+  let summary;
+  let title;
+  if (patternRoom) {
+    const covered = closestPattern === null ? 0 : patternSize - closestPattern;
+    struck = Math.min(LETTERS.length, Math.floor((covered * LETTERS.length) / Math.max(patternSize, 1)));
+    summary = closestPattern === null
+      ? 'No win pattern'
+      : closestPattern === 0 ? 'Win pattern complete' : `${closestPattern} more for a win pattern`;
+    title = summary;
+  } else {
+    struck = Math.min(LETTERS.length, Math.floor((linesCompleted * LETTERS.length) / Math.max(linesToWin, 1)));
+    summary = `${linesCompleted} of ${linesToWin} ${linesToWin === 1 ? 'line' : 'lines'}`;
+    title = closestLine ? `${summary} · closest line needs ${closestLine} more` : summary;
+  }
+
+  return (
+    <span
+      className="inline-flex items-center space-x-0.5 font-mono text-sm font-bold"
+      title={title}
+      aria-label={summary}
+    >
+      {LETTERS.map((letter, index) => (
+        <span
+          key={letter}
+          style={{
+            textDecoration: index < struck ? 'line-through' : 'none',
+            textDecorationThickness: '2px',
+            opacity: index < struck ? 1 : 0.4
+          }}
+        >
+          {letter}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+export default LineProgress;
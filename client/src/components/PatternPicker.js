@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { useTheme } from '../context/ThemeContext';
+import { getPatternLibrary, CUSTOM_PATTERN_ID } from '../utils/patterns';
+
+// Small read-only preview of a pattern
+const PatternPreview = ({ rows, cols, cells, color, emptyColor }) => {
+  const filled = new Set(cells.map(([row, col]) => `${row},${col}`));
+
+  return (
+    <div
+      className="grid gap-px mx-auto"
+      style={{ gridTemplateColumns: `repeat(${cols}, 8px)`, width: 'fit-content' }}
+    >
+      {Array.from({ length: rows * cols }, (_, index) => {
+        const row = Math.floor(index / cols);
+        const col = index % cols;
+        return (
+          <div
+            key={index}
+            style={{
+              width: 8,
+              height: 8,
+              backgroundColor: filled.has(`${row},${col}`) ? color : emptyColor
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+};
+
+const PatternPicker = ({ gridSize = '5x5', winPatterns = [], customPattern = null, canEdit = false, onChange }) => {
+  const { theme } = useTheme();
+  const [rows, cols] = gridSize.split('x').map(Number);
+  const library = getPatternLibrary(gridSize);
+
+  // The host draws on a local copy and saves it in one go
+  const [draft, setDraft] = useState(customPattern || []);
+  useEffect(() => {
+    setDraft(customPattern || []);
+  }, [customPattern]);
+
+  const selected = new Set(winPatterns);
+  const draftKeys = new Set(draft.map(([row, col]) => `${row},${col}`));
+
+  const togglePattern = (id) => {
+    if (!canEdit) return;
+    const next = selected.has(id)
+      ? winPatterns.filter(patternId => patternId !== id)
+      : [...winPatterns, id];
+    onChange({ winPatterns: next, customPattern });
+  };
+
+  const toggleDraftCell = (row, col) => {
+    const key = `${row},${col}`;
+    setDraft(prev => (draftKeys.has(key)
+      ? prev.filter(([r, c]) => `${r},${c}` !== key)
+      : [...prev, [row, col]]));
+  };
+
+  const saveCustomPattern = () => {
+    const withoutCustom = winPatterns.filter(id => id !== CUSTOM_PATTERN_ID);
+    onChange({
+      winPatterns: draft.length > 0 ? [...withoutCustom, CUSTOM_PATTERN_ID] : withoutCustom,
+      customPattern: draft.length > 0 ? draft : null
+    });
+  };
+
+  const cardStyle = (isSelected) => ({
+    backgroundColor: isSelected ? `${theme.colors.primary}20` : `${theme.colors.background}80`,
+    border: `2px solid ${isSelected ? theme.colors.primary : theme.colors.border}`,
+    cursor: canEdit ? 'pointer' : 'default'
+  });
+
+  return (
+    <div>
+      <p className="text-sm opacity-70 mb-3">
+        {winPatterns.length > 0
+          ? 'Complete any selected pattern to win.'
+          : 'No patterns selected - completing lines wins.'}
+      </p>
+
+      <div className="grid grid-cols-3 sm:grid-cols-4 gap-2 mb-4">
+        {library.map(pattern => (
+          <button
+            key={pattern.id}
+            type="button"
+            onClick={() => togglePattern(pattern.id)}
+            disabled={!canEdit}
+            aria-pressed={selected.has(pattern.id)}
+            className="p-2 rounded-lg text-xs font-medium flex flex-col items-center space-y-1"
+            style={cardStyle(selected.has(pattern.id))}
+          >
+            <PatternPreview
+              rows={rows}
+              cols={cols}
+              cells={pattern.cells}
+              color={theme.colors.primary}
+              emptyColor={theme.colors.border}
+            />
+            <span>{pattern.name}</span>
+          </button>
+        ))}
+        {customPattern && (
+          <button
+            type="button"
+            onClick={() => togglePattern(CUSTOM_PATTERN_ID)}
+            disabled={!canEdit}
+            aria-pressed={selected.has(CUSTOM_PATTERN_ID)}
+            className="p-2 rounded-lg text-xs font-medium flex flex-col items-center space-y-1"
+            style={cardStyle(selected.has(CUSTOM_PATTERN_ID))}
+          >
+            <PatternPreview
+              rows={rows}
+              cols={cols}
+              cells={customPattern}
+              color={theme.colors.accent}
+              emptyColor={theme.colors.border}
+            />
+            <span>Custom</span>
+          </button>
+        )}
+      </div>
+
+      {/* Custom pattern editor (host only) */}
+      {canEdit && (
+        <div>
+          <h4 className="text-sm font-medium mb-2">Draw a custom pattern</h4>
+          <div
+            className="grid gap-1 mb-3"
+            style={{ gridTemplateColumns: `repeat(${cols}, minmax(0, 1fr))`, maxWidth: `${cols * 32}px` }}
+          >
+            {Array.from({ length: rows * cols }, (_, index) => {
+              const row = Math.floor(index / cols);
+              const col = index % cols;
+              const isFilled = draftKeys.has(`${row},${col}`);
+              return (
+                <button
+                  key={index}
+                  type="button"
+                  onClick={() => toggleDraftCell(row, col)}
+                  aria-label={`Row ${row + 1}, column ${col + 1}`}
+                  aria-pressed={isFilled}
+                  className="rounded"
+                  style={{
+                    aspectRatio: '1/1',
+                    backgroundColor: isFilled ? theme.colors.accent : theme.colors.card,
+                    border: `1px solid ${theme.colors.border}`
+                  }}
+                />
+              );
+            })}
+          </div>
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={saveCustomPattern}
+              className="px-3 py-1 rounded-md text-sm font-medium"
+              style={{ backgroundColor: theme.colors.accent, color: '#ffffff' }}
+            >
+              {draft.length > 0 ? 'Use Custom Pattern' : 'Remove Custom Pattern'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setDraft([])}
+              className="px-3 py-1 rounded-md text-sm font-medium"
+              style={{ border: `1px solid ${theme.colors.border}` }}
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PatternPicker;
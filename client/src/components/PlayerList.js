@@ -1,7 +1,9 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
+import LineProgress from './LineProgress';
 
-const PlayerList = ({ players, currentTurn, username, theme }) => {
+const PlayerList = ({ players, currentTurn, username, theme, hostUsername, lineProgress = {} }) => {
   // Animation variants
   const listVariants = {
     hidden: { opacity: 0 },
@@ -40,26 +42,51 @@ const PlayerList = ({ players, currentTurn, username, theme }) => {
           }}
         >
           <div className="flex items-center">
-            <span className="font-medium">{player.username}</span>
+            {player.isBot ? (
+              <span className="font-medium">{player.username}</span>
+            ) : (
+              <Link
+                to={`/player/${encodeURIComponent(player.username)}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="font-medium hover:underline"
+              >
+                {player.username}
+              </Link>
+            )}
             {player.username === username && (
               <span className="ml-2 text-xs opacity-70">(You)</span>
             )}
-            {index === 0 && (
+            {(hostUsername ? player.username === hostUsername : index === 0) && (
               <span className="ml-2 text-xs opacity-70">(Host)</span>
             )}
+            {player.isBot ? (
+              <span className="ml-2 text-xs opacity-70">(Bot)</span>
+            ) : player.guest && (
+              <span className="ml-2 text-xs opacity-70">(Guest)</span>
+            )}
+            {player.forfeited && (
+              <span className="ml-2 text-xs opacity-70">(Forfeited)</span>
+            )}
           </div>
           
-          {player.id === currentTurn && (
-            <div 
-              className="px-2 py-1 text-xs rounded-full"
-              style={{ 
-                backgroundColor: theme.colors.primary,
-                color: '#ffffff'
-              }}
-            >
-              Current Turn
-            </div>
-          )}
+          <div className="flex items-center space-x-2">
+            {player.score > 0 && (
+              <span className="text-xs opacity-70">{player.score} pts</span>
+            )}
+            {lineProgress[player.id] && <LineProgress {...lineProgress[player.id]} />}
+            {player.id === currentTurn && (
+              <div 
+                className="px-2 py-1 text-xs rounded-full"
+                style={{ 
+                  backgroundColor: theme.colors.primary,
+                  color: '#ffffff'
+                }}
+              >
+                Current Turn
+              </div>
+            )}
+          </div>
         </motion.li>
       ))}
       
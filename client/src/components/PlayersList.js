@@ -1,7 +1,9 @@
 import React, { useContext } from 'react';
+import { Link } from 'react-router-dom';
 import { ThemeContext } from '../context/ThemeContext';
+import LineProgress from './LineProgress';
 
-const PlayersList = React.memo(({ players, currentTurn, winner }) => {
+const PlayersList = React.memo(({ players, currentTurn, winner, lineProgress = {} }) => {
   const { theme } = useContext(ThemeContext);
 
   // Helper function to get username from player object or string
@@ -74,8 +76,17 @@ const PlayersList = React.memo(({ players, currentTurn, winner }) => {
               }`
             }}
           >
-            <span className="font-medium">{username}</span>
+            {/* Opens in a new tab so the current game isn't left */}
+            <Link
+              to={`/player/${encodeURIComponent(username)}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="font-medium hover:underline"
+            >
+              {username}
+            </Link>
             <div className="flex items-center space-x-2">
+              {lineProgress[getPlayerId(player)] && <LineProgress {...lineProgress[getPlayerId(player)]} />}
               {isPlayerWinner && (
                 <span className="text-sm px-2 py-1 rounded-full bg-white bg-opacity-20">
                   Winner! 🏆
@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { MODE_OPTIONS } from '../utils/gameModes';
+
+// How often the list of public lobbies is refreshed, in milliseconds
+const REFRESH_INTERVAL = 5000;
+
+// Public lobbies that haven't started yet, refreshed while the page is open
+const PublicRoomList = ({ onJoin, disabled }) => {
+  const [rooms, setRooms] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchRooms = async () => {
+      try {
+        const response = await api.get('/api/rooms');
+        if (!cancelled) setRooms(response.data.rooms || []);
+      } catch (error) {
+        console.error('Error fetching public rooms:', error);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchRooms();
+    const interval = setInterval(fetchRooms, REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, []);
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Looking for public rooms...</p>;
+  }
+
+  if (rooms.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        No public rooms are open right now. Create one or use Quick Play.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="space-y-2 max-h-60 overflow-y-auto">
+      {rooms.map(room => (
+        <li
+          key={room.roomCode}
+          className="flex items-center justify-between p-3 border rounded-lg dark:border-gray-600 dark:text-white"
+        >
+          <div className="text-left">
+            <p className="font-medium">
+              {room.hostUsername}'s room
+              {room.hasPassword && <span className="ml-1" title="Password required" aria-label="Password required">🔒</span>}
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {MODE_OPTIONS.find(option => option.value === room.mode)?.label || room.mode}
+              {' · '}{room.gridSize}
+              {' · '}{room.playerCount} {room.playerCount === 1 ? 'player' : 'players'}
+            </p>
+          </div>
+          <button
+            onClick={() => onJoin(room.roomCode)}
+            disabled={disabled}
+            className="px-4 py-2 bg-accent-600 text-white rounded-lg text-sm font-medium hover:bg-accent-700 disabled:opacity-50"
+          >
+            Join
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default PublicRoomList;
@@ -0,0 +1,40 @@
+import React, { useMemo } from 'react';
+import { createQRCode } from '../utils/qrCode';
+
+// Light modules left around the code so scanners can find its edges
+const QUIET_ZONE = 4;
+
+// QR code drawn as an SVG, always dark on white so it scans in any theme
+const QRCode = ({ value, size = 160, title = 'QR code' }) => {
+  const modules = useMemo(() => {
+    try {
+      return createQRCode(value);
+    } catch (error) {
+      console.error('Unable to create QR code:', error);
+      return null;
+    }
+  }, [value]);
+
+  if (!modules) return null;
+
+  const dimension = modules.length + QUIET_ZONE * 2;
+  const path = modules
+    .flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z` : '')))
+    .join('');
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox={`0 0 ${dimension} ${dimension}`}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label={title}
+    >
+      <rect width={dimension} height={dimension} fill="#ffffff" />
+      <path d={path} fill="#000000" />
+    </svg>
+  );
+};
+
+export default QRCode;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { REACTIONS, REACTION_DURATION } from '../utils/chat';
+
+// Emoji reactions that float up over the board and fade out.
+// Each reaction drifts from its own spot so several at once don't stack.
+export const ReactionOverlay = ({ reactions = [] }) => (
+  <div className="absolute inset-0 pointer-events-none overflow-hidden" aria-hidden="true">
+    <AnimatePresence>
+      {reactions.map(reaction => (
+        <motion.div
+          key={reaction.id}
+          initial={{ opacity: 0, y: 0, scale: 0.6 }}
+          animate={{ opacity: [0, 1, 1, 0], y: -160, scale: 1.2 }}
+          exit={{ opacity: 0 }}
+          transition={{ duration: REACTION_DURATION / 1000, ease: 'easeOut' }}
+          className="absolute bottom-4 flex flex-col items-center"
+          style={{ left: `${reaction.offset}%` }}
+        >
+          <span className="text-4xl">{reaction.emoji}</span>
+          <span className="text-xs font-medium px-1 rounded bg-black bg-opacity-40 text-white">{reaction.username}</span>
+        </motion.div>
+      ))}
+    </AnimatePresence>
+  </div>
+);
+
+// Row of one-tap reaction buttons
+export const ReactionBar = ({ onReact, theme }) => (
+  <div className="flex justify-center space-x-2 mt-4">
+    {REACTIONS.map(emoji => (
+      <button
+        key={emoji}
+        onClick={() => onReact(emoji)}
+        className="w-10 h-10 rounded-full text-xl transition-transform hover:scale-110"
+        style={{ border: `1px solid ${theme.colors.border}` }}
+        aria-label={`React with ${emoji}`}
+      >
+        {emoji}
+      </button>
+    ))}
+  </div>
+);
+
+export default ReactionOverlay;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { JOIN_ERROR_CODES, MAX_ROOM_PASSWORD_LENGTH } from '../utils/roomAccess';
+
+// Asks for a private room's password before the player is seated (or starts watching)
+const RoomPasswordForm = ({ roomCode, error, onSubmit, theme, watching = false }) => {
+  const [password, setPassword] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    onSubmit(password);
+  };
+
+  return (
+    <div
+      className="min-h-screen flex items-center justify-center p-4"
+      style={{ backgroundColor: theme.colors.background, color: theme.colors.text }}
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm rounded-xl p-6 shadow-lg"
+        style={{ backgroundColor: theme.colors.card, border: `2px solid ${theme.colors.border}` }}
+      >
+        <h2 className="text-2xl font-semibold mb-2">Room {roomCode} is private</h2>
+        <p className="text-sm opacity-70 mb-4">
+          Enter the room password to {watching ? 'watch' : 'join'}, or ask the host for an invite link.
+        </p>
+
+        {error?.code === JOIN_ERROR_CODES.PASSWORD_INCORRECT && (
+          <p className="text-sm mb-4" style={{ color: theme.colors.error || '#ef4444' }} role="alert">
+            {error.details || 'That password is not right for this room.'}
+          </p>
+        )}
+
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          maxLength={MAX_ROOM_PASSWORD_LENGTH}
+          placeholder="Room password"
+          aria-label="Room password"
+          autoFocus
+          className="w-full p-3 rounded-lg mb-4"
+          style={{
+            backgroundColor: theme.colors.background,
+            color: theme.colors.text,
+            border: `1px solid ${theme.colors.border}`
+          }}
+        />
+
+        <div className="flex space-x-2">
+          <Link
+            to="/"
+            className="flex-1 px-4 py-2 rounded-lg font-medium text-center"
+            style={{ border: `1px solid ${theme.colors.border}` }}
+          >
+            Back
+          </Link>
+          <button
+            type="submit"
+            disabled={!password}
+            className="flex-1 px-4 py-2 rounded-lg font-medium disabled:opacity-50"
+            style={{ backgroundColor: theme.colors.primary, color: '#ffffff' }}
+          >
+            {watching ? 'Watch Room' : 'Join Room'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RoomPasswordForm;
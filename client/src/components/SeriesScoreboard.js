@@ -0,0 +1,38 @@
+import React from 'react';
+
+// Round wins for everyone in a "first to N wins" series, shown between rounds.
+// Each player gets one pip per win needed, filled in as they take rounds.
+const SeriesScoreboard = ({ series, theme }) => {
+  if (!series) return null;
+
+  const { length, round, standings = [], champion } = series;
+
+  return (
+    <div className="mt-3 text-left inline-block">
+      <p className="text-sm font-semibold mb-2 text-center">
+        {champion ? `${champion} wins the series!` : `Series · Round ${round} · First to ${length} wins`}
+      </p>
+      <ul className="space-y-1">
+        {standings.map(({ username, wins }) => (
+          <li key={username} className="flex items-center justify-between space-x-4 text-sm">
+            <span className={username === champion ? 'font-bold' : ''}>{username}</span>
+            <span className="flex space-x-1" aria-label={`${wins} of ${length} wins`}>
+              {Array.from({ length }, (_, index) => (
+                <span
+                  key={index}
+                  className="inline-block w-3 h-3 rounded-full"
+                  style={{
+                    backgroundColor: index < wins ? theme.colors.primary : 'transparent',
+                    border: `1px solid ${theme.colors.primary}`
+                  }}
+                />
+              ))}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SeriesScoreboard;
@@ -1,18 +1,36 @@
-import React, { useContext } from 'react';
+import React, { useContext, useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { ThemeContext } from '../context/ThemeContext';
+import { getTimeRemaining } from '../utils/clockSync';
 
-const Timer = ({ seconds, timeLeft }) => {
+// How often the countdown is redrawn while following a deadline, in milliseconds
+const TICK_INTERVAL = 250;
+
+// duration is the room's full turn length in seconds.
+// Given a server deadline (and this device's clock offset), the timer counts down to it,
+// so every player sees the same time left no matter when their turn event arrived.
+const Timer = ({ seconds, timeLeft, duration = 15, deadline, clockOffset = 0 }) => {
   const { theme } = useContext(ThemeContext);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (typeof deadline !== 'number') return;
+
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [deadline]);
 
-  // Use either seconds or timeLeft prop (backward compatibility)
-  const time = typeof timeLeft === 'number' ? timeLeft : (typeof seconds === 'number' ? seconds : 15);
+  // Follow the deadline if there is one, otherwise use the seconds or timeLeft prop (backward compatibility)
+  const time = typeof deadline === 'number'
+    ? Math.ceil(getTimeRemaining(deadline, clockOffset, now) / 1000)
+    : typeof timeLeft === 'number' ? timeLeft : (typeof seconds === 'number' ? seconds : duration);
   
   // Ensure time is always a valid number
-  const safeTime = isNaN(time) ? 15 : Math.max(0, Math.min(time, 30));
+  const safeTime = isNaN(time) ? duration : Math.max(0, Math.min(time, duration));
 
   // Calculate progress percentage
-  const progress = (safeTime / 15) * 100;
+  const progress = (safeTime / duration) * 100;
 
   // Get color based on remaining time
   const getColor = () => {
@@ -0,0 +1,69 @@
+import React, { createContext, useState, useEffect, useContext, useCallback } from 'react';
+import api from '../utils/api';
+import { getAuthToken, getStoredUser, setSession, clearSession, onSessionChange } from '../utils/auth';
+
+// Create the context
+export const AuthContext = createContext({
+  user: null,
+  isGuest: true,
+  login: async () => {},
+  register: async () => {},
+  logout: () => {}
+});
+
+// Custom hook to use the signed-in account
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(getStoredUser);
+
+  // Stay in sync with session changes made outside React (e.g. a rejected socket handshake)
+  useEffect(() => onSessionChange(setUser), []);
+
+  // Check the stored token is still valid when the app loads
+  useEffect(() => {
+    if (!getAuthToken()) return;
+
+    api.get('/api/auth/me').catch(error => {
+      if (error.response?.status === 401) {
+        clearSession();
+      }
+    });
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const response = await api.post('/api/auth/login', { username, password });
+    setSession(response.data);
+    return response.data.user;
+  }, []);
+
+  const register = useCallback(async (username, password) => {
+    const response = await api.post('/api/auth/register', { username, password });
+    setSession(response.data);
+    return response.data.user;
+  }, []);
+
+  const logout = useCallback(() => {
+    clearSession();
+  }, []);
+
+  const value = {
+    user,
+    isGuest: !user,
+    login,
+    register,
+    logout
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
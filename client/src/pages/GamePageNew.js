@@ -1,15 +1,30 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { toast } from 'react-hot-toast';
 import Confetti from 'react-confetti';
 import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
 import BingoGrid from '../components/BingoGrid';
 import PlayerList from '../components/PlayerList';
 import Timer from '../components/Timer';
+import PatternPicker from '../components/PatternPicker';
+import CallerBoard from '../components/CallerBoard';
+import SeriesScoreboard from '../components/SeriesScoreboard';
+import ChatPanel from '../components/ChatPanel';
+import RoomPasswordForm from '../components/RoomPasswordForm';
+import JoinRoomForm from '../components/JoinRoomForm';
+import QRCode from '../components/QRCode';
+import { ReactionOverlay, ReactionBar } from '../components/ReactionOverlay';
 import ThemeSwitcher from '../components/ThemeSwitcher';
 import { socket } from '../socket';
 import { GameEngineProvider, useGameEngine } from '../components/GameEngineProvider';
+import { GAME_MODES, MODE_OPTIONS, BINGO_75_LETTERS, isCallerMode } from '../utils/gameModes';
+import { getPenaltyLabel } from '../utils/claims';
+import { BOT_DIFFICULTIES, BOT_DIFFICULTY_OPTIONS, MAX_BOTS_PER_ROOM } from '../utils/bots';
+import { getSeriesLabel } from '../utils/series';
+import { DEFAULT_TURN_DURATION, UNLIMITED_TURN_DURATION, getTurnDurationLabel, getTimeoutActionLabel } from '../utils/turns';
+import { JOIN_ERROR_CODES, isPasswordError, getInviteLink, getSpectatePath, getSeatToken, saveSeatToken } from '../utils/roomAccess';
 
 // Debug flag
 const DEBUG = false;
@@ -40,30 +55,31 @@ const headerVariants = {
 // Main Game Component (Wrapper)
 const GamePage = () => {
   const { roomCode } = useParams();
+  const { theme } = useTheme();
+  const { user } = useAuth();
+  const [searchParams] = useSearchParams();
   const [username, setUsername] = useState(localStorage.getItem('username') || '');
 
-  // Check if we have a username
-  useEffect(() => {
-    if (!username) {
-      // Prompt for username if not set
-      const name = prompt('Please enter your username:');
-      if (name) {
-        setUsername(name);
-        localStorage.setItem('username', name);
-      } else {
-        // Redirect to home if no username is provided
-        window.location.href = '/';
-      }
-    }
-  }, [username]);
+  // Signed-in players always play under their account name
+  const playerName = user ? user.username : username;
 
-  if (!username || !roomCode) {
+  const handleChooseName = (name) => {
+    setUsername(name);
+    localStorage.setItem('username', name);
+  };
+
+  if (!roomCode) {
     return <div>Loading...</div>;
   }
 
+  // Links opened directly (e.g. from a QR code) ask for a name first
+  if (!playerName) {
+    return <JoinRoomForm roomCode={roomCode} invite={searchParams.get('invite')} onSubmit={handleChooseName} theme={theme} />;
+  }
+
   return (
-    <GameEngineProvider socket={socket} roomCode={roomCode} username={username}>
-      <GamePageContent roomCode={roomCode} username={username} />
+    <GameEngineProvider socket={socket} roomCode={roomCode} username={playerName}>
+      <GamePageContent roomCode={roomCode} username={playerName} />
     </GameEngineProvider>
   );
 };
@@ -72,6 +88,7 @@ const GamePage = () => {
 const GamePageContent = ({ roomCode, username }) => {
   const navigate = useNavigate();
   const { theme } = useTheme();
+  const [searchParams] = useSearchParams();
 
   // Get game state and methods from GameEngine
   const {
@@ -83,14 +100,30 @@ const GamePageContent = ({ roomCode, username }) => {
     gameStarted,
     winner,
     winningLines,
+    matchId,
+    settings,
     isMyTurn,
     offlineMode,
     connectionStatus,
+    hints,
+    lineProgress,
+    spectatorCount,
+    rematchVotes,
+    series,
+    chatMessages,
+    reactions,
+    turnDeadline,
+    clockOffset,
     markNumber,
     forceTurnChange,
     enableOfflineMode,
     requestGameState,
-    forceStartGame
+    forceStartGame,
+    requestHint,
+    claimBingo,
+    voteRematch,
+    sendChatMessage,
+    sendReaction
   } = useGameEngine();
 
   // Local state
@@ -101,9 +134,27 @@ const GamePageContent = ({ roomCode, username }) => {
   const [waitingForPlayers, setWaitingForPlayers] = useState(true);
   const [readyPlayers, setReadyPlayers] = useState([]);
   const [isReady, setIsReady] = useState(false);
-  const [timer, setTimer] = useState(15);
   const [gameMessage, setGameMessage] = useState('');
   const [lastMarkedNumber, setLastMarkedNumber] = useState(null);
+  const [botDifficulty, setBotDifficulty] = useState(BOT_DIFFICULTIES.EASY);
+  const [invite, setInvite] = useState(searchParams.get('invite'));
+  const [roomPassword, setRoomPassword] = useState(null);
+  const [passwordError, setPasswordError] = useState(null);
+  const [shareInvite, setShareInvite] = useState(null);
+  const copyInviteRef = useRef(false);
+
+  // Patterns replace the lines rule when the host has picked any
+  const hasWinPatterns = Array.isArray(settings.winPatterns) && settings.winPatterns.length > 0;
+
+  // In caller mode the server draws the numbers and players claim their own wins
+  const callerMode = isCallerMode(settings.mode);
+  const claimsRequired = !!settings.manualClaims;
+  const modeLabel = MODE_OPTIONS.find(option => option.value === (settings.mode || GAME_MODES.TURNS))?.label;
+
+  // Hosts choose the turn length; unlimited turns have no countdown
+  const turnDuration = settings.turnDuration ?? DEFAULT_TURN_DURATION;
+  const timedTurns = turnDuration !== UNLIMITED_TURN_DURATION;
+  const turnSeconds = turnDuration / 1000;
 
   // Audio ref
   const audioRef = React.useRef(null);
@@ -111,10 +162,12 @@ const GamePageContent = ({ roomCode, username }) => {
   // Update game message based on game state
   useEffect(() => {
     if (winner) {
-      const winnerName = players.find(p => p.id === winner.playerId)?.username || 'Unknown';
+      const winnerName = players.find(p => p.id === (winner.playerId || winner.id))?.username || winner.username || 'Unknown';
       setGameMessage(`Game over! ${winnerName} won!`);
       setShowConfetti(true);
       setTimeout(() => setShowConfetti(false), 5000);
+    } else if (gameStarted && callerMode) {
+      setGameMessage('Numbers are being called. Claim Bingo! as soon as your card wins.');
     } else if (gameStarted) {
       if (isMyTurn) {
         setGameMessage('Your turn! Click on a number.');
@@ -126,14 +179,15 @@ const GamePageContent = ({ roomCode, username }) => {
     } else if (waitingForPlayers) {
       setGameMessage('Waiting for players to join and get ready...');
     }
-  }, [winner, gameStarted, isMyTurn, currentTurn, players, waitingForPlayers]);
+  }, [winner, gameStarted, callerMode, isMyTurn, currentTurn, players, waitingForPlayers]);
 
-  // Update host status
+  // Update host status (the host role can be handed over, so follow the room's settings)
   useEffect(() => {
     if (players.length > 0) {
-      setIsHost(players[0].id === socket.id);
+      const host = players.find(p => p.username === settings.hostUsername) || players[0];
+      setIsHost(host.id === socket.id);
     }
-  }, [players]);
+  }, [players, settings.hostUsername]);
 
   // Update loading state
   useEffect(() => {
@@ -145,7 +199,7 @@ const GamePageContent = ({ roomCode, username }) => {
   // Join room on mount
   useEffect(() => {
     console.log(`Joining room ${roomCode} as ${username}`);
-    socket.emit('join-room', { roomCode, username });
+    socket.emit('join-room', { roomCode, username, password: roomPassword, invite, seatToken: getSeatToken(roomCode) });
 
     // Set a timeout to ensure loading state doesn't get stuck
     const loadingTimeout = setTimeout(() => {
@@ -156,7 +210,81 @@ const GamePageContent = ({ roomCode, username }) => {
     }, 5000);
 
     return () => clearTimeout(loadingTimeout);
-  }, [roomCode, username, isLoading]);
+  }, [roomCode, username, isLoading, roomPassword, invite]);
+
+  // Rooms that are already playing can still be watched, and private rooms ask for their password
+  useEffect(() => {
+    const handleJoinError = (error) => {
+      if (isPasswordError(error)) {
+        setPasswordError(error);
+      } else if (error?.code === JOIN_ERROR_CODES.INVITE_INVALID) {
+        // Fall back to joining without the invite (the room may not even need one)
+        toast.error(error.details || 'This invite link is invalid or has expired');
+        setInvite(null);
+        navigate(`/game/${roomCode}`, { replace: true });
+      } else if (error?.canSpectate) {
+        toast(`${error.message}. Watching as a spectator instead.`, { icon: '👀' });
+        navigate(getSpectatePath(roomCode, invite), { replace: true });
+      } else {
+        toast.error(error?.details || error?.message || 'Unable to join this room');
+      }
+    };
+
+    const handleJoinedRoom = (data) => {
+      setPasswordError(null);
+      saveSeatToken(roomCode, data?.seatToken);
+    };
+
+    socket.on('join-error', handleJoinError);
+    socket.on('joined-room', handleJoinedRoom);
+    return () => {
+      socket.off('join-error', handleJoinError);
+      socket.off('joined-room', handleJoinedRoom);
+    };
+  }, [roomCode, navigate, invite]);
+
+  // Keep the host's shareable invite, copying it when they asked for one
+  useEffect(() => {
+    const handleInviteCreated = ({ token }) => {
+      setShareInvite(token);
+      if (!copyInviteRef.current) return;
+
+      copyInviteRef.current = false;
+      navigator.clipboard.writeText(getInviteLink(roomCode, token)).then(() => {
+        toast.success('Invite link copied! It works for 24 hours and skips the password.');
+      });
+    };
+
+    socket.on('invite-created', handleInviteCreated);
+    return () => {
+      socket.off('invite-created', handleInviteCreated);
+    };
+  }, [roomCode]);
+
+  // Handle moderation by the host
+  useEffect(() => {
+    const handleKicked = (data) => {
+      toast.error(data?.message || 'You have been removed from this room');
+      navigate('/', { replace: true });
+    };
+
+    const handleHostChanged = ({ hostUsername, reason }) => {
+      if (hostUsername === username) {
+        toast.success('You are now the host');
+      } else {
+        toast(reason === 'transferred'
+          ? `${hostUsername} is now the host`
+          : `The host left. ${hostUsername} is now the host`);
+      }
+    };
+
+    socket.on('kicked', handleKicked);
+    socket.on('host-changed', handleHostChanged);
+    return () => {
+      socket.off('kicked', handleKicked);
+      socket.off('host-changed', handleHostChanged);
+    };
+  }, [navigate, username]);
 
   // Handle player ready state changes
   useEffect(() => {
@@ -204,29 +332,6 @@ const GamePageContent = ({ roomCode, username }) => {
     }
   }, [markedNumbers]);
 
-  // Handle timer
-  useEffect(() => {
-    if (gameStarted && isMyTurn) {
-      // Reset timer when it's my turn
-      setTimer(15);
-
-      // Set up timer interval
-      const timerInterval = setInterval(() => {
-        setTimer(prev => {
-          if (prev <= 1) {
-            clearInterval(timerInterval);
-            // Auto-end turn when timer expires
-            forceTurnChange();
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
-
-      return () => clearInterval(timerInterval);
-    }
-  }, [gameStarted, isMyTurn, forceTurnChange]);
-
   // Handle offline mode
   useEffect(() => {
     if (offlineMode) {
@@ -273,6 +378,89 @@ const GamePageContent = ({ roomCode, username }) => {
     }
   }, [isHost, roomCode]);
 
+  // Change the room's win patterns (host only, before the game starts)
+  const handleWinPatternsChange = useCallback(({ winPatterns, customPattern }) => {
+    if (!socket.connected) {
+      toast.error('Not connected to server.');
+      return;
+    }
+
+    socket.emit('update-win-patterns', { roomCode, winPatterns, customPattern });
+  }, [roomCode]);
+
+  // Handle the host adding or removing computer-controlled players
+  const handleAddBot = useCallback(() => {
+    if (!socket.connected) {
+      toast.error('Not connected to server.');
+      return;
+    }
+
+    socket.emit('add-bot', { roomCode, difficulty: botDifficulty });
+  }, [roomCode, botDifficulty]);
+
+  const handleRemoveBot = useCallback((botId) => {
+    if (!socket.connected) {
+      toast.error('Not connected to server.');
+      return;
+    }
+
+    socket.emit('remove-bot', { roomCode, botId });
+  }, [roomCode]);
+
+  const botCount = players.filter(player => player.isBot).length;
+  const hasVotedRematch = rematchVotes.votes.includes(username);
+  const rematchLabel = !series ? 'Rematch' : series.champion ? 'New Series' : 'Next Round';
+
+  // Handle the host kicking, banning or handing the host role to a player
+  const handleModeratePlayer = useCallback((event, player) => {
+    if (!socket.connected) {
+      toast.error('Not connected to server.');
+      return;
+    }
+
+    if (event === 'ban-player' && !window.confirm(`Ban ${player.username} from this room?`)) {
+      return;
+    }
+
+    socket.emit(event, { roomCode, playerId: player.id });
+  }, [roomCode]);
+
+  const handleToggleLocked = useCallback(() => {
+    if (!socket.connected) {
+      toast.error('Not connected to server.');
+      return;
+    }
+
+    socket.emit('set-room-locked', { roomCode, locked: !settings.locked });
+  }, [roomCode, settings.locked]);
+
+  // Hosts of private rooms share an invite in the lobby QR code, so scanning it skips the password
+  const shareWithInvite = isHost && !!settings.hasPassword;
+  useEffect(() => {
+    if (shareWithInvite && !gameStarted && socket.connected) {
+      socket.emit('create-invite', { roomCode });
+    }
+  }, [shareWithInvite, gameStarted, roomCode]);
+  const joinLink = getInviteLink(roomCode, shareWithInvite ? shareInvite : null);
+
+  // Ask the server for a fresh invite link to share
+  const handleCopyInviteLink = useCallback(() => {
+    if (!socket.connected) {
+      toast.error('Not connected to server.');
+      return;
+    }
+
+    copyInviteRef.current = true;
+    socket.emit('create-invite', { roomCode });
+  }, [roomCode]);
+
+  // Copy the link the lobby QR code points to
+  const handleCopyJoinLink = useCallback(() => {
+    navigator.clipboard.writeText(joinLink).then(() => {
+      toast.success('Join link copied to clipboard!');
+    });
+  }, [joinLink]);
+
   // Copy room code to clipboard
   const handleCopyRoomCode = useCallback(() => {
     navigator.clipboard.writeText(roomCode).then(() => {
@@ -345,6 +533,18 @@ const GamePageContent = ({ roomCode, username }) => {
     );
   };
 
+  // Private rooms ask for their password before anything else
+  if (passwordError) {
+    return (
+      <RoomPasswordForm
+        roomCode={roomCode}
+        error={passwordError}
+        onSubmit={setRoomPassword}
+        theme={theme}
+      />
+    );
+  }
+
   // Render loading screen
   if (isLoading) {
     return (
@@ -383,7 +583,9 @@ const GamePageContent = ({ roomCode, username }) => {
               {waitingForPlayers
                 ? `Waiting for players (${readyPlayers.length}/${players.length} ready)`
                 : gameStarted
-                  ? isMyTurn
+                  ? callerMode
+                    ? 'The caller is drawing numbers'
+                    : isMyTurn
                     ? "Your turn"
                     : `${players.find(p => p.id === currentTurn)?.username || 'Unknown'}'s turn`
                   : "Game ended"
@@ -404,6 +606,16 @@ const GamePageContent = ({ roomCode, username }) => {
               {copySuccess ? 'Copied!' : 'Copy Room Code'}
             </button>
 
+            {isHost && settings.hasPassword && (
+              <button
+                onClick={handleCopyInviteLink}
+                className="px-4 py-2 rounded-full mr-3 text-sm font-medium"
+                style={{ border: `1px solid ${theme.colors.border}` }}
+              >
+                Copy Invite Link
+              </button>
+            )}
+
             <ThemeSwitcher className="ml-2" />
 
             {/* Sync Game State button - always show during game */}
@@ -421,8 +633,8 @@ const GamePageContent = ({ roomCode, username }) => {
               </button>
             )}
 
-            {/* Emergency turn change button - only show during game */}
-            {gameStarted && (
+            {/* Emergency turn change button - only show during turn-based games */}
+            {gameStarted && !callerMode && (
               <button
                 onClick={forceTurnChange}
                 className="ml-2 px-3 py-1 rounded-md text-sm font-medium transition-colors duration-200"
@@ -479,6 +691,33 @@ const GamePageContent = ({ roomCode, username }) => {
             }}
           >
             {gameMessage}
+            {winner && matchId && (
+              <Link
+                to={`/replay/${matchId}`}
+                className="ml-3 underline"
+                style={{ color: theme.colors.primary }}
+              >
+                Watch replay
+              </Link>
+            )}
+            {winner && !gameStarted && (
+              <div className="mt-3 flex flex-col items-center">
+                <SeriesScoreboard series={series} theme={theme} />
+                <button
+                  onClick={voteRematch}
+                  disabled={hasVotedRematch}
+                  className="px-4 py-2 rounded-lg font-medium disabled:opacity-50"
+                  style={{ backgroundColor: theme.colors.primary, color: '#ffffff' }}
+                >
+                  {hasVotedRematch ? 'Waiting for others...' : rematchLabel}
+                </button>
+                {rematchVotes.votes.length > 0 && (
+                  <p className="text-xs opacity-70 mt-2">
+                    {rematchVotes.votes.length}/{rematchVotes.needed.length} players want a rematch. Scores carry over.
+                  </p>
+                )}
+              </div>
+            )}
           </motion.div>
         )}
 
@@ -502,7 +741,10 @@ const GamePageContent = ({ roomCode, username }) => {
               </p>
 
               <div className="mb-6">
-                <h3 className="text-lg font-medium mb-2">Players</h3>
+                <h3 className="text-lg font-medium mb-2">
+                  Players
+                  {spectatorCount > 0 && <span className="text-sm opacity-70"> · {spectatorCount} watching</span>}
+                </h3>
                 {players.length > 0 ? (
                   <ul className="space-y-2">
                     {players.map((player, index) => (
@@ -517,9 +759,50 @@ const GamePageContent = ({ roomCode, username }) => {
                         <div className="flex items-center">
                           <span className="font-medium">{player.username}</span>
                           {player.username === username && <span className="ml-2 text-xs opacity-70">(You)</span>}
-                          {index === 0 && <span className="ml-2 text-xs opacity-70">(Host)</span>}
+                          {(settings.hostUsername ? player.username === settings.hostUsername : index === 0) && (
+                            <span className="ml-2 text-xs opacity-70">(Host)</span>
+                          )}
+                          {player.isBot && <span className="ml-2 text-xs opacity-70">(Bot, {player.botDifficulty})</span>}
                         </div>
-                        <div>
+                        <div className="flex items-center space-x-2">
+                          {isHost && player.isBot && (
+                            <button
+                              onClick={() => handleRemoveBot(player.id)}
+                              className="px-2 py-1 text-xs rounded-full"
+                              style={{ border: `1px solid ${theme.colors.border}` }}
+                              aria-label={`Remove ${player.username}`}
+                            >
+                              Remove
+                            </button>
+                          )}
+                          {isHost && !player.isBot && player.id !== socket.id && (
+                            <>
+                              <button
+                                onClick={() => handleModeratePlayer('transfer-host', player)}
+                                className="px-2 py-1 text-xs rounded-full"
+                                style={{ border: `1px solid ${theme.colors.border}` }}
+                                aria-label={`Make ${player.username} the host`}
+                              >
+                                Make Host
+                              </button>
+                              <button
+                                onClick={() => handleModeratePlayer('kick-player', player)}
+                                className="px-2 py-1 text-xs rounded-full"
+                                style={{ border: `1px solid ${theme.colors.border}` }}
+                                aria-label={`Kick ${player.username}`}
+                              >
+                                Kick
+                              </button>
+                              <button
+                                onClick={() => handleModeratePlayer('ban-player', player)}
+                                className="px-2 py-1 text-xs rounded-full"
+                                style={{ border: `1px solid ${theme.colors.error || '#ef4444'}`, color: theme.colors.error || '#ef4444' }}
+                                aria-label={`Ban ${player.username}`}
+                              >
+                                Ban
+                              </button>
+                            </>
+                          )}
                           {readyPlayers.includes(player.username) ? (
                             <span className="px-2 py-1 text-xs rounded-full" style={{ backgroundColor: theme.colors.success, color: '#fff' }}>
                               Ready
@@ -537,6 +820,80 @@ const GamePageContent = ({ roomCode, username }) => {
                   <p className="text-sm opacity-70">No players yet</p>
                 )}
               </div>
+
+              {/* Players in the same room can scan their way in */}
+              <div className="mb-6 flex items-center space-x-4">
+                <div className="flex-shrink-0 rounded-lg overflow-hidden">
+                  <QRCode value={joinLink} size={128} title={`QR code to join room ${roomCode}`} />
+                </div>
+                <div className="min-w-0">
+                  <h3 className="text-lg font-medium mb-1">Scan to Join</h3>
+                  <p className="text-xs opacity-70 break-all mb-2">{joinLink}</p>
+                  <button
+                    onClick={handleCopyJoinLink}
+                    className="px-3 py-1 rounded-lg text-sm font-medium"
+                    style={{ border: `1px solid ${theme.colors.border}` }}
+                  >
+                    Copy Link
+                  </button>
+                </div>
+              </div>
+
+              {/* Hosts can stop new players from joining */}
+              {isHost && (
+                <div className="mb-6 flex items-center justify-between">
+                  <p className="text-sm opacity-70">
+                    {settings.locked
+                      ? 'The room is locked. Only players already here can rejoin.'
+                      : settings.hasPassword
+                      ? 'New players need the password or an invite link.'
+                      : 'Anyone with the room code can join.'}
+                  </p>
+                  <button
+                    onClick={handleToggleLocked}
+                    className="px-4 py-2 rounded-lg font-medium text-sm"
+                    style={{ border: `1px solid ${theme.colors.border}` }}
+                  >
+                    {settings.locked ? 'Unlock Room' : 'Lock Room'}
+                  </button>
+                </div>
+              )}
+
+              {/* Hosts can fill empty seats with bots */}
+              {isHost && (
+                <div className="mb-6">
+                  <h3 className="text-lg font-medium mb-2">Add a Bot</h3>
+                  <div className="flex space-x-2">
+                    <select
+                      value={botDifficulty}
+                      onChange={(e) => setBotDifficulty(e.target.value)}
+                      className="flex-1 p-2 rounded-lg"
+                      style={{
+                        backgroundColor: theme.colors.background,
+                        color: theme.colors.text,
+                        border: `1px solid ${theme.colors.border}`
+                      }}
+                    >
+                      {BOT_DIFFICULTY_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.label} - {option.description}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleAddBot}
+                      disabled={botCount >= MAX_BOTS_PER_ROOM}
+                      className="px-4 py-2 rounded-lg font-medium disabled:opacity-50"
+                      style={{ backgroundColor: theme.colors.primary, color: '#ffffff' }}
+                    >
+                      Add Bot
+                    </button>
+                  </div>
+                  <p className="text-xs opacity-70 mt-2">
+                    {botCount}/{MAX_BOTS_PER_ROOM} bots. Bots take their turns just like other players.
+                  </p>
+                </div>
+              )}
             </div>
 
             <div
@@ -553,12 +910,89 @@ const GamePageContent = ({ roomCode, username }) => {
                   Get ready to play! Once all players are ready, the host can start the game.
                 </p>
 
+                <dl className="mb-6 grid grid-cols-2 gap-2 text-sm">
+                  <dt className="opacity-70">Mode</dt>
+                  <dd className="font-medium">{modeLabel}</dd>
+                  {callerMode && (
+                    <>
+                      <dt className="opacity-70">Call interval</dt>
+                      <dd className="font-medium">{settings.callInterval / 1000}s</dd>
+                    </>
+                  )}
+                  <dt className="opacity-70">Wins</dt>
+                  <dd className="font-medium">{claimsRequired ? 'Claimed by players' : 'Detected automatically'}</dd>
+                  {claimsRequired && (
+                    <>
+                      <dt className="opacity-70">False claims</dt>
+                      <dd className="font-medium">{getPenaltyLabel(settings.falseClaimPenalty, callerMode)}</dd>
+                    </>
+                  )}
+                  {!callerMode && (
+                    <>
+                      <dt className="opacity-70">Turn length</dt>
+                      <dd className="font-medium">{getTurnDurationLabel(turnDuration)}</dd>
+                      {timedTurns && (
+                        <>
+                          <dt className="opacity-70">On timeout</dt>
+                          <dd className="font-medium">{getTimeoutActionLabel(settings.timeoutAction, settings.forfeitAfter)}</dd>
+                        </>
+                      )}
+                    </>
+                  )}
+                  <dt className="opacity-70">Series</dt>
+                  <dd className="font-medium">{getSeriesLabel(settings.seriesLength)}</dd>
+                  <dt className="opacity-70">Room</dt>
+                  <dd className="font-medium">{settings.locked ? 'Locked' : 'Open'}</dd>
+                  <dt className="opacity-70">Password</dt>
+                  <dd className="font-medium">{settings.hasPassword ? 'Yes' : 'No'}</dd>
+                  <dt className="opacity-70">Spectators see cards</dt>
+                  <dd className="font-medium">{settings.spectatorGrids ? 'Yes' : 'No'}</dd>
+                  {!callerMode && (
+                    <>
+                      <dt className="opacity-70">Hints</dt>
+                      <dd className="font-medium">{settings.hintsEnabled ? 'Allowed' : 'Off'}</dd>
+                    </>
+                  )}
+                  <dt className="opacity-70">Grid size</dt>
+                  <dd className="font-medium">{settings.gridSize || '—'}</dd>
+                  <dt className="opacity-70">{hasWinPatterns ? 'Win patterns' : 'Lines to win'}</dt>
+                  <dd className="font-medium">{hasWinPatterns ? settings.winPatterns.length : (settings.linesToWin || '—')}</dd>
+                </dl>
+
+                {settings.mode !== GAME_MODES.BINGO_90 && (
+                  <div className="mb-6">
+                    <h3 className="text-lg font-medium mb-2">Win Patterns</h3>
+                    <PatternPicker
+                      gridSize={settings.gridSize}
+                      winPatterns={settings.winPatterns}
+                      customPattern={settings.customPattern}
+                      canEdit={isHost}
+                      onChange={handleWinPatternsChange}
+                    />
+                  </div>
+                )}
+
                 <div className="mb-6">
                   <h3 className="text-lg font-medium mb-2">How to Play</h3>
                   <ol className="list-decimal list-inside space-y-2 text-sm">
                     <li>Each player gets a unique bingo card with random numbers</li>
-                    <li>Players take turns marking numbers on their cards</li>
-                    <li>First player to complete 5 lines (horizontal, vertical, or diagonal) wins!</li>
+                    {callerMode ? (
+                      <li>The caller draws a number every {settings.callInterval / 1000} seconds and it's marked on your card</li>
+                    ) : (
+                      <li>Players take turns marking numbers on their cards</li>
+                    )}
+                    {claimsRequired && hasWinPatterns ? (
+                      <li>Complete one of the selected patterns, then press Bingo! to claim your win</li>
+                    ) : claimsRequired ? (
+                      <li>Complete {settings.linesToWin || 1} {settings.linesToWin > 1 ? 'lines' : 'line'}{settings.mode === GAME_MODES.BINGO_90 ? ' (rows)' : ''}, then press Bingo! to claim your win</li>
+                    ) : hasWinPatterns ? (
+                      <li>First player to complete one of the selected patterns wins!</li>
+                    ) : (
+                      <li>First player to complete {settings.linesToWin || 5} {settings.linesToWin === 1 ? 'line' : 'lines'} (horizontal, vertical, or diagonal) wins!</li>
+                    )}
+                    {claimsRequired && (
+                      <li>A false claim means: {getPenaltyLabel(settings.falseClaimPenalty, callerMode).toLowerCase()}</li>
+                    )}
                   </ol>
                 </div>
               </div>
@@ -635,8 +1069,8 @@ const GamePageContent = ({ roomCode, username }) => {
               >
                 <div className="mb-4 flex justify-between items-center">
                   <div className="flex items-center space-x-4">
-                    <h2 className="text-xl font-semibold">Your Grid</h2>
-                    {isMyTurn && (
+                    <h2 className="text-xl font-semibold">{callerMode ? 'Your Card' : 'Your Grid'}</h2>
+                    {isMyTurn && !callerMode && (
                       <motion.div
                         initial={{ scale: 0 }}
                         animate={{ scale: 1 }}
@@ -651,23 +1085,59 @@ const GamePageContent = ({ roomCode, username }) => {
                     )}
                   </div>
 
-                  {gameStarted &&
+                  {gameStarted && !callerMode && timedTurns && turnDeadline &&
                     <div className="w-32">
-                      <Timer timeLeft={timer} />
+                      <Timer deadline={turnDeadline} clockOffset={clockOffset} duration={turnSeconds} />
                     </div>
                   }
+
+                  {gameStarted && settings.hintsEnabled && isMyTurn && (
+                    <button
+                      onClick={requestHint}
+                      className="px-4 py-2 rounded-full text-sm font-medium"
+                      style={{
+                        border: `1px solid ${theme.colors.accent}`,
+                        color: theme.colors.accent
+                      }}
+                      title="Highlight the numbers that would help your lines most"
+                    >
+                      Hint
+                    </button>
+                  )}
+
+                  {gameStarted && claimsRequired && (
+                    <button
+                      onClick={claimBingo}
+                      className="px-6 py-2 rounded-full text-lg font-extrabold shadow-lg"
+                      style={{
+                        backgroundColor: theme.colors.accent,
+                        color: '#ffffff'
+                      }}
+                    >
+                      Bingo!
+                    </button>
+                  )}
                 </div>
 
-                <BingoGrid
-                  grid={grid}
-                  markedCells={markedCells}
-                  winningLines={winningLines}
-                  lastMarkedNumber={lastMarkedNumber}
-                  onCellClick={handleCellClick}
-                  isInteractionDisabled={false} /* Always allow clicks */
-                  isMyTurn={true} /* Always pretend it's my turn */
-                  theme={theme}
-                />
+                <div className="relative">
+                  <BingoGrid
+                    grid={grid}
+                    markedCells={markedCells}
+                    winningLines={winningLines}
+                    lastMarkedNumber={lastMarkedNumber}
+                    onCellClick={handleCellClick}
+                    isInteractionDisabled={false} /* Always allow clicks */
+                    isMyTurn={true} /* Always pretend it's my turn */
+                    isReadOnly={callerMode} /* The caller marks numbers in caller mode */
+                    columnHeaders={settings.mode === GAME_MODES.BINGO_75 ? BINGO_75_LETTERS : null}
+                    emptyCellLabel={settings.mode === GAME_MODES.BINGO_75 ? 'FREE' : ''}
+                    hints={hints}
+                    theme={theme}
+                  />
+                  <ReactionOverlay reactions={reactions} />
+                </div>
+
+                <ReactionBar onReact={sendReaction} theme={theme} />
               </div>
             </motion.div>
 
@@ -686,35 +1156,51 @@ const GamePageContent = ({ roomCode, username }) => {
                 <h2 className="text-xl font-semibold mb-4">Game Info</h2>
 
                 <div className="mb-6">
-                  <h3 className="text-lg font-medium mb-2">Players</h3>
+                  <h3 className="text-lg font-medium mb-2">
+                    Players
+                    {spectatorCount > 0 && <span className="text-sm opacity-70"> · {spectatorCount} watching</span>}
+                  </h3>
                   <PlayerList
                     players={players}
                     currentTurn={currentTurn}
                     username={username}
                     theme={theme}
+                    hostUsername={settings.hostUsername}
+                    lineProgress={lineProgress}
                   />
                 </div>
 
-                <div className="mb-6">
-                  <h3 className="text-lg font-medium mb-2">Marked Numbers</h3>
-                  <div className="flex flex-wrap gap-2">
-                    {markedNumbers.map(number => (
-                      <div
-                        key={number}
-                        className="w-8 h-8 flex items-center justify-center rounded-full text-sm font-medium"
-                        style={{
-                          backgroundColor: number === lastMarkedNumber ? theme.colors.accent : theme.colors.primary,
-                          color: '#ffffff'
-                        }}
-                      >
-                        {number}
-                      </div>
-                    ))}
-                    {markedNumbers.length === 0 && (
-                      <p className="text-sm opacity-70">No numbers marked yet</p>
-                    )}
+                {callerMode ? (
+                  <div className="mb-6">
+                    <h3 className="text-lg font-medium mb-2">Caller Board</h3>
+                    <CallerBoard
+                      mode={settings.mode}
+                      calledNumbers={markedNumbers}
+                      lastCalled={markedNumbers[markedNumbers.length - 1] || null}
+                    />
                   </div>
-                </div>
+                ) : (
+                  <div className="mb-6">
+                    <h3 className="text-lg font-medium mb-2">Marked Numbers</h3>
+                    <div className="flex flex-wrap gap-2">
+                      {markedNumbers.map(number => (
+                        <div
+                          key={number}
+                          className="w-8 h-8 flex items-center justify-center rounded-full text-sm font-medium"
+                          style={{
+                            backgroundColor: number === lastMarkedNumber ? theme.colors.accent : theme.colors.primary,
+                            color: '#ffffff'
+                          }}
+                        >
+                          {number}
+                        </div>
+                      ))}
+                      {markedNumbers.length === 0 && (
+                        <p className="text-sm opacity-70">No numbers marked yet</p>
+                      )}
+                    </div>
+                  </div>
+                )}
 
                 <div className="mt-auto">
                   <button
@@ -738,6 +1224,14 @@ const GamePageContent = ({ roomCode, username }) => {
       {/* Audio elements */}
       <audio ref={audioRef} src="/sounds/game-start.mp3" preload="auto" />
 
+      {/* Room chat */}
+      <ChatPanel
+        messages={chatMessages}
+        onSend={sendChatMessage}
+        currentPlayerId={socket.id}
+        theme={theme}
+      />
+
       {/* Connection status indicator */}
       <ConnectionStatusIndicator />
     </motion.div>
@@ -1,24 +1,71 @@
 import React, { useState, useContext } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import axios from 'axios';
 import { toast } from 'react-hot-toast';
 import { ThemeContext } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
 import ThemeSwitcher from '../components/ThemeSwitcher';
+import AuthPanel from '../components/AuthPanel';
+import PublicRoomList from '../components/PublicRoomList';
+import api from '../utils/api';
+import { getTotalLines, getDefaultLinesToWin } from '../utils/gridLines';
+import {
+  GAME_MODES,
+  MODE_OPTIONS,
+  CALL_INTERVAL_OPTIONS,
+  DEFAULT_CALL_INTERVAL,
+  isCallerMode,
+  getCallerGridSize
+} from '../utils/gameModes';
+import { CLAIM_PENALTY_OPTIONS, DEFAULT_CLAIM_PENALTY, getPenaltyLabel } from '../utils/claims';
+import { DEFAULT_SERIES_LENGTH, SERIES_LENGTH_OPTIONS } from '../utils/series';
+import { MIN_ROOM_PASSWORD_LENGTH, MAX_ROOM_PASSWORD_LENGTH, isPasswordError, getGamePath, getSpectatePath, getSeatToken, saveSeatToken } from '../utils/roomAccess';
+import {
+  DEFAULT_TURN_DURATION,
+  DEFAULT_TIMEOUT_ACTION,
+  DEFAULT_FORFEIT_AFTER,
+  TIMEOUT_ACTIONS,
+  TURN_DURATION_OPTIONS,
+  TIMEOUT_ACTION_OPTIONS,
+  FORFEIT_AFTER_OPTIONS,
+  UNLIMITED_TURN_DURATION
+} from '../utils/turns';
 import socket from '../utils/socket';
 
 const HomePage = () => {
   const [username, setUsername] = useState(localStorage.getItem('username') || '');
   const [roomCode, setRoomCode] = useState('');
   const [gridSize, setGridSize] = useState('5x5');
+  const [linesToWin, setLinesToWin] = useState(getDefaultLinesToWin('5x5'));
+  const [mode, setMode] = useState(GAME_MODES.TURNS);
+  const [callInterval, setCallInterval] = useState(DEFAULT_CALL_INTERVAL);
+  const [manualClaims, setManualClaims] = useState(false);
+  const [hintsEnabled, setHintsEnabled] = useState(true);
+  const [turnDuration, setTurnDuration] = useState(DEFAULT_TURN_DURATION);
+  const [timeoutAction, setTimeoutAction] = useState(DEFAULT_TIMEOUT_ACTION);
+  const [forfeitAfter, setForfeitAfter] = useState(DEFAULT_FORFEIT_AFTER);
+  const [spectatorGrids, setSpectatorGrids] = useState(false);
+  const [seriesLength, setSeriesLength] = useState(DEFAULT_SERIES_LENGTH);
+  const [isPublic, setIsPublic] = useState(false);
+  const [roomPassword, setRoomPassword] = useState('');
+  const [falseClaimPenalty, setFalseClaimPenalty] = useState(DEFAULT_CLAIM_PENALTY);
   const [isCreating, setIsCreating] = useState(false);
   const [isJoining, setIsJoining] = useState(false);
   const { theme } = useContext(ThemeContext);
+  const { user } = useAuth();
+
+  // Signed-in players always play under their account name
+  const playerName = user ? user.username : username;
+
+  // Caller formats always use their classic card layout
+  const callerMode = isCallerMode(mode);
+  const effectiveGridSize = callerMode ? getCallerGridSize(mode) : gridSize;
 
   const navigate = useNavigate();
 
   // Helper function to join a room and navigate to the game page
-  const joinRoomAndNavigate = (roomCode, username) => {
+  // (an invite lets the host straight into a password-protected room)
+  const joinRoomAndNavigate = (roomCode, username, invite = null) => {
     console.log('Joining room and navigating:', roomCode, username);
 
     // Clear any previous listeners to avoid duplicates
@@ -28,24 +75,39 @@ const HomePage = () => {
     // Set up listener for room join confirmation
     socket.once('joined-room', (data) => {
       console.log('Successfully joined room:', data);
-      navigate(`/game/${roomCode}`);
+      saveSeatToken(roomCode, data.seatToken);
+      navigate(getGamePath(roomCode, invite));
     });
 
     // Handle join errors
     socket.once('join-error', (error) => {
       console.error('Error joining room:', error);
-      toast.error(`Error joining room: ${error.message || error}`);
+      clearTimeout(fallbackTimeout);
       setIsCreating(false);
       setIsJoining(false);
+
+      // The game page asks for the password of private rooms
+      if (isPasswordError(error)) {
+        navigate(`/game/${roomCode}`);
+        return;
+      }
+
+      // Games that have already started can still be watched
+      if (error.canSpectate) {
+        toast(`${error.message}. Watching as a spectator instead.`, { icon: '👀' });
+        navigate(getSpectatePath(roomCode, invite));
+        return;
+      }
+      toast.error(`Error joining room: ${error.message || error}`);
     });
 
-    // Emit join room event
-    socket.emit('join-room', { roomCode, username });
+    // Emit join room event (the server uses the account name for signed-in sockets)
+    socket.emit('join-room', { roomCode, username, invite, seatToken: getSeatToken(roomCode) });
 
     // Set a timeout in case socket events don't fire
-    setTimeout(() => {
+    const fallbackTimeout = setTimeout(() => {
       console.log('Navigating to game room (timeout fallback):', roomCode);
-      navigate(`/game/${roomCode}`);
+      navigate(getGamePath(roomCode, invite));
     }, 3000);
   };
 
@@ -57,7 +119,7 @@ const HomePage = () => {
 
   // Handle creating a new game
   const handleCreateGame = async () => {
-    if (!username) {
+    if (!playerName) {
       toast.error('Please enter a username');
       return;
     }
@@ -68,24 +130,21 @@ const HomePage = () => {
 
       // Add more verbose logging
       console.log('Sending request to:', '/api/games');
-      console.log('Request payload:', { username, gridSize });
-
-      // Get server URL from environment variable
-      const baseUrl = process.env.REACT_APP_SERVER_URL?.replace(/\/+$/, ''); // Remove trailing slashes
-      if (!baseUrl) {
-        throw new Error('Server URL not configured. Please set REACT_APP_SERVER_URL in .env');
-      }
-
-      console.log('Using API URL:', baseUrl);
-
-      const response = await axios.post(`${baseUrl}/api/games`, {
-        username,
-        gridSize
-      }, {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        withCredentials: true
+      console.log('Request payload:', { username: playerName, mode, gridSize, linesToWin });
+
+      // The shared API client attaches the session token for signed-in hosts
+      const response = await api.post('/api/games', {
+        username: playerName,
+        mode,
+        gridSize,
+        linesToWin,
+        manualClaims: callerMode || manualClaims,
+        falseClaimPenalty,
+        spectatorGrids,
+        seriesLength,
+        isPublic,
+        ...(roomPassword ? { password: roomPassword } : {}),
+        ...(callerMode ? { callInterval } : { hintsEnabled, turnDuration, timeoutAction, forfeitAfter })
       });
 
       console.log('Create room response:', response.data);
@@ -94,13 +153,10 @@ const HomePage = () => {
         throw new Error('Invalid server response - no room code received');
       }
 
-      const { roomCode } = response.data;
-
-      // Save username
-      saveUsername(username);
+      const { roomCode, inviteToken } = response.data;
 
       // Save username and room code to localStorage for recovery
-      saveUsername(username);
+      saveUsername(playerName);
       localStorage.setItem('lastRoomCode', roomCode);
 
       // Make sure socket is connected before joining
@@ -110,7 +166,7 @@ const HomePage = () => {
 
         // Wait for connection before proceeding
         socket.once('connect', () => {
-          joinRoomAndNavigate(roomCode, username);
+          joinRoomAndNavigate(roomCode, playerName, inviteToken);
         });
 
         // Handle connection error
@@ -121,7 +177,7 @@ const HomePage = () => {
         });
       } else {
         // Socket already connected, proceed with join
-        joinRoomAndNavigate(roomCode, username);
+        joinRoomAndNavigate(roomCode, playerName, inviteToken);
       }
 
     } catch (error) {
@@ -131,23 +187,18 @@ const HomePage = () => {
     }
   };
 
-  // Handle joining an existing game
-  const handleJoinGame = async () => {
-    if (!username) {
+  // Join a room by code, connecting the socket first if needed
+  const joinRoom = (code) => {
+    if (!playerName) {
       toast.error('Please enter a username');
       return;
     }
 
-    if (!roomCode) {
-      toast.error('Please enter a room code');
-      return;
-    }
-
-    console.log(`Attempting to join room ${roomCode} as ${username}`);
+    console.log(`Attempting to join room ${code} as ${playerName}`);
 
     // Save username and room code to localStorage for recovery
-    saveUsername(username);
-    localStorage.setItem('lastRoomCode', roomCode);
+    saveUsername(playerName);
+    localStorage.setItem('lastRoomCode', code);
 
     // Make sure socket is connected before joining
     if (!socket.connected) {
@@ -156,7 +207,7 @@ const HomePage = () => {
 
       // Wait for connection before proceeding
       socket.once('connect', () => {
-        joinRoomAndNavigate(roomCode, username);
+        joinRoomAndNavigate(code, playerName);
       });
 
       // Handle connection error
@@ -167,7 +218,38 @@ const HomePage = () => {
       });
     } else {
       // Socket already connected, proceed with join
-      joinRoomAndNavigate(roomCode, username);
+      joinRoomAndNavigate(code, playerName);
+    }
+  };
+
+  // Handle joining an existing game
+  const handleJoinGame = async () => {
+    if (!roomCode) {
+      toast.error('Please enter a room code');
+      return;
+    }
+
+    joinRoom(roomCode);
+  };
+
+  // Handle Quick Play: the server finds a public lobby with the chosen grid size or opens one
+  const handleQuickPlay = async () => {
+    if (!playerName) {
+      toast.error('Please enter a username');
+      return;
+    }
+
+    try {
+      setIsJoining(true);
+      const response = await api.post('/api/quick-play', { username: playerName, gridSize });
+      const { roomCode: matchedRoom, created } = response.data;
+
+      toast(created ? 'No open rooms yet, so we made one for you' : 'Found a room!', { icon: '🎲' });
+      joinRoom(matchedRoom);
+    } catch (error) {
+      console.error('Error finding a game:', error);
+      toast.error(error.response?.data?.details || error.message || 'Unable to find a game');
+      setIsJoining(false);
     }
   };
 
@@ -189,37 +271,283 @@ const HomePage = () => {
               Welcome to Bingo Buzz
             </h2>
 
-            {/* Username input */}
+            {/* Account */}
+            <div className="mb-6">
+              <AuthPanel />
+            </div>
+
+            {/* Guest name input */}
+            {!user && (
+              <div className="mb-6">
+                <label className="block text-sm font-medium mb-2 dark:text-gray-300">
+                  Or play as a guest
+                </label>
+                <input
+                  type="text"
+                  value={username}
+                  onChange={(e) => saveUsername(e.target.value)}
+                  placeholder="Enter your name"
+                  className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  Guest games don't count towards the leaderboard.
+                </p>
+              </div>
+            )}
+
+            {/* Game mode selection */}
             <div className="mb-6">
               <label className="block text-sm font-medium mb-2 dark:text-gray-300">
-                Your Name
+                Game Mode
               </label>
-              <input
-                type="text"
-                value={username}
-                onChange={(e) => saveUsername(e.target.value)}
-                placeholder="Enter your name"
+              <select
+                value={mode}
+                onChange={(e) => {
+                  const nextMode = e.target.value;
+                  setMode(nextMode);
+                  setLinesToWin(getDefaultLinesToWin(isCallerMode(nextMode) ? getCallerGridSize(nextMode) : gridSize, nextMode));
+                }}
                 className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
-              />
+              >
+                {MODE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                {MODE_OPTIONS.find(option => option.value === mode).description}
+              </p>
             </div>
 
+            {/* Caller speed */}
+            {callerMode && (
+              <div className="mb-6">
+                <label className="block text-sm font-medium mb-2 dark:text-gray-300">
+                  Call a Number Every
+                </label>
+                <select
+                  value={callInterval}
+                  onChange={(e) => setCallInterval(Number(e.target.value))}
+                  className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                >
+                  {CALL_INTERVAL_OPTIONS.map(interval => (
+                    <option key={interval} value={interval}>{interval / 1000} seconds</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Grid size selection */}
+            {!callerMode && (
+              <div className="mb-6">
+                <label className="block text-sm font-medium mb-2 dark:text-gray-300">
+                  Grid Size
+                </label>
+                <select
+                  value={gridSize}
+                  onChange={(e) => {
+                    setGridSize(e.target.value);
+                    setLinesToWin(getDefaultLinesToWin(e.target.value));
+                  }}
+                  className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                >
+                  <optgroup label="Square">
+                    <option value="5x5">5x5</option>
+                    <option value="6x6">6x6</option>
+                    <option value="7x7">7x7</option>
+                    <option value="8x8">8x8</option>
+                  </optgroup>
+                  <optgroup label="Rectangular (rows and columns only)">
+                    <option value="4x6">4x6</option>
+                    <option value="5x7">5x7</option>
+                    <option value="6x8">6x8</option>
+                  </optgroup>
+                </select>
+              </div>
+            )}
+
+            {/* Winning line count */}
+            <div className="mb-6">
+              <label className="block text-sm font-medium mb-2 dark:text-gray-300">
+                Lines to Win
+              </label>
+              <select
+                value={linesToWin}
+                onChange={(e) => setLinesToWin(Number(e.target.value))}
+                className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              >
+                {Array.from({ length: getTotalLines(effectiveGridSize, mode) }, (_, i) => i + 1).map(count => (
+                  <option key={count} value={count}>
+                    {count}{count === getDefaultLinesToWin(effectiveGridSize, mode) ? ' (recommended)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Turn-based options: Bingo claims (caller-mode rooms always require them) and hints */}
+            {!callerMode && (
+              <div className="mb-6">
+                <label className="flex items-center space-x-2 text-sm font-medium dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={manualClaims}
+                    onChange={(e) => setManualClaims(e.target.checked)}
+                    className="rounded"
+                  />
+                  <span>Players must call Bingo! to win</span>
+                </label>
+                <label className="flex items-center space-x-2 text-sm font-medium mt-3 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={hintsEnabled}
+                    onChange={(e) => setHintsEnabled(e.target.checked)}
+                    className="rounded"
+                  />
+                  <span>Allow move hints (turn off for competitive games)</span>
+                </label>
+              </div>
+            )}
+
+            {/* Turn timer (caller-mode rooms have no turns) */}
+            {!callerMode && (
+              <div className="mb-6">
+                <label className="block text-sm font-medium mb-2 dark:text-gray-300">
+                  Turn Length
+                </label>
+                <select
+                  value={turnDuration}
+                  onChange={(e) => setTurnDuration(parseInt(e.target.value, 10))}
+                  className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                >
+                  {TURN_DURATION_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+
+                {turnDuration !== UNLIMITED_TURN_DURATION && (
+                  <>
+                    <label className="block text-sm font-medium mt-3 mb-2 dark:text-gray-300">
+                      When Time Runs Out
+                    </label>
+                    <select
+                      value={timeoutAction}
+                      onChange={(e) => setTimeoutAction(e.target.value)}
+                      className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    >
+                      {TIMEOUT_ACTION_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </>
+                )}
+
+                {turnDuration !== UNLIMITED_TURN_DURATION && timeoutAction === TIMEOUT_ACTIONS.FORFEIT && (
+                  <>
+                    <label className="block text-sm font-medium mt-3 mb-2 dark:text-gray-300">
+                      Forfeit After
+                    </label>
+                    <select
+                      value={forfeitAfter}
+                      onChange={(e) => setForfeitAfter(parseInt(e.target.value, 10))}
+                      className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                    >
+                      {FORFEIT_AFTER_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </>
+                )}
+              </div>
+            )}
+
+            {(callerMode || manualClaims) && (
+              <div className="mb-6">
+                <label className="block text-sm font-medium mb-2 dark:text-gray-300">
+                  False Claim Penalty
+                </label>
+                <select
+                  value={falseClaimPenalty}
+                  onChange={(e) => setFalseClaimPenalty(e.target.value)}
+                  className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                >
+                  {CLAIM_PENALTY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {getPenaltyLabel(option.value, callerMode)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Series */}
             <div className="mb-6">
               <label className="block text-sm font-medium mb-2 dark:text-gray-300">
-                Grid Size
+                Series
               </label>
               <select
-                value={gridSize}
-                onChange={(e) => setGridSize(e.target.value)}
+                value={seriesLength}
+                onChange={(e) => setSeriesLength(parseInt(e.target.value, 10))}
                 className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
               >
-                <option value="5x5">5x5</option>
-                <option value="6x6">6x6</option>
-                <option value="7x7">7x7</option>
-                <option value="8x8">8x8</option>
+                {SERIES_LENGTH_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
               </select>
             </div>
 
+            {/* Room visibility */}
+            <div className="mb-6">
+              <label className="flex items-center space-x-2 text-sm font-medium dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={isPublic}
+                  onChange={(e) => setIsPublic(e.target.checked)}
+                  className="rounded"
+                />
+                <span>List this room publicly so anyone can join</span>
+              </label>
+            </div>
+
+            {/* Room password */}
+            <div className="mb-6">
+              <label className="block text-sm font-medium mb-2 dark:text-gray-300">
+                Room Password (optional)
+              </label>
+              <input
+                type="password"
+                value={roomPassword}
+                onChange={(e) => setRoomPassword(e.target.value)}
+                maxLength={MAX_ROOM_PASSWORD_LENGTH}
+                placeholder="Leave blank for an open room"
+                className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              />
+              {roomPassword && roomPassword.length < MIN_ROOM_PASSWORD_LENGTH && (
+                <p className="text-xs text-red-500 mt-1">
+                  Use at least {MIN_ROOM_PASSWORD_LENGTH} characters
+                </p>
+              )}
+            </div>
+
+            {/* Spectators */}
+            <div className="mb-6">
+              <label className="flex items-center space-x-2 text-sm font-medium dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={spectatorGrids}
+                  onChange={(e) => setSpectatorGrids(e.target.checked)}
+                  className="rounded"
+                />
+                <span>Let spectators see every player's card</span>
+              </label>
+            </div>
+
             {/* Create game button */}
             <button
               onClick={handleCreateGame}
@@ -249,7 +577,31 @@ const HomePage = () => {
                 >
                   Join
                 </button>
+                <button
+                  onClick={() => navigate(`/spectate/${roomCode}`)}
+                  disabled={!roomCode}
+                  className="px-4 py-3 border rounded-lg font-medium focus:outline-none focus:ring-2 focus:ring-accent-500 disabled:opacity-50 dark:border-gray-600 dark:text-white"
+                  title="Watch this game without playing"
+                >
+                  Watch
+                </button>
+              </div>
+            </div>
+
+            {/* Public rooms and Quick Play */}
+            <div className="mt-8">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-lg font-semibold dark:text-white">Public Rooms</h3>
+                <button
+                  onClick={handleQuickPlay}
+                  disabled={isJoining}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-lg text-sm font-medium hover:bg-primary-700 disabled:opacity-50"
+                  title={`Join or open a public ${gridSize} room`}
+                >
+                  Quick Play ({gridSize})
+                </button>
               </div>
+              <PublicRoomList onJoin={joinRoom} disabled={isJoining} />
             </div>
           </div>
         </div>
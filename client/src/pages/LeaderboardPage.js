@@ -1,34 +1,133 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import axios from 'axios';
-import { ThemeContext } from '../context/ThemeContext';
 import ThemeSwitcher from '../components/ThemeSwitcher';
+import api from '../utils/api';
+
+const PAGE_SIZE = 20;
+
+// Columns that can be sorted on the server
+const SORTABLE_COLUMNS = [
+  { key: 'gamesWon', label: 'Games Won' },
+  { key: 'winPercentage', label: 'Win Rate' },
+  { key: 'highScore', label: 'Highest Score' },
+  { key: 'averageScore', label: 'Average Score' }
+];
+
+const MIN_GAMES_OPTIONS = [0, 5, 10, 25];
+
+// Rolling leaderboard windows supported by the server
+const WINDOW_TABS = [
+  { key: 'all', label: 'All Time' },
+  { key: 'monthly', label: 'Last 30 Days' },
+  { key: 'weekly', label: 'Last 7 Days' },
+  { key: 'daily', label: 'Last 24 Hours' }
+];
 
 const LeaderboardPage = () => {
   const [leaderboard, setLeaderboard] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [error, setError] = useState(null);
-  const { theme } = useContext(ThemeContext);
-  
+
+  // Filters
+  const [timeWindow, setTimeWindow] = useState('all');
+  const [sortBy, setSortBy] = useState('gamesWon');
+  const [order, setOrder] = useState('desc');
+  const [minGames, setMinGames] = useState(0);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+
+  const sentinelRef = useRef(null);
+  const requestIdRef = useRef(0);
+
+  // Debounce the search box so we don't query on every keystroke
   useEffect(() => {
-    const fetchLeaderboard = async () => {
-      try {
-        setIsLoading(true);
-        const response = await axios.get('/api/leaderboard');
-        setLeaderboard(response.data);
-        setError(null);
-      } catch (error) {
-        console.error('Error fetching leaderboard:', error);
-        setError('Failed to load leaderboard data. Please try again later.');
-      } finally {
+    const timeout = setTimeout(() => setSearch(searchInput.trim()), 300);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
+  const fetchPage = useCallback(async (pageToLoad) => {
+    const requestId = ++requestIdRef.current;
+
+    if (pageToLoad === 1) {
+      setIsLoading(true);
+    } else {
+      setIsLoadingMore(true);
+    }
+
+    try {
+      const response = await api.get('/api/leaderboard', {
+        params: { window: timeWindow, page: pageToLoad, limit: PAGE_SIZE, sortBy, order, minGames, search }
+      });
+
+      // Ignore responses for filters that are no longer active
+      if (requestId !== requestIdRef.current) return;
+
+      const { players, pagination } = response.data;
+      setLeaderboard(prev => (pageToLoad === 1 ? players : [...prev, ...players]));
+      setPage(pagination.page);
+      setHasMore(pagination.hasMore);
+      setError(null);
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error fetching leaderboard:', error);
+      setError('Failed to load leaderboard data. Please try again later.');
+    } finally {
+      if (requestId === requestIdRef.current) {
         setIsLoading(false);
+        setIsLoadingMore(false);
       }
-    };
-    
-    fetchLeaderboard();
-  }, []);
-  
+    }
+  }, [timeWindow, sortBy, order, minGames, search]);
+
+  // Reload from the first page whenever the filters change
+  useEffect(() => {
+    fetchPage(1);
+  }, [fetchPage]);
+
+  // Infinite scroll: load the next page when the sentinel comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || isLoading) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting && !isLoadingMore) {
+        fetchPage(page + 1);
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, isLoading, isLoadingMore, page, fetchPage]);
+
+  const handleSort = (column) => {
+    if (column === sortBy) {
+      setOrder(prev => (prev === 'desc' ? 'asc' : 'desc'));
+    } else {
+      setSortBy(column);
+      setOrder('desc');
+    }
+  };
+
+  const getRankBadge = (rank) => {
+    if (rank === 1) return '🥇';
+    if (rank === 2) return '🥈';
+    if (rank === 3) return '🥉';
+    return rank;
+  };
+
+  const getRankColor = (rank) => {
+    if (rank === 1) return 'bg-yellow-500';
+    if (rank === 2) return 'bg-gray-400';
+    if (rank === 3) return 'bg-amber-700';
+    return 'bg-gray-300';
+  };
+
+  const headerClassName = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
   return (
     <div className="min-h-screen flex flex-col">
       {/* Header */}
@@ -41,7 +140,7 @@ const LeaderboardPage = () => {
           </div>
         </div>
       </header>
-      
+
       {/* Main content */}
       <main className="flex-1 container mx-auto px-4 py-8">
         <motion.div
@@ -53,7 +152,50 @@ const LeaderboardPage = () => {
           <h2 className="text-4xl font-bold mb-2">Leaderboard</h2>
           <p className="text-xl">Top players and their achievements</p>
         </motion.div>
-        
+
+        {/* Time window tabs */}
+        <div className="flex flex-wrap justify-center gap-2 mb-6" role="tablist">
+          {WINDOW_TABS.map(tab => (
+            <button
+              key={tab.key}
+              type="button"
+              role="tab"
+              aria-selected={timeWindow === tab.key}
+              onClick={() => setTimeWindow(tab.key)}
+              className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+                timeWindow === tab.key
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search players"
+            className="w-full sm:w-64 p-3 border rounded-lg focus:ring-2 focus:ring-primary-500 text-gray-900"
+          />
+          <label className="flex items-center space-x-2 text-sm">
+            <span>Minimum games</span>
+            <select
+              value={minGames}
+              onChange={(e) => setMinGames(Number(e.target.value))}
+              className="p-2 border rounded-lg focus:ring-2 focus:ring-primary-500 text-gray-900"
+            >
+              {MIN_GAMES_OPTIONS.map(value => (
+                <option key={value} value={value}>{value === 0 ? 'Any' : `${value}+`}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
         {isLoading ? (
           <div className="flex justify-center items-center h-64">
             <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
@@ -68,50 +210,60 @@ const LeaderboardPage = () => {
               <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
                   <tr>
-                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    <th scope="col" className={headerClassName}>
                       Rank
                     </th>
-                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    <th scope="col" className={headerClassName}>
                       Player
                     </th>
-                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    <th scope="col" className={headerClassName}>
                       Games Played
                     </th>
-                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Games Won
-                    </th>
-                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Win Rate
-                    </th>
-                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Highest Score
-                    </th>
-                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Average Score
-                    </th>
+                    {SORTABLE_COLUMNS.map(column => (
+                      <th
+                        key={column.key}
+                        scope="col"
+                        className={headerClassName}
+                        aria-sort={sortBy === column.key ? (order === 'asc' ? 'ascending' : 'descending') : 'none'}
+                      >
+                        <button
+                          type="button"
+                          onClick={() => handleSort(column.key)}
+                          className={`uppercase tracking-wider hover:text-gray-900 ${sortBy === column.key ? 'text-gray-900 font-bold' : ''}`}
+                        >
+                          {column.label}
+                          {sortBy === column.key && (order === 'desc' ? ' ▼' : ' ▲')}
+                        </button>
+                      </th>
+                    ))}
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {leaderboard.length > 0 ? (
                     leaderboard.map((player, index) => (
-                      <motion.tr 
+                      <motion.tr
                         key={player._id}
                         initial={{ opacity: 0 }}
                         animate={{ opacity: 1 }}
-                        transition={{ delay: index * 0.1 }}
+                        transition={{ delay: (index % PAGE_SIZE) * 0.05 }}
                       >
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="flex items-center">
                             <div className={`
                               flex-shrink-0 h-8 w-8 rounded-full flex items-center justify-center text-white
-                              ${index === 0 ? 'bg-yellow-500' : index === 1 ? 'bg-gray-400' : index === 2 ? 'bg-amber-700' : 'bg-gray-300'}
+                              ${getRankColor(player.rank)}
                             `}>
-                              {index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : index + 1}
+                              {getRankBadge(player.rank)}
                             </div>
                           </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
-                          <div className="text-sm font-medium text-gray-900">{player.username}</div>
+                          <Link
+                            to={`/player/${encodeURIComponent(player.username)}`}
+                            className="text-sm font-medium text-gray-900 hover:text-primary-600 hover:underline"
+                          >
+                            {player.username}
+                          </Link>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {player.gamesPlayed}
@@ -133,17 +285,29 @@ const LeaderboardPage = () => {
                   ) : (
                     <tr>
                       <td colSpan="7" className="px-6 py-8 text-center text-gray-500">
-                        No leaderboard data available yet. Start playing to appear here!
+                        {search || minGames > 0
+                          ? 'No players match these filters.'
+                          : timeWindow !== 'all'
+                            ? 'No games have been played in this period yet.'
+                            : 'No leaderboard data available yet. Start playing to appear here!'}
                       </td>
                     </tr>
                   )}
                 </tbody>
               </table>
             </div>
+
+            {/* Infinite scroll sentinel */}
+            <div ref={sentinelRef} className="h-1" />
+            {isLoadingMore && (
+              <div className="flex justify-center py-4">
+                <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+              </div>
+            )}
           </div>
         )}
       </main>
-      
+
       {/* Footer */}
       <footer className="bg-gray-100 p-4 text-center">
         <p>&copy; {new Date().getFullYear()} Bingo Buzz. All rights reserved.</p>
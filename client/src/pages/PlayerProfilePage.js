@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import ThemeSwitcher from '../components/ThemeSwitcher';
+import api from '../utils/api';
+
+const PlayerProfilePage = () => {
+  const { username } = useParams();
+  const [profile, setProfile] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchProfile = async () => {
+      setIsLoading(true);
+      try {
+        const response = await api.get(`/api/players/${encodeURIComponent(username)}`);
+        if (cancelled) return;
+        setProfile(response.data);
+        setError(null);
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Error fetching player profile:', error);
+        setError(error.response?.status === 404
+          ? `No games have been recorded for ${username} yet.`
+          : 'Failed to load this player. Please try again later.');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchProfile();
+    return () => {
+      cancelled = true;
+    };
+  }, [username]);
+
+  const formatDuration = (ms) => {
+    if (!ms) return '—';
+    const totalSeconds = Math.round(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+  const getMatchOutcome = (match) => {
+    const entry = match.players.find(p => p.username === username);
+    if (entry?.won) return { label: 'Won', className: 'text-green-600' };
+    if (!match.winner) return { label: 'Unfinished', className: 'text-gray-500' };
+    return { label: 'Lost', className: 'text-red-600' };
+  };
+
+  const stats = profile?.stats;
+
+  const statCards = profile ? [
+    { label: 'Games Played', value: stats?.gamesPlayed ?? 0 },
+    { label: 'Games Won', value: stats?.gamesWon ?? 0 },
+    { label: 'Games Lost', value: stats?.gamesLost ?? 0 },
+    { label: 'Abandoned', value: stats?.gamesAbandoned ?? 0 },
+    { label: 'Win Rate', value: `${stats?.winPercentage ?? 0}%` },
+    { label: 'Current Streak', value: stats?.currentWinStreak ?? 0 },
+    { label: 'Best Streak', value: stats?.bestWinStreak ?? 0 },
+    { label: 'Highest Score', value: stats?.highScore ?? 0 },
+    { label: 'Average Score', value: stats?.averageScore ?? 0 },
+    { label: 'Series Won', value: `${stats?.seriesWon ?? 0}/${stats?.seriesPlayed ?? 0}` },
+    { label: 'Favourite Grid', value: profile.favouriteGridSize || '—' },
+    { label: 'Avg Lines at End', value: profile.averageLinesCompleted },
+    { label: 'Avg Time to Win', value: formatDuration(profile.averageTimeToWin) }
+  ] : [];
+
+  const headerClassName = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      {/* Header */}
+      <header className="bg-gradient-to-r from-primary-600 to-accent-600 p-4 text-white">
+        <div className="container mx-auto flex justify-between items-center">
+          <h1 className="text-3xl font-bold">Bingo Buzz</h1>
+          <div className="flex items-center space-x-4">
+            <Link to="/" className="hover:underline">Home</Link>
+            <Link to="/leaderboard" className="hover:underline">Leaderboard</Link>
+            <ThemeSwitcher />
+          </div>
+        </div>
+      </header>
+
+      {/* Main content */}
+      <main className="flex-1 container mx-auto px-4 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+          className="text-center mb-8"
+        >
+          <h2 className="text-4xl font-bold mb-2">{username}</h2>
+          {stats && <p className="text-xl">Playing since {formatDate(stats.createdAt)}</p>}
+        </motion.div>
+
+        {isLoading ? (
+          <div className="flex justify-center items-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+          </div>
+        ) : error ? (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+            <span className="block sm:inline">{error}</span>
+          </div>
+        ) : (
+          <>
+            {/* Lifetime stats */}
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4 mb-8">
+              {statCards.map((card, index) => (
+                <motion.div
+                  key={card.label}
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  transition={{ delay: index * 0.03 }}
+                  className="bg-white rounded-lg shadow p-4 text-center"
+                >
+                  <div className="text-2xl font-bold text-gray-900">{card.value}</div>
+                  <div className="text-xs uppercase tracking-wider text-gray-500 mt-1">{card.label}</div>
+                </motion.div>
+              ))}
+            </div>
+
+            {/* Win-rate trend */}
+            <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+              <h3 className="text-xl font-bold text-gray-900 mb-4">Weekly Win Rate</h3>
+              {profile.winRateTrend.length > 0 ? (
+                <div className="flex items-end h-40 gap-2">
+                  {profile.winRateTrend.map(point => (
+                    <div
+                      key={point.week}
+                      className="flex-1 flex flex-col items-center justify-end h-full"
+                      title={`${point.week}: ${point.gamesWon}/${point.gamesPlayed} won`}
+                    >
+                      <span className="text-xs text-gray-700 mb-1">{point.winPercentage}%</span>
+                      <div
+                        className="w-full bg-primary-600 rounded-t"
+                        style={{ height: `${Math.max(point.winPercentage, 2)}%` }}
+                      />
+                      <span className="text-xs text-gray-500 mt-1">{formatDate(point.weekStart)}</span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-gray-500">No recent games to chart yet.</p>
+              )}
+            </div>
+
+            {/* Recent matches */}
+            <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+              <h3 className="text-xl font-bold text-gray-900 p-6 pb-2">Recent Matches</h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th scope="col" className={headerClassName}>Date</th>
+                      <th scope="col" className={headerClassName}>Result</th>
+                      <th scope="col" className={headerClassName}>Grid</th>
+                      <th scope="col" className={headerClassName}>Players</th>
+                      <th scope="col" className={headerClassName}>Length</th>
+                      <th scope="col" className={headerClassName}>Replay</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {profile.recentMatches.length > 0 ? (
+                      profile.recentMatches.map(match => {
+                        const outcome = getMatchOutcome(match);
+                        return (
+                          <tr key={match._id}>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(match.endedAt)}</td>
+                            <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${outcome.className}`}>{outcome.label}</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{match.gridSize}</td>
+                            <td className="px-6 py-4 text-sm text-gray-500">
+                              {match.players.map(p => p.username).join(', ')}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDuration(match.duration)}</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                              <Link to={`/replay/${match._id}`} className="text-primary-600 hover:underline">Watch</Link>
+                            </td>
+                          </tr>
+                        );
+                      })
+                    ) : (
+                      <tr>
+                        <td colSpan="6" className="px-6 py-8 text-center text-gray-500">
+                          No matches recorded yet.
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+      </main>
+
+      {/* Footer */}
+      <footer className="bg-gray-100 p-4 text-center">
+        <p>&copy; {new Date().getFullYear()} Bingo Buzz. All rights reserved.</p>
+      </footer>
+    </div>
+  );
+};
+
+export default PlayerProfilePage;
@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import ThemeSwitcher from '../components/ThemeSwitcher';
+import BingoGrid from '../components/BingoGrid';
+import api from '../utils/api';
+import { getCompletedLines } from '../utils/gridLines';
+import { GAME_MODES, BINGO_75_LETTERS, isCallerMode } from '../utils/gameModes';
+
+// Time between calls at 1x speed
+const BASE_STEP_INTERVAL = 1500;
+
+const SPEED_OPTIONS = [0.5, 1, 2, 4];
+
+const ReplayPage = () => {
+  const { matchId } = useParams();
+  const [match, setMatch] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Playback state: step is the number of calls that have been replayed
+  const [step, setStep] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchMatch = async () => {
+      setIsLoading(true);
+      try {
+        const response = await api.get(`/api/matches/${matchId}`);
+        if (cancelled) return;
+        setMatch(response.data);
+        setStep(0);
+        setIsPlaying(false);
+        setError(null);
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Error fetching match:', error);
+        setError(error.response?.status === 404
+          ? 'This match could not be found.'
+          : 'Failed to load the match. Please try again later.');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchMatch();
+    return () => {
+      cancelled = true;
+    };
+  }, [matchId]);
+
+  const calls = useMemo(() => (match ? match.calls : []), [match]);
+  const totalSteps = calls.length;
+
+  // Advance one call at a time while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    if (step >= totalSteps) {
+      setIsPlaying(false);
+      return;
+    }
+
+    const timeout = setTimeout(() => setStep(prev => prev + 1), BASE_STEP_INTERVAL / speed);
+    return () => clearTimeout(timeout);
+  }, [isPlaying, step, totalSteps, speed]);
+
+  const markedNumbers = useMemo(
+    () => new Set(calls.slice(0, step).map(call => call.number)),
+    [calls, step]
+  );
+
+  const currentCall = step > 0 ? calls[step - 1] : null;
+
+  // Marked cells and completed lines for every player at the current step
+  const playerBoards = useMemo(() => {
+    if (!match) return [];
+
+    return match.players.map(player => {
+      const flatGrid = player.grid.flat();
+      const completedLines = getCompletedLines(player.grid, markedNumbers, match.mode);
+
+      return {
+        ...player,
+        markedCells: flatGrid.reduce((cells, number, index) => {
+          if (markedNumbers.has(number)) cells.push(index);
+          return cells;
+        }, []),
+        winningCells: [...new Set(completedLines.flatMap(line => line.cells))],
+        linesCompleted: completedLines.length
+      };
+    });
+  }, [match, markedNumbers]);
+
+  const handlePlayPause = () => {
+    // Restart from the beginning if the replay has finished
+    if (!isPlaying && step >= totalSteps) {
+      setStep(0);
+    }
+    setIsPlaying(prev => !prev);
+  };
+
+  const handleScrub = (e) => {
+    setIsPlaying(false);
+    setStep(Number(e.target.value));
+  };
+
+  const goToStep = (value) => {
+    setIsPlaying(false);
+    setStep(Math.min(Math.max(value, 0), totalSteps));
+  };
+
+  const formatDuration = (ms) => {
+    const totalSeconds = Math.round((ms || 0) / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  };
+
+  const buttonClassName = 'px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      {/* Header */}
+      <header className="bg-gradient-to-r from-primary-600 to-accent-600 p-4 text-white">
+        <div className="container mx-auto flex justify-between items-center">
+          <h1 className="text-3xl font-bold">Bingo Buzz</h1>
+          <div className="flex items-center space-x-4">
+            <Link to="/" className="hover:underline">Home</Link>
+            <Link to="/leaderboard" className="hover:underline">Leaderboard</Link>
+            <ThemeSwitcher />
+          </div>
+        </div>
+      </header>
+
+      {/* Main content */}
+      <main className="flex-1 container mx-auto px-4 py-8">
+        {isLoading ? (
+          <div className="flex justify-center items-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+          </div>
+        ) : error ? (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+            <span className="block sm:inline">{error}</span>
+          </div>
+        ) : (
+          <>
+            <motion.div
+              initial={{ opacity: 0, y: -20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.5 }}
+              className="text-center mb-8"
+            >
+              <h2 className="text-4xl font-bold mb-2">Match Replay</h2>
+              <p className="text-xl">
+                Room {match.roomCode} &middot; {match.gridSize} &middot; {formatDuration(match.duration)}
+                {match.winner && <> &middot; Won by {match.winner}</>}
+              </p>
+              {match.series && (
+                <p className="text-sm opacity-70 mt-1">
+                  Round {match.series.round} of a first-to-{match.series.length} series
+                  {match.series.champion && <> &middot; {match.series.champion} took the series</>}
+                </p>
+              )}
+            </motion.div>
+
+            {/* Playback controls */}
+            <div className="bg-white rounded-lg shadow-lg p-4 mb-8 text-gray-900">
+              <div className="flex flex-wrap items-center justify-center gap-2 mb-4">
+                <button
+                  type="button"
+                  onClick={() => goToStep(0)}
+                  disabled={step === 0}
+                  className={`${buttonClassName} bg-gray-200 hover:bg-gray-300`}
+                  aria-label="Back to start"
+                >
+                  ⏮
+                </button>
+                <button
+                  type="button"
+                  onClick={() => goToStep(step - 1)}
+                  disabled={step === 0}
+                  className={`${buttonClassName} bg-gray-200 hover:bg-gray-300`}
+                  aria-label="Previous call"
+                >
+                  ◀
+                </button>
+                <button
+                  type="button"
+                  onClick={handlePlayPause}
+                  disabled={totalSteps === 0}
+                  className={`${buttonClassName} bg-primary-600 text-white hover:bg-primary-700 w-24`}
+                >
+                  {isPlaying ? 'Pause' : step >= totalSteps && totalSteps > 0 ? 'Replay' : 'Play'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => goToStep(step + 1)}
+                  disabled={step >= totalSteps}
+                  className={`${buttonClassName} bg-gray-200 hover:bg-gray-300`}
+                  aria-label="Next call"
+                >
+                  ▶
+                </button>
+                <button
+                  type="button"
+                  onClick={() => goToStep(totalSteps)}
+                  disabled={step >= totalSteps}
+                  className={`${buttonClassName} bg-gray-200 hover:bg-gray-300`}
+                  aria-label="Jump to end"
+                >
+                  ⏭
+                </button>
+                <label className="flex items-center space-x-2 text-sm ml-2">
+                  <span>Speed</span>
+                  <select
+                    value={speed}
+                    onChange={(e) => setSpeed(Number(e.target.value))}
+                    className="p-2 border rounded-lg focus:ring-2 focus:ring-primary-500"
+                  >
+                    {SPEED_OPTIONS.map(value => (
+                      <option key={value} value={value}>{value}x</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <input
+                type="range"
+                min="0"
+                max={totalSteps}
+                value={step}
+                onChange={handleScrub}
+                className="w-full"
+                aria-label="Replay position"
+              />
+
+              <div className="flex justify-between text-sm mt-2">
+                <span>Call {step} of {totalSteps}</span>
+                <span>
+                  {currentCall
+                    ? isCallerMode(match.mode)
+                      ? `${currentCall.number} called`
+                      : `${currentCall.number} called by ${currentCall.calledBy || 'unknown'}${currentCall.automatic ? ' (auto)' : ''}`
+                    : 'Game start'}
+                </span>
+              </div>
+            </div>
+
+            {/* Player grids */}
+            <div className="grid gap-8 md:grid-cols-2">
+              {playerBoards.map(player => (
+                <div key={player.username} className="bg-white rounded-lg shadow-lg p-4 text-gray-900">
+                  <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold">
+                      {player.username}
+                      {player.won && step >= totalSteps && ' 🏆'}
+                    </h3>
+                    <span className="text-sm">
+                      {player.linesCompleted} {player.linesCompleted === 1 ? 'line' : 'lines'}
+                      {match.hintsEnabled && ` · ${player.hintsUsed || 0} ${player.hintsUsed === 1 ? 'hint' : 'hints'}`}
+                    </span>
+                  </div>
+                  <BingoGrid
+                    grid={player.grid}
+                    markedCells={player.markedCells}
+                    winningLines={player.winningCells}
+                    lastMarkedNumber={currentCall ? currentCall.number : null}
+                    columnHeaders={match.mode === GAME_MODES.BINGO_75 ? BINGO_75_LETTERS : null}
+                    emptyCellLabel={match.mode === GAME_MODES.BINGO_75 ? 'FREE' : ''}
+                    isReadOnly
+                  />
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </main>
+
+      {/* Footer */}
+      <footer className="bg-gray-100 p-4 text-center">
+        <p>&copy; {new Date().getFullYear()} Bingo Buzz. All rights reserved.</p>
+      </footer>
+    </div>
+  );
+};
+
+export default ReplayPage;
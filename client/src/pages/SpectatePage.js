@@ -0,0 +1,295 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useTheme } from '../context/ThemeContext';
+import BingoGrid from '../components/BingoGrid';
+import PlayerList from '../components/PlayerList';
+import CallerBoard from '../components/CallerBoard';
+import ThemeSwitcher from '../components/ThemeSwitcher';
+import RoomPasswordForm from '../components/RoomPasswordForm';
+import { socket } from '../socket';
+import { GAME_MODES, BINGO_75_LETTERS, isCallerMode } from '../utils/gameModes';
+import { JOIN_ERROR_CODES, isPasswordError } from '../utils/roomAccess';
+
+// Turn the server's line-progress payload into a lookup by player id
+const toProgressMap = (data) => Object.fromEntries(
+  (data?.players || []).map(({ id, ...progress }) => [id, progress])
+);
+
+const SpectatePage = () => {
+  const { roomCode } = useParams();
+  const { theme } = useTheme();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [players, setPlayers] = useState([]);
+  const [settings, setSettings] = useState({});
+  const [gameStarted, setGameStarted] = useState(false);
+  const [currentTurn, setCurrentTurn] = useState(null);
+  const [markedNumbers, setMarkedNumbers] = useState([]);
+  const [lastMarkedNumber, setLastMarkedNumber] = useState(null);
+  const [lineProgress, setLineProgress] = useState({});
+  const [grids, setGrids] = useState(null);
+  const [spectatorCount, setSpectatorCount] = useState(0);
+  const [winner, setWinner] = useState(null);
+  const [invite, setInvite] = useState(searchParams.get('invite'));
+  const [roomPassword, setRoomPassword] = useState(null);
+  const [passwordError, setPasswordError] = useState(null);
+
+  const callerMode = isCallerMode(settings.mode);
+
+  useEffect(() => {
+    const addNumber = (number) => {
+      setMarkedNumbers(prev => (prev.includes(number) ? prev : [...prev, number]));
+      setLastMarkedNumber(number);
+    };
+
+    const handleSpectating = (data) => {
+      setPlayers(data.players || []);
+      setSettings(data.settings || {});
+      setGameStarted(!!data.gameStarted);
+      setCurrentTurn(data.currentTurn || null);
+      setMarkedNumbers(data.markedNumbers || []);
+      setLastMarkedNumber(data.lastMarkedNumber ?? null);
+      setLineProgress(toProgressMap(data.lineProgress));
+      setGrids(data.grids || null);
+      setError(null);
+      setPasswordError(null);
+      setIsLoading(false);
+    };
+
+    // Private rooms ask for their password, and a bad invite falls back to asking for it
+    const handleSpectateError = (data) => {
+      if (isPasswordError(data)) {
+        setPasswordError(data);
+      } else if (data?.code === JOIN_ERROR_CODES.INVITE_INVALID) {
+        setInvite(null);
+        navigate(`/spectate/${roomCode}`, { replace: true });
+        return;
+      } else {
+        setError(data?.details || data?.message || 'Unable to watch this room');
+      }
+      setIsLoading(false);
+    };
+
+    const handlePlayers = (data) => {
+      if (Array.isArray(data?.players)) setPlayers(data.players);
+    };
+
+    const handleGameStarted = (data) => {
+      setGameStarted(true);
+      setWinner(null);
+      setMarkedNumbers([]);
+      setLastMarkedNumber(null);
+      if (data.players) setPlayers(data.players);
+      if (data.currentTurn) setCurrentTurn(data.currentTurn);
+    };
+
+    const handleTurnChanged = (data) => setCurrentTurn(data.currentTurn || data.playerId || null);
+    const handleNumber = (data) => addNumber(data.number);
+    const handleLineProgress = (data) => setLineProgress(toProgressMap(data));
+    const handleSpectators = (data) => setSpectatorCount(data?.count || 0);
+    const handleSettings = (data) => setSettings(data || {});
+
+    const handleGameWon = (data) => {
+      setWinner(data.player || null);
+      setGameStarted(false);
+    };
+
+    const spectate = () => socket.emit('spectate-room', {
+      roomCode,
+      username: localStorage.getItem('username') || '',
+      password: roomPassword,
+      invite
+    });
+
+    socket.on('connect', spectate);
+    socket.on('spectating', handleSpectating);
+    socket.on('spectate-error', handleSpectateError);
+    socket.on('player-joined', handlePlayers);
+    socket.on('player-left', handlePlayers);
+    socket.on('game-started', handleGameStarted);
+    socket.on('turn-changed', handleTurnChanged);
+    socket.on('number-marked', handleNumber);
+    socket.on('number-called', handleNumber);
+    socket.on('line-progress', handleLineProgress);
+    socket.on('spectators-updated', handleSpectators);
+    socket.on('spectator-grids', setGrids);
+    socket.on('room-settings-updated', handleSettings);
+    socket.on('game-won', handleGameWon);
+
+    if (socket.connected) spectate();
+
+    return () => {
+      socket.emit('stop-spectating', { roomCode });
+      socket.off('connect', spectate);
+      socket.off('spectating', handleSpectating);
+      socket.off('spectate-error', handleSpectateError);
+      socket.off('player-joined', handlePlayers);
+      socket.off('player-left', handlePlayers);
+      socket.off('game-started', handleGameStarted);
+      socket.off('turn-changed', handleTurnChanged);
+      socket.off('number-marked', handleNumber);
+      socket.off('number-called', handleNumber);
+      socket.off('line-progress', handleLineProgress);
+      socket.off('spectators-updated', handleSpectators);
+      socket.off('spectator-grids', setGrids);
+      socket.off('room-settings-updated', handleSettings);
+      socket.off('game-won', handleGameWon);
+    };
+  }, [roomCode, roomPassword, invite, navigate]);
+
+  const cardStyle = {
+    backgroundColor: theme.colors.card,
+    boxShadow: theme.effects?.cardShadow || '0 4px 6px rgba(0,0,0,0.1)',
+    border: `2px solid ${theme.colors.border}`
+  };
+
+  const status = winner
+    ? `Game over! ${winner.username} won!`
+    : gameStarted
+      ? callerMode
+        ? 'The caller is drawing numbers'
+        : `${players.find(p => p.id === currentTurn)?.username || 'Unknown'}'s turn`
+      : 'Waiting for the host to start the game';
+
+  if (passwordError) {
+    return (
+      <RoomPasswordForm
+        roomCode={roomCode}
+        error={passwordError}
+        onSubmit={setRoomPassword}
+        theme={theme}
+        watching
+      />
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <p className="text-xl">Connecting to room {roomCode}...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center p-4 text-center">
+        <p className="text-xl mb-4">{error}</p>
+        <Link to="/" className="text-primary-600 hover:underline">Back to Home</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="min-h-screen p-4 sm:p-6 md:p-8"
+      style={{ backgroundColor: theme.colors.background, color: theme.colors.text }}
+    >
+      <div className="max-w-6xl mx-auto">
+        <header className="flex flex-col md:flex-row justify-between items-center mb-8">
+          <div>
+            <h1 className="text-3xl font-bold mb-2">Watching Room: {roomCode}</h1>
+            <p className="text-sm opacity-70" aria-live="polite">{status}</p>
+          </div>
+          <div className="flex items-center mt-4 md:mt-0 space-x-3">
+            <span className="text-sm opacity-70">{spectatorCount} watching</span>
+            <ThemeSwitcher />
+            <Link
+              to="/"
+              className="px-4 py-2 rounded-full text-sm font-medium"
+              style={{ border: `1px solid ${theme.colors.border}` }}
+            >
+              Leave
+            </Link>
+          </div>
+        </header>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="lg:col-span-2 space-y-6"
+          >
+            {grids ? (
+              <div className="grid gap-6 md:grid-cols-2">
+                {players.map(player => (
+                  <div key={player.id} className="rounded-xl p-4 shadow-lg" style={cardStyle}>
+                    <h3 className="text-lg font-semibold mb-3">{player.username}</h3>
+                    <BingoGrid
+                      grid={grids[player.id] || []}
+                      markedCells={(grids[player.id] || []).flat().reduce((cells, number, index) => {
+                        if (markedNumbers.includes(number)) cells.push(index);
+                        return cells;
+                      }, [])}
+                      winningLines={[]}
+                      lastMarkedNumber={lastMarkedNumber}
+                      columnHeaders={settings.mode === GAME_MODES.BINGO_75 ? BINGO_75_LETTERS : null}
+                      emptyCellLabel={settings.mode === GAME_MODES.BINGO_75 ? 'FREE' : ''}
+                      isReadOnly
+                    />
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="rounded-xl p-6 shadow-lg" style={cardStyle}>
+                <h2 className="text-xl font-semibold mb-2">Players' cards are hidden</h2>
+                <p className="text-sm opacity-70">
+                  The host hasn't shared the players' cards with spectators. You can still follow every number and each player's line progress.
+                </p>
+              </div>
+            )}
+          </motion.div>
+
+          <div className="rounded-xl p-4 sm:p-6 shadow-lg" style={cardStyle}>
+            <div className="mb-6">
+              <h3 className="text-lg font-medium mb-2">
+                Players <span className="text-sm opacity-70">· {spectatorCount} watching</span>
+              </h3>
+              <PlayerList
+                players={players}
+                currentTurn={gameStarted && !callerMode ? currentTurn : null}
+                theme={theme}
+                hostUsername={settings.hostUsername}
+                lineProgress={lineProgress}
+              />
+            </div>
+
+            {callerMode ? (
+              <div>
+                <h3 className="text-lg font-medium mb-2">Caller Board</h3>
+                <CallerBoard mode={settings.mode} calledNumbers={markedNumbers} lastCalled={lastMarkedNumber} />
+              </div>
+            ) : (
+              <div>
+                <h3 className="text-lg font-medium mb-2">Marked Numbers</h3>
+                <div className="flex flex-wrap gap-2">
+                  {markedNumbers.map(number => (
+                    <div
+                      key={number}
+                      className="w-8 h-8 flex items-center justify-center rounded-full text-sm font-medium"
+                      style={{
+                        backgroundColor: number === lastMarkedNumber ? theme.colors.accent : theme.colors.primary,
+                        color: '#ffffff'
+                      }}
+                    >
+                      {number}
+                    </div>
+                  ))}
+                  {markedNumbers.length === 0 && (
+                    <p className="text-sm opacity-70">No numbers marked yet</p>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpectatePage;
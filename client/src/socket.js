@@ -1,4 +1,5 @@
 import { io } from 'socket.io-client';
+import { getAuthToken, clearSession, onSessionChange } from './utils/auth';
 
 // Define possible server URLs
 const SERVER_URLS = {
@@ -25,7 +26,13 @@ export const socket = io(PRIMARY_SERVER_URL, {
   reconnectionDelay: 1000,
   reconnectionDelayMax: 5000,
   timeout: 20000,
-  transports: ['websocket', 'polling']
+  transports: ['websocket', 'polling'],
+  auth: (cb) => cb({ token: getAuthToken() }) // Re-read on every (re)connect
+});
+
+// Reconnect so the handshake picks up a login or logout
+onSessionChange(() => {
+  socket.disconnect().connect();
 });
 
 // Add global error handler
@@ -38,6 +45,12 @@ let currentServerIndex = 0;
 socket.on('connect_error', (error) => {
   console.error(`Connection error with server ${getCurrentServerUrl()}:`, error);
 
+  // An expired or invalid session: drop it and carry on as a guest
+  if (error.data?.code === 'AUTH_INVALID') {
+    clearSession();
+    return;
+  }
+
   // Try the next server if available
   const serverList = process.env.NODE_ENV === 'production' ? SERVER_URLS.production : SERVER_URLS.development;
   currentServerIndex = (currentServerIndex + 1) % serverList.length;
@@ -0,0 +1,25 @@
+import axios from 'axios';
+import { getAuthToken } from './auth';
+
+// Base URL of the game server (without trailing slashes)
+export const API_BASE_URL = (process.env.REACT_APP_SERVER_URL || '').replace(/\/+$/, '');
+
+// Shared axios instance for REST calls to the game server
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  withCredentials: true,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+// Send the session token (if signed in) with every request
+api.interceptors.request.use((config) => {
+  const token = getAuthToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export default api;
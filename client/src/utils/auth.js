@@ -0,0 +1,62 @@
+/**
+ * auth.js - Session storage for signed-in players
+ * Guests have no session and play under the name saved in localStorage.
+ */
+
+const TOKEN_KEY = 'authToken';
+const USER_KEY = 'authUser';
+
+const listeners = new Set();
+
+/**
+ * Get the stored session token
+ * @returns {string|null} The token, or null when playing as a guest
+ */
+export function getAuthToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+/**
+ * Get the signed-in account
+ * @returns {Object|null} { id, username }, or null when playing as a guest
+ */
+export function getStoredUser() {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store a new session and notify listeners (e.g. sockets that need to re-authenticate)
+ * @param {Object} session - { token, user } as returned by the auth endpoints
+ */
+export function setSession({ token, user }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+  // Keep the legacy username key in sync for pages that still read it
+  localStorage.setItem('username', user.username);
+  listeners.forEach(listener => listener(user));
+}
+
+/**
+ * Remove the stored session and notify listeners
+ */
+export function clearSession() {
+  if (!getAuthToken() && !getStoredUser()) return;
+
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  listeners.forEach(listener => listener(null));
+}
+
+/**
+ * Subscribe to login and logout
+ * @param {Function} listener - Called with the new user, or null after logout
+ * @returns {Function} Unsubscribe function
+ */
+export function onSessionChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,18 @@
+/**
+ * bots.js - Computer-controlled players the host can add in the lobby
+ * Mirrors the server's botUtils.
+ */
+
+export const BOT_DIFFICULTIES = {
+  EASY: 'easy',
+  HARD: 'hard'
+};
+
+// Most bots a host can add to one room (matches the server)
+export const MAX_BOTS_PER_ROOM = 3;
+
+// Options shown to the host in the lobby
+export const BOT_DIFFICULTY_OPTIONS = [
+  { value: BOT_DIFFICULTIES.EASY, label: 'Easy', description: 'Marks random numbers' },
+  { value: BOT_DIFFICULTIES.HARD, label: 'Hard', description: 'Builds its own lines and blocks yours' }
+];
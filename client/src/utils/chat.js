@@ -0,0 +1,13 @@
+/**
+ * chat.js - In-room chat and one-tap reactions
+ * Mirrors the server's chatUtils.
+ */
+
+// Longest chat message a player can send (matches the server)
+export const MAX_MESSAGE_LENGTH = 200;
+
+// One-tap reactions players can float over the board (matches the server)
+export const REACTIONS = ['👍', '😂', '😮', '🎉', '😢', '🔥'];
+
+// How long a reaction stays on screen, in milliseconds
+export const REACTION_DURATION = 2500;
@@ -0,0 +1,57 @@
+/**
+ * claims.js - Bingo claim rules shared by the lobby and the game screen
+ * Mirrors the server's claimUtils: rooms that require claims wait for players
+ * to press Bingo!, and a claim that can't be verified carries a penalty.
+ */
+
+export const CLAIM_PENALTIES = {
+  NONE: 'none',
+  SKIP_TURN: 'skip-turn',
+  DEDUCT_POINTS: 'deduct-points'
+};
+
+export const DEFAULT_CLAIM_PENALTY = CLAIM_PENALTIES.SKIP_TURN;
+
+// Points taken off a player's room score for each false claim (matches the server)
+export const FALSE_CLAIM_POINTS = 10;
+
+// Options shown when creating a room
+export const CLAIM_PENALTY_OPTIONS = [
+  { value: CLAIM_PENALTIES.SKIP_TURN, label: 'Skip a turn' },
+  { value: CLAIM_PENALTIES.DEDUCT_POINTS, label: `Lose ${FALSE_CLAIM_POINTS} points` },
+  { value: CLAIM_PENALTIES.NONE, label: 'No penalty' }
+];
+
+/**
+ * Describe a false-claim penalty for players
+ * @param {Object|string} penalty - The penalty as { type, points } or a penalty id
+ * @param {boolean} callerMode - Caller-mode rooms have no turns to skip
+ * @returns {string} A short description, e.g. "loses 10 points"
+ */
+export function describePenalty(penalty, callerMode = false) {
+  const type = typeof penalty === 'string' ? penalty : penalty?.type;
+
+  switch (type) {
+    case CLAIM_PENALTIES.SKIP_TURN:
+      return callerMode ? 'must wait for the next number to claim again' : 'skips their next turn';
+    case CLAIM_PENALTIES.DEDUCT_POINTS:
+      return `loses ${penalty?.points || FALSE_CLAIM_POINTS} points`;
+    default:
+      return 'has no penalty';
+  }
+}
+
+/**
+ * Get the short label for a penalty, as shown to the player who received it
+ * @param {Object|string} penalty - The penalty as { type, points } or a penalty id
+ * @param {boolean} callerMode - Caller-mode rooms have no turns to skip
+ * @returns {string} The label, e.g. "Skip a turn"
+ */
+export function getPenaltyLabel(penalty, callerMode = false) {
+  const type = typeof penalty === 'string' ? penalty : penalty?.type;
+
+  if (type === CLAIM_PENALTIES.SKIP_TURN && callerMode) {
+    return 'Wait for the next number';
+  }
+  return CLAIM_PENALTY_OPTIONS.find(option => option.value === type)?.label || 'No penalty';
+}
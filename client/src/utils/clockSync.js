@@ -0,0 +1,34 @@
+/**
+ * clockSync.js - Estimate how far this device's clock is from the server's
+ * Each ping carries the local send time and the server's pong echoes it with
+ * its own time, so half the round trip tells us how old that server time is.
+ */
+
+// Recent samples kept; the one with the shortest round trip is the most accurate
+const MAX_SAMPLES = 8;
+
+export const createClockSync = () => {
+  let samples = [];
+
+  return {
+    // Record a pong ({ clientTime, serverTime }) received at receivedAt
+    addSample({ clientTime, serverTime } = {}, receivedAt = Date.now()) {
+      if (typeof clientTime !== 'number' || typeof serverTime !== 'number') return;
+
+      const roundTrip = receivedAt - clientTime;
+      if (roundTrip < 0) return;
+
+      samples = [...samples, { roundTrip, offset: serverTime + roundTrip / 2 - receivedAt }].slice(-MAX_SAMPLES);
+    },
+
+    // Milliseconds to add to the local clock to get the server's time
+    getOffset() {
+      if (samples.length === 0) return 0;
+      return samples.reduce((best, sample) => (sample.roundTrip < best.roundTrip ? sample : best)).offset;
+    }
+  };
+};
+
+// Milliseconds left until a server-time deadline, as seen from this device
+export const getTimeRemaining = (deadline, clockOffset = 0, now = Date.now()) =>
+  Math.max(deadline - (now + clockOffset), 0);
@@ -0,0 +1,50 @@
+import { createClockSync, getTimeRemaining } from './clockSync';
+
+describe('createClockSync', () => {
+  test('assumes the clocks agree until a pong arrives', () => {
+    expect(createClockSync().getOffset()).toBe(0);
+  });
+
+  test('allows for half the round trip when reading the server time', () => {
+    const clock = createClockSync();
+    // Sent at 1000, answered with server time 5050, received at 1100
+    clock.addSample({ clientTime: 1000, serverTime: 5050 }, 1100);
+    expect(clock.getOffset()).toBe(4000);
+  });
+
+  test('trusts the sample with the shortest round trip', () => {
+    const clock = createClockSync();
+    clock.addSample({ clientTime: 1000, serverTime: 5400 }, 1800);
+    clock.addSample({ clientTime: 2000, serverTime: 6010 }, 2020);
+    clock.addSample({ clientTime: 3000, serverTime: 7300 }, 3500);
+    expect(clock.getOffset()).toBe(4000);
+  });
+
+  test('forgets old samples', () => {
+    const clock = createClockSync();
+    clock.addSample({ clientTime: 0, serverTime: 100 }, 0);
+    for (let i = 1; i <= 8; i++) {
+      clock.addSample({ clientTime: i * 1000, serverTime: i * 1000 + 550 }, i * 1000 + 100);
+    }
+    expect(clock.getOffset()).toBe(500);
+  });
+
+  test('ignores malformed pongs and ones from before they were sent', () => {
+    const clock = createClockSync();
+    clock.addSample({ serverTime: 5000 }, 1000);
+    clock.addSample(undefined, 1000);
+    clock.addSample({ clientTime: 2000, serverTime: 9000 }, 1000);
+    expect(clock.getOffset()).toBe(0);
+  });
+});
+
+describe('getTimeRemaining', () => {
+  test('counts down to a deadline on the server clock', () => {
+    expect(getTimeRemaining(10000, 4000, 5000)).toBe(1000);
+    expect(getTimeRemaining(10000, 0, 5000)).toBe(5000);
+  });
+
+  test('never goes below zero', () => {
+    expect(getTimeRemaining(10000, 4000, 7000)).toBe(0);
+  });
+});
@@ -2,6 +2,9 @@
  * gameEngine.js - A completely standalone game engine for Bingo
  * This engine can run the game even if the server is completely unresponsive
  */
+import { getWinLines, getDefaultLinesToWin } from './gridLines';
+import { getWinningPatterns } from './patterns';
+import { isCallerMode } from './gameModes';
 
 class BingoGameEngine {
   constructor(initialState = {}) {
@@ -14,6 +17,8 @@ class BingoGameEngine {
     this.gameStarted = initialState.gameStarted || false;
     this.winner = initialState.winner || null;
     this.winningLines = initialState.winningLines || [];
+    this.matchId = initialState.matchId || null;
+    this.settings = initialState.settings || {};
     this.turnIndex = initialState.turnIndex || 0;
     this.lastMarkedNumber = initialState.lastMarkedNumber || null;
     this.lastTurnChangeTime = Date.now();
@@ -49,6 +54,7 @@ class BingoGameEngine {
     if (serverState.winningLines) this.winningLines = serverState.winningLines;
     if (serverState.turnIndex !== undefined) this.turnIndex = serverState.turnIndex;
     if (serverState.lastMarkedNumber) this.lastMarkedNumber = serverState.lastMarkedNumber;
+    if (serverState.settings) this.settings = { ...this.settings, ...serverState.settings };
 
     // Reset offline mode if we got a server update
     this.offlineMode = false;
@@ -79,6 +85,11 @@ class BingoGameEngine {
     this.currentTurn = this.localPlayerId;
     this.offlineMode = true;
 
+    if (isCallerMode(this.settings.mode)) {
+      this.notifyError("Numbers are drawn by the caller in this room");
+      return false;
+    }
+
     if (this.markedNumbers.has(number)) {
       this.notifyError("This number is already marked");
       return false;
@@ -106,8 +117,8 @@ class BingoGameEngine {
       });
     }
 
-    // Check for win
-    const winResult = this.checkWin();
+    // Check for win (rooms that require claims wait for the player to press Bingo!)
+    const winResult = this.settings.manualClaims ? null : this.checkWin();
     if (winResult) {
       this.winner = { playerId: this.localPlayerId };
       this.winningLines = winResult.lines;
@@ -220,45 +231,46 @@ class BingoGameEngine {
     this.notifyStateChange();
   }
 
+  // Get the grid size as "RxC", falling back to the grid's own dimensions
+  getGridSize() {
+    if (this.settings.gridSize) return this.settings.gridSize;
+    return `${this.grid.length}x${this.grid[0]?.length || this.grid.length}`;
+  }
+
+  // Get the number of completed lines needed to win (same rule as the server)
+  getLinesToWin() {
+    if (this.settings.linesToWin) return this.settings.linesToWin;
+    return getDefaultLinesToWin(this.getGridSize(), this.settings.mode);
+  }
+
   // Check if the current player has won
   checkWin() {
     if (!this.grid || !this.grid.length) return null;
 
-    const size = this.grid.length; // Assuming square grid
-    const lines = [];
+    // Cells without a number (such as a free space) are always covered
+    const flatGrid = this.grid.flat();
+    const isCovered = idx => this.markedCells.has(idx) || flatGrid[idx] === null;
 
-    // Check rows
-    for (let i = 0; i < size; i++) {
-      const rowStart = i * size;
-      const row = Array.from({ length: size }, (_, j) => rowStart + j);
-      if (row.every(idx => this.markedCells.has(idx))) {
-        lines.push(row);
-      }
-    }
+    // Win patterns, when the room has any, replace the line count rule
+    const { winPatterns, customPattern } = this.settings;
+    if (Array.isArray(winPatterns) && winPatterns.length > 0) {
+      const cols = this.grid[0].length;
+      const completed = getWinningPatterns(this.getGridSize(), winPatterns, customPattern)
+        .map(pattern => pattern.cells.map(([row, col]) => row * cols + col))
+        .find(cells => cells.every(isCovered));
 
-    // Check columns
-    for (let i = 0; i < size; i++) {
-      const col = Array.from({ length: size }, (_, j) => i + (j * size));
-      if (col.every(idx => this.markedCells.has(idx))) {
-        lines.push(col);
-      }
+      return completed ? { lines: [completed] } : null;
     }
 
-    // Check main diagonal
-    const mainDiag = Array.from({ length: size }, (_, i) => i * (size + 1));
-    if (mainDiag.every(idx => this.markedCells.has(idx))) {
-      lines.push(mainDiag);
-    }
-
-    // Check anti-diagonal
-    const antiDiag = Array.from({ length: size }, (_, i) => (i + 1) * (size - 1));
-    if (antiDiag.every(idx => this.markedCells.has(idx))) {
-      lines.push(antiDiag);
-    }
+    // Completed lines as arrays of cell indexes
+    const lines = getWinLines(this.grid, this.settings.mode)
+      .map(line => line.cells)
+      .filter(cells => cells.every(isCovered));
 
-    // Return win result if any lines are completed
-    if (lines.length > 0) {
-      return { lines };
+    // Return win result once the room's target number of lines is complete
+    const linesToWin = this.getLinesToWin();
+    if (lines.length >= linesToWin) {
+      return { lines: lines.slice(0, linesToWin) };
     }
 
     return null;
@@ -276,6 +288,8 @@ class BingoGameEngine {
         gameStarted: this.gameStarted,
         winner: this.winner,
         winningLines: this.winningLines,
+        matchId: this.matchId,
+        settings: this.settings,
         turnIndex: this.turnIndex,
         lastMarkedNumber: this.lastMarkedNumber,
         isMyTurn: this.currentTurn === this.localPlayerId,
@@ -302,6 +316,8 @@ class BingoGameEngine {
       gameStarted: this.gameStarted,
       winner: this.winner,
       winningLines: this.winningLines,
+      matchId: this.matchId,
+      settings: this.settings,
       turnIndex: this.turnIndex,
       lastMarkedNumber: this.lastMarkedNumber,
       isMyTurn: this.currentTurn === this.localPlayerId,
@@ -0,0 +1,58 @@
+/**
+ * gameModes.js - Room modes shared by the lobby and the game screen
+ * Mirrors the server's callerUtils: turn-based rooms let players pick numbers,
+ * caller rooms have the server draw 75-ball or 90-ball numbers at an interval.
+ */
+
+export const GAME_MODES = {
+  TURNS: 'turns',
+  BINGO_75: 'bingo75',
+  BINGO_90: 'bingo90'
+};
+
+// Options shown when creating a room
+export const MODE_OPTIONS = [
+  { value: GAME_MODES.TURNS, label: 'Turn-based', description: 'Players take turns picking numbers' },
+  { value: GAME_MODES.BINGO_75, label: '75-ball caller', description: 'Classic B-I-N-G-O cards with a free space' },
+  { value: GAME_MODES.BINGO_90, label: '90-ball caller', description: 'UK tickets with three rows of five numbers' }
+];
+
+// Card layout and ball count for each caller format (matches the server)
+const CALLER_FORMATS = {
+  [GAME_MODES.BINGO_75]: { gridSize: '5x5', maxNumber: 75 },
+  [GAME_MODES.BINGO_90]: { gridSize: '3x9', maxNumber: 90 }
+};
+
+// Column letters printed above 75-ball cards
+export const BINGO_75_LETTERS = ['B', 'I', 'N', 'G', 'O'];
+
+// Caller intervals offered in the lobby, in milliseconds
+export const CALL_INTERVAL_OPTIONS = [3000, 5000, 8000, 10000, 15000];
+export const DEFAULT_CALL_INTERVAL = 5000;
+
+/**
+ * Check whether a room mode is one of the caller formats
+ * @param {string} mode - The room's mode
+ * @returns {boolean} True for 75-ball and 90-ball rooms
+ */
+export function isCallerMode(mode) {
+  return Object.prototype.hasOwnProperty.call(CALLER_FORMATS, mode);
+}
+
+/**
+ * Get the fixed card size used by a caller format
+ * @param {string} mode - A caller mode
+ * @returns {string} Grid size in format "RxC"
+ */
+export function getCallerGridSize(mode) {
+  return CALLER_FORMATS[mode].gridSize;
+}
+
+/**
+ * Get the highest ball the caller can draw
+ * @param {string} mode - A caller mode
+ * @returns {number} 75 or 90
+ */
+export function getMaxBall(mode) {
+  return CALLER_FORMATS[mode].maxNumber;
+}
@@ -0,0 +1,100 @@
+/**
+ * gridLines.js - Line detection helpers shared by the client
+ * Mirrors the line helpers in the server's gameUtils so both sides agree on
+ * which rows, columns and diagonals are complete and how many are needed to win.
+ * Cells without a number (the 75-ball free space, 90-ball blanks) are null.
+ */
+import { GAME_MODES, isCallerMode } from './gameModes';
+
+/**
+ * Count the lines that can win on a grid: rows, columns and, on square grids,
+ * diagonals (rows only on 90-ball tickets)
+ * @param {string} gridSize - Grid size in format "5x5", "6x6", etc.
+ * @param {string} mode - The room's mode (defaults to the turn-based game)
+ * @returns {number} Total number of lines
+ */
+export function getTotalLines(gridSize, mode = GAME_MODES.TURNS) {
+  const [rows, cols] = gridSize.split('x').map(Number);
+  if (mode === GAME_MODES.BINGO_90) return rows;
+  return rows + cols + (rows === cols ? 2 : 0);
+}
+
+/**
+ * Get the default number of lines needed to win on a grid (matches the server)
+ * @param {string} gridSize - Grid size in format "5x5", "6x6", etc.
+ * @param {string} mode - The room's mode (defaults to the turn-based game)
+ * @returns {number} Default winning line count
+ */
+export function getDefaultLinesToWin(gridSize, mode = GAME_MODES.TURNS) {
+  if (isCallerMode(mode)) return 1;
+
+  const [rows, cols] = gridSize.split('x').map(Number);
+  const longestSide = Math.max(rows, cols);
+
+  const target = longestSide <= 5
+    ? Math.floor(getTotalLines(gridSize) / 2) - 1
+    : Math.max(3, 5 - Math.floor((longestSide - 5) / 2));
+
+  return Math.min(Math.max(target, 1), getTotalLines(gridSize));
+}
+
+/**
+ * Get every line on a grid as flat cell indexes. Diagonals only exist on
+ * square grids; rectangular grids win on rows and columns alone.
+ * @param {Array<Array<number>>} grid - The player's grid
+ * @returns {Array<Object>} Lines as { type, index, cells }
+ */
+export function getGridLines(grid) {
+  if (!grid || !grid.length) return [];
+
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const lines = [];
+
+  // Rows
+  for (let i = 0; i < rows; i++) {
+    lines.push({ type: 'row', index: i, cells: Array.from({ length: cols }, (_, j) => i * cols + j) });
+  }
+
+  // Columns
+  for (let j = 0; j < cols; j++) {
+    lines.push({ type: 'col', index: j, cells: Array.from({ length: rows }, (_, i) => i * cols + j) });
+  }
+
+  if (rows === cols) {
+    // Main diagonal (top-left to bottom-right)
+    lines.push({ type: 'diag', index: 0, cells: Array.from({ length: rows }, (_, i) => i * cols + i) });
+
+    // Other diagonal (top-right to bottom-left)
+    lines.push({ type: 'diag', index: 1, cells: Array.from({ length: rows }, (_, i) => i * cols + (cols - 1 - i)) });
+  }
+
+  return lines;
+}
+
+/**
+ * Get the lines that count towards a win in a room's mode (rows only on 90-ball tickets)
+ * @param {Array<Array<number|null>>} grid - The player's grid
+ * @param {string} mode - The room's mode
+ * @returns {Array<Object>} Lines as { type, index, cells }
+ */
+export function getWinLines(grid, mode) {
+  const lines = getGridLines(grid);
+  return mode === GAME_MODES.BINGO_90 ? lines.filter(line => line.type === 'row') : lines;
+}
+
+/**
+ * Get the completed lines on a grid for a set of marked numbers
+ * @param {Array<Array<number|null>>} grid - The player's grid
+ * @param {Set<number>} markedNumbers - Numbers marked so far
+ * @param {string} mode - The room's mode (defaults to the turn-based game)
+ * @returns {Array<Object>} Completed lines as { type, index, cells }
+ */
+export function getCompletedLines(grid, markedNumbers, mode = GAME_MODES.TURNS) {
+  if (!grid || !grid.length) return [];
+
+  const flatGrid = grid.flat();
+  return getWinLines(grid, mode).filter(line =>
+    line.cells.every(cellIndex => flatGrid[cellIndex] === null || markedNumbers.has(flatGrid[cellIndex]))
+  );
+}
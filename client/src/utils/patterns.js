@@ -0,0 +1,98 @@
+/**
+ * patterns.js - Win pattern library shared by the lobby and the game engine
+ * Mirrors the server's patternUtils: patterns are lists of [row, col] cells
+ * built for the room's grid size.
+ */
+
+// Id used for the host's hand-drawn pattern
+export const CUSTOM_PATTERN_ID = 'custom';
+
+function combineCells(...groups) {
+  const seen = new Map();
+  for (const [row, col] of groups.flat()) {
+    seen.set(`${row},${col}`, [row, col]);
+  }
+  return Array.from(seen.values()).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+const rowCells = (row, cols) => Array.from({ length: cols }, (_, col) => [row, col]);
+const colCells = (col, rows) => Array.from({ length: rows }, (_, row) => [row, col]);
+const mainDiagonal = (size) => Array.from({ length: size }, (_, i) => [i, i]);
+const otherDiagonal = (size) => Array.from({ length: size }, (_, i) => [i, size - 1 - i]);
+
+// Built-in patterns; squareOnly patterns use the diagonals and need an NxN grid
+const PATTERN_LIBRARY = {
+  fourCorners: {
+    name: 'Four Corners',
+    build: (rows, cols) => combineCells([[0, 0], [0, cols - 1], [rows - 1, 0], [rows - 1, cols - 1]])
+  },
+  x: {
+    name: 'X',
+    squareOnly: true,
+    build: (rows) => combineCells(mainDiagonal(rows), otherDiagonal(rows))
+  },
+  plus: {
+    name: 'Plus',
+    build: (rows, cols) => combineCells(rowCells(Math.floor((rows - 1) / 2), cols), colCells(Math.floor((cols - 1) / 2), rows))
+  },
+  frame: {
+    name: 'Frame',
+    build: (rows, cols) => combineCells(rowCells(0, cols), rowCells(rows - 1, cols), colCells(0, rows), colCells(cols - 1, rows))
+  },
+  blackout: {
+    name: 'Blackout',
+    build: (rows, cols) => combineCells(...Array.from({ length: rows }, (_, row) => rowCells(row, cols)))
+  },
+  letterL: {
+    name: 'Letter L',
+    build: (rows, cols) => combineCells(colCells(0, rows), rowCells(rows - 1, cols))
+  },
+  letterT: {
+    name: 'Letter T',
+    build: (rows, cols) => combineCells(rowCells(0, cols), colCells(Math.floor((cols - 1) / 2), rows))
+  },
+  letterU: {
+    name: 'Letter U',
+    build: (rows, cols) => combineCells(colCells(0, rows), colCells(cols - 1, rows), rowCells(rows - 1, cols))
+  },
+  letterH: {
+    name: 'Letter H',
+    build: (rows, cols) => combineCells(colCells(0, rows), colCells(cols - 1, rows), rowCells(Math.floor((rows - 1) / 2), cols))
+  },
+  letterZ: {
+    name: 'Letter Z',
+    squareOnly: true,
+    build: (rows, cols) => combineCells(rowCells(0, cols), rowCells(rows - 1, cols), otherDiagonal(rows))
+  }
+};
+
+/**
+ * List the built-in patterns available on a grid
+ * @param {string} gridSize - Grid size in format "5x5", "6x6", etc.
+ * @returns {Array<Object>} Patterns as { id, name, cells }
+ */
+export function getPatternLibrary(gridSize) {
+  const [rows, cols] = gridSize.split('x').map(Number);
+
+  return Object.entries(PATTERN_LIBRARY)
+    .filter(([, pattern]) => !pattern.squareOnly || rows === cols)
+    .map(([id, pattern]) => ({ id, name: pattern.name, cells: pattern.build(rows, cols) }));
+}
+
+/**
+ * Get the patterns that win in a room
+ * @param {string} gridSize - Grid size in format "5x5", "6x6", etc.
+ * @param {Array<string>} patternIds - The room's chosen pattern ids
+ * @param {Array<Array<number>>} customPattern - Cells of the host's custom pattern, if any
+ * @returns {Array<Object>} Patterns as { id, name, cells }
+ */
+export function getWinningPatterns(gridSize, patternIds = [], customPattern = null) {
+  const selected = new Set(patternIds);
+  const patterns = getPatternLibrary(gridSize).filter(pattern => selected.has(pattern.id));
+
+  if (selected.has(CUSTOM_PATTERN_ID) && customPattern && customPattern.length > 0) {
+    patterns.push({ id: CUSTOM_PATTERN_ID, name: 'Custom', cells: customPattern });
+  }
+
+  return patterns;
+}
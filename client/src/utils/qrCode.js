@@ -0,0 +1,356 @@
+/**
+ * qrCode.js - QR code generation for sharing room links
+ * A small byte-mode encoder (error correction level M, versions 1-10) so join
+ * links can be turned into QR codes in the browser without any external service.
+ * Follows ISO/IEC 18004; versions 1-10 hold up to 213 bytes, plenty for a join URL.
+ */
+
+// Error correction level M: format bits, then per version the EC codewords per block
+// and the block groups as [blockCount, dataCodewordsPerBlock]
+const EC_LEVEL_M_BITS = 0;
+const VERSIONS = [
+  null,
+  { ecPerBlock: 10, groups: [[1, 16]], alignment: [] },
+  { ecPerBlock: 16, groups: [[1, 28]], alignment: [6, 18] },
+  { ecPerBlock: 26, groups: [[1, 44]], alignment: [6, 22] },
+  { ecPerBlock: 18, groups: [[2, 32]], alignment: [6, 26] },
+  { ecPerBlock: 24, groups: [[2, 43]], alignment: [6, 30] },
+  { ecPerBlock: 16, groups: [[4, 27]], alignment: [6, 34] },
+  { ecPerBlock: 18, groups: [[4, 31]], alignment: [6, 22, 38] },
+  { ecPerBlock: 22, groups: [[2, 38], [2, 39]], alignment: [6, 24, 42] },
+  { ecPerBlock: 22, groups: [[3, 36], [2, 37]], alignment: [6, 26, 46] },
+  { ecPerBlock: 26, groups: [[4, 43], [1, 44]], alignment: [6, 28, 50] }
+];
+const MAX_VERSION = VERSIONS.length - 1;
+
+// Galois field GF(256) log and antilog tables for Reed-Solomon codes
+const EXP = new Array(512);
+const LOG = new Array(256);
+(() => {
+  let value = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    value <<= 1;
+    if (value & 0x100) value ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) {
+    EXP[i] = EXP[i - 255];
+  }
+})();
+
+const multiply = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+
+// Reed-Solomon error correction codewords for one block of data
+const getErrorCorrection = (data, ecCount) => {
+  // Generator polynomial (x - a^0)(x - a^1)...(x - a^(ecCount - 1)), highest term dropped
+  let generator = [1];
+  for (let i = 0; i < ecCount; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    generator.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= multiply(coefficient, EXP[i]);
+    });
+    generator = next;
+  }
+
+  const remainder = new Array(ecCount).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    for (let i = 0; i < ecCount; i++) {
+      remainder[i] ^= multiply(generator[i + 1], factor);
+    }
+  });
+  return remainder;
+};
+
+const getDataCapacity = (version) =>
+  VERSIONS[version].groups.reduce((total, [count, size]) => total + count * size, 0);
+
+// Byte mode segment, terminator and padding, as data codewords
+const encodeData = (bytes, version) => {
+  const capacity = getDataCapacity(version);
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => push(byte, 8));
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+};
+
+// Split the data into blocks, add error correction and interleave the codewords
+const addErrorCorrection = (data, version) => {
+  const { ecPerBlock, groups } = VERSIONS[version];
+  const blocks = [];
+  let offset = 0;
+  groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i++) {
+      const blockData = data.slice(offset, offset + size);
+      blocks.push({ data: blockData, ec: getErrorCorrection(blockData, ecPerBlock) });
+      offset += size;
+    }
+  });
+
+  const result = [];
+  const longest = Math.max(...blocks.map(block => block.data.length));
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach(block => {
+      if (i < block.data.length) result.push(block.data[i]);
+    });
+  }
+  for (let i = 0; i < ecPerBlock; i++) {
+    blocks.forEach(block => result.push(block.ec[i]));
+  }
+  return result;
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// BCH-protected format bits (error correction level and mask)
+const getFormatBits = (mask) => {
+  const data = (EC_LEVEL_M_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  return ((data << 10) | remainder) ^ 0x5412;
+};
+
+// BCH-protected version bits (versions 7 and up)
+const getVersionBits = (version) => {
+  let remainder = version;
+  for (let i = 0; i < 12; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+  }
+  return (version << 12) | remainder;
+};
+
+// Builds the module grid for one version, with the function patterns in place
+class QRMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+    this.drawFunctionPatterns();
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size, version } = this;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns (with their separators) in three corners
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            const distance = Math.max(Math.abs(dx), Math.abs(dy));
+            this.setFunction(x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    // Alignment patterns, skipping the ones that would overlap a finder
+    const positions = VERSIONS[version].alignment;
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas (filled in once the mask is chosen)
+    this.drawFormatBits(0);
+
+    if (version >= 7) {
+      const bits = getVersionBits(version);
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        this.setFunction(a, b, dark);
+        this.setFunction(b, a, dark);
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const { size } = this;
+    const bits = getFormatBits(mask);
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+    this.setFunction(8, size - 8, true);
+  }
+
+  // Place the codewords in the zigzag order, two columns at a time from the right
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let step = 0; step < size; step++) {
+        const y = upward ? size - 1 - step : step;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  // Masking is its own inverse, so applying a mask twice undoes it
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Penalty score used to pick the mask that is easiest to scan
+  getPenalty() {
+    const { size, modules } = this;
+    let penalty = 0;
+    let dark = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    lines.forEach(line => {
+      // Runs of five or more modules of the same colour
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+
+      // Patterns that look like a finder (1:1:3:1:1 with light space on one side)
+      const text = line.map(module => (module ? '1' : '0')).join('');
+      const finderLike = text.match(/(?=(10111010000|00001011101))/g);
+      if (finderLike) penalty += finderLike.length * 40;
+    });
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+
+        // 2x2 blocks of one colour
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+            penalty += 3;
+          }
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    const total = size * size;
+    penalty += Math.max(Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1, 0) * 10;
+
+    return penalty;
+  }
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - The text to encode, e.g. a join URL
+ * @returns {Array<Array<boolean>>} Rows of modules, true for dark
+ * @throws {Error} If the text is too long to fit
+ */
+export const createQRCode = (text) => {
+  const bytes = Array.from(new TextEncoder().encode(text));
+
+  let version = 1;
+  while (version <= MAX_VERSION && bytes.length + (version < 10 ? 2 : 3) > getDataCapacity(version)) {
+    version++;
+  }
+  if (version > MAX_VERSION) {
+    throw new Error('Text is too long for a QR code');
+  }
+
+  const matrix = new QRMatrix(version);
+  matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version), version));
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  MASKS.forEach((_, mask) => {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const penalty = matrix.getPenalty();
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    matrix.applyMask(mask);
+  });
+
+  matrix.applyMask(bestMask);
+  matrix.drawFormatBits(bestMask);
+  return matrix.modules;
+};
@@ -0,0 +1,101 @@
+import { createQRCode } from './qrCode';
+import { getGamePath } from './roomAccess';
+import { TextEncoder } from 'util';
+
+// jsdom has no TextEncoder, which browsers provide
+if (!global.TextEncoder) global.TextEncoder = TextEncoder;
+
+// Version 1-M byte-mode encoding of "01234567", generated independently with the
+// python qrcode package using mask 6 (the lowest-penalty mask for this input)
+const REFERENCE_01234567 = [
+  '111111101011001111111',
+  '100000101001101000001',
+  '101110101000101011101',
+  '101110100110001011101',
+  '101110101010101011101',
+  '100000100111101000001',
+  '111111101010101111111',
+  '000000000011100000000',
+  '100111111000110010111',
+  '111100011100111100110',
+  '011100111110010100101',
+  '010001000001000001100',
+  '001100101010011010011',
+  '000000001101100110100',
+  '111111101000111110010',
+  '100000101111110110101',
+  '101110101001101000000',
+  '101110101011100101100',
+  '101110100100001110011',
+  '100000100110011000111',
+  '111111101101000011000'
+];
+
+// Version information for versions 7-10 (ISO/IEC 18004 Annex D)
+const VERSION_INFO = { 7: 0x07c94, 8: 0x085bc, 9: 0x09a99, 10: 0x0a4d3 };
+
+// A signed invite token as created by the server
+const INVITE_TOKEN = 'eyJ0eXBlIjoiaW52aXRlIiwicm9vbSI6IkFCQ0RFRiIsImV4cCI6MTc5MjQzMjgxNjE5OX0.JXURiTdv4BB0re6g71Xcru0fQV465Q8mfRzCavPYBbM';
+
+const toRows = (modules) => modules.map(row => row.map(module => (module ? '1' : '0')).join(''));
+const getVersion = (modules) => (modules.length - 17) / 4;
+
+// Format bits as stored beside the top-right and bottom-left finders (bit 0 first)
+const readFormatBits = (modules) => {
+  const size = modules.length;
+  let bits = 0;
+  for (let i = 0; i < 8; i++) {
+    if (modules[8][size - 1 - i]) bits |= 1 << i;
+  }
+  for (let i = 8; i < 15; i++) {
+    if (modules[size - 15 + i][8]) bits |= 1 << i;
+  }
+  return bits;
+};
+
+// Version bits from the 6x3 blocks beside the bottom-left and top-right finders
+const readVersionBits = (modules) => {
+  const size = modules.length;
+  let bottomLeft = 0;
+  let topRight = 0;
+  for (let i = 0; i < 18; i++) {
+    if (modules[size - 11 + (i % 3)][Math.floor(i / 3)]) bottomLeft |= 1 << i;
+    if (modules[Math.floor(i / 3)][size - 11 + (i % 3)]) topRight |= 1 << i;
+  }
+  return { bottomLeft, topRight };
+};
+
+describe('createQRCode', () => {
+  test('matches the reference encoding of a short string', () => {
+    expect(toRows(createQRCode('01234567'))).toEqual(REFERENCE_01234567);
+  });
+
+  test('stores error correction level M and the chosen mask in the format bits', () => {
+    // Level M with mask 6, from the ISO/IEC 18004 format information table
+    expect(readFormatBits(createQRCode('01234567'))).toBe(0x4f97);
+  });
+
+  test('grows to the smallest version that fits', () => {
+    expect(getVersion(createQRCode('x'.repeat(14)))).toBe(1);
+    expect(getVersion(createQRCode('x'.repeat(15)))).toBe(2);
+    expect(getVersion(createQRCode('x'.repeat(213)))).toBe(10);
+  });
+
+  test('writes the version information from version 7 up', () => {
+    for (const length of [110, 150, 170, 190]) {
+      const modules = createQRCode('x'.repeat(length));
+      const expected = VERSION_INFO[getVersion(modules)];
+      expect(expected).toBeDefined();
+      expect(readVersionBits(modules)).toEqual({ bottomLeft: expected, topRight: expected });
+    }
+  });
+
+  test('fits a join link with an invite token', () => {
+    const link = `https://bingo-buzz.vercel.app${getGamePath('ABCDEF', INVITE_TOKEN)}`;
+    expect(getVersion(createQRCode(link))).toBeLessThanOrEqual(10);
+  });
+
+  test('rejects text longer than version 10 can hold', () => {
+    expect(() => createQRCode('x'.repeat(214))).toThrow('Text is too long for a QR code');
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * roomAccess.js - Room passwords, invite links and seat tokens
+ * Mirrors the join-error codes and password rules on the server.
+ */
+
+// Codes sent with a join-error when a private room turns a player away (match the server)
+export const JOIN_ERROR_CODES = {
+  PASSWORD_REQUIRED: 'PASSWORD_REQUIRED',
+  PASSWORD_INCORRECT: 'PASSWORD_INCORRECT',
+  INVITE_INVALID: 'INVITE_INVALID'
+};
+
+// Room password length limits (match the server)
+export const MIN_ROOM_PASSWORD_LENGTH = 4;
+export const MAX_ROOM_PASSWORD_LENGTH = 64;
+
+// Whether a join-error means the player should be asked for the room password
+export const isPasswordError = (error) =>
+  error?.code === JOIN_ERROR_CODES.PASSWORD_REQUIRED || error?.code === JOIN_ERROR_CODES.PASSWORD_INCORRECT;
+
+// Path to a room's game page, carrying an invite token if there is one
+export const getGamePath = (roomCode, invite) =>
+  invite ? `/game/${roomCode}?invite=${encodeURIComponent(invite)}` : `/game/${roomCode}`;
+
+// Path to watch a room, carrying an invite token if there is one
+export const getSpectatePath = (roomCode, invite) =>
+  invite ? `/spectate/${roomCode}?invite=${encodeURIComponent(invite)}` : `/spectate/${roomCode}`;
+
+// Full shareable link to a room
+export const getInviteLink = (roomCode, invite) => `${window.location.origin}${getGamePath(roomCode, invite)}`;
+
+// The server hands each player a seat token when they first join a room; sending it back
+// is what lets this browser take its seat again (names alone can't claim a seat)
+const getSeatTokenKey = (roomCode) => `seatToken:${roomCode}`;
+
+export const getSeatToken = (roomCode) => localStorage.getItem(getSeatTokenKey(roomCode));
+
+export const saveSeatToken = (roomCode, seatToken) => {
+  if (seatToken) localStorage.setItem(getSeatTokenKey(roomCode), seatToken);
+};
@@ -0,0 +1,21 @@
+/**
+ * series.js - "First to N wins" series played over several rounds in one room
+ * Mirrors the server's seriesUtils.
+ */
+
+export const DEFAULT_SERIES_LENGTH = 1;
+export const MAX_SERIES_LENGTH = 5;
+
+// Options shown to the host when creating a room
+export const SERIES_LENGTH_OPTIONS = Array.from({ length: MAX_SERIES_LENGTH }, (_, i) => {
+  const length = i + 1;
+  return {
+    value: length,
+    label: length === 1 ? 'Single game' : `First to ${length} wins`
+  };
+});
+
+// Get a short description of a series length for the lobby
+export const getSeriesLabel = (length) => (
+  length > 1 ? `First to ${length} wins` : 'Single game'
+);
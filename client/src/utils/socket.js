@@ -1,5 +1,6 @@
 import { io } from 'socket.io-client';
 import { toast } from 'react-hot-toast';
+import { getAuthToken, clearSession, onSessionChange } from './auth';
 
 // DEBUG flag to control logging (set to false in production)
 const DEBUG = false;
@@ -30,7 +31,13 @@ const socket = io(SERVER_URL, {
   forceNew: false,                // Don't force a new connection on reconnect
   multiplex: true,                // Allow multiplexing
   pingInterval: 5000,             // Send pings more frequently
-  pingTimeout: 10000              // Wait longer for pong responses
+  pingTimeout: 10000,             // Wait longer for pong responses
+  auth: (cb) => cb({ token: getAuthToken() }) // Re-read on every (re)connect
+});
+
+// Reconnect so the handshake picks up a login or logout
+onSessionChange(() => {
+  socket.disconnect().connect();
 });
 
 // Connection event handlers
@@ -43,6 +50,14 @@ socket.on('connect', () => {
 
 socket.on('connect_error', (error) => {
   console.error('Socket connection error:', error);
+
+  // An expired or invalid session: drop it and carry on as a guest
+  if (error.data?.code === 'AUTH_INVALID') {
+    toast.error('Your session has expired. Please log in again.');
+    clearSession();
+    return;
+  }
+
   toast.error(`Connection error: ${error.message}`);
 });
 
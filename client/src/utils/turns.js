@@ -0,0 +1,51 @@
+/**
+ * turns.js - Turn length and what happens when a turn times out
+ * Mirrors the server's turnUtils.
+ */
+
+// Turn lengths in milliseconds; 0 means turns never time out (matches the server)
+export const DEFAULT_TURN_DURATION = 15000;
+export const UNLIMITED_TURN_DURATION = 0;
+
+export const TIMEOUT_ACTIONS = {
+  AUTO_PICK: 'auto-pick',
+  SKIP: 'skip',
+  FORFEIT: 'forfeit'
+};
+
+export const DEFAULT_TIMEOUT_ACTION = TIMEOUT_ACTIONS.AUTO_PICK;
+export const DEFAULT_FORFEIT_AFTER = 3;
+
+// Options shown when creating a room
+export const TURN_DURATION_OPTIONS = [
+  ...[5, 10, 15, 20, 30, 45, 60].map(seconds => ({ value: seconds * 1000, label: `${seconds} seconds` })),
+  { value: UNLIMITED_TURN_DURATION, label: 'Unlimited' }
+];
+
+export const TIMEOUT_ACTION_OPTIONS = [
+  { value: TIMEOUT_ACTIONS.AUTO_PICK, label: 'Pick a random number for them' },
+  { value: TIMEOUT_ACTIONS.SKIP, label: 'Skip their turn' },
+  { value: TIMEOUT_ACTIONS.FORFEIT, label: 'Skip, then forfeit after repeated timeouts' }
+];
+
+export const FORFEIT_AFTER_OPTIONS = [1, 2, 3, 4, 5].map(count => ({
+  value: count,
+  label: count === 1 ? 'First timeout' : `${count} timeouts in a row`
+}));
+
+// Get a short description of a turn length for the lobby
+export const getTurnDurationLabel = (duration) => (
+  duration === UNLIMITED_TURN_DURATION ? 'Unlimited' : `${(duration || DEFAULT_TURN_DURATION) / 1000}s`
+);
+
+// Get a short description of the timeout rule for the lobby
+export const getTimeoutActionLabel = (action, forfeitAfter = DEFAULT_FORFEIT_AFTER) => {
+  switch (action) {
+    case TIMEOUT_ACTIONS.SKIP:
+      return 'Turn skipped';
+    case TIMEOUT_ACTIONS.FORFEIT:
+      return `Skipped, forfeit after ${forfeitAfter} in a row`;
+    default:
+      return 'Random number picked';
+  }
+};
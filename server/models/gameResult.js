@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One document per player per finished game, used for time-windowed leaderboards
+const GameResultSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  roomCode: {
+    type: String,
+    trim: true
+  },
+  gridSize: {
+    type: String,
+    trim: true
+  },
+  outcome: {
+    type: String,
+    enum: ['won', 'lost', 'abandoned'],
+    required: true
+  },
+  won: {
+    type: Boolean,
+    default: false
+  },
+  linesCompleted: {
+    type: Number,
+    default: 0
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  playedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Windowed leaderboard queries filter on playedAt first
+GameResultSchema.index({ playedAt: -1 });
+GameResultSchema.index({ username: 1, playedAt: -1 });
+
+module.exports = mongoose.model('GameResult', GameResultSchema);
@@ -15,6 +15,22 @@ const LeaderboardSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  gamesLost: {
+    type: Number,
+    default: 0
+  },
+  gamesAbandoned: {
+    type: Number,
+    default: 0
+  },
+  currentWinStreak: {
+    type: Number,
+    default: 0
+  },
+  bestWinStreak: {
+    type: Number,
+    default: 0
+  },
   totalScore: {
     type: Number,
     default: 0
@@ -23,6 +39,15 @@ const LeaderboardSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // "First to N wins" series finished in a room, and how many of them the player took
+  seriesPlayed: {
+    type: Number,
+    default: 0
+  },
+  seriesWon: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
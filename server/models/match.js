@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// A single called number, in the order it was called
+const CallSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  calledBy: {
+    type: String,
+    trim: true
+  },
+  automatic: {
+    type: Boolean,
+    default: false
+  },
+  calledAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const MatchPlayerSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Guests can reuse any name, so their entries are left out of player history
+  guest: {
+    type: Boolean,
+    default: false
+  },
+  grid: {
+    type: [[Number]],
+    default: []
+  },
+  won: {
+    type: Boolean,
+    default: false
+  },
+  score: {
+    type: Number,
+    default: 0
+  },
+  linesCompleted: {
+    type: Number,
+    default: 0
+  },
+  // How many move suggestions the player asked for
+  hintsUsed: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const MatchSchema = new mongoose.Schema({
+  roomCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // 'turns' for the turn-based game, 'bingo75' or 'bingo90' for caller mode
+  mode: {
+    type: String,
+    default: 'turns',
+    trim: true
+  },
+  gridSize: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Whether players could ask for move suggestions
+  hintsEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the game was one round of a "first to N wins" series
+  series: {
+    type: new mongoose.Schema({
+      length: Number,
+      round: Number,
+      champion: String
+    }, { _id: false }),
+    default: undefined
+  },
+  players: {
+    type: [MatchPlayerSchema],
+    default: []
+  },
+  calls: {
+    type: [CallSchema],
+    default: []
+  },
+  winner: {
+    type: String,
+    trim: true
+  },
+  winningLines: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  startedAt: {
+    type: Date
+  },
+  endedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Game length in milliseconds
+  duration: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Player match history is listed newest first
+MatchSchema.index({ 'players.username': 1, endedAt: -1 });
+
+module.exports = mongoose.model('Match', MatchSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const UserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Lowercased username so "Alice" and "alice" can't both be registered
+  usernameKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Never send the password hash to clients
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.usernameKey;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', UserSchema);
@@ -6,18 +6,105 @@ const { nanoid } = require('nanoid');
 const dotenv = require('dotenv');
 const mongoose = require('mongoose');
 const LeaderboardModel = require('./models/leaderboard');
+const GameResultModel = require('./models/gameResult');
+const MatchModel = require('./models/match');
+const UserModel = require('./models/user');
 const gameUtils = require('./utils/gameUtils');
+const {
+  parseLeaderboardQuery,
+  getWindowStart,
+  buildLeaderboardPipeline,
+  buildWindowedLeaderboardPipeline
+} = require('./utils/leaderboardUtils');
+const {
+  RECENT_MATCH_LIMIT,
+  buildPlayerResultsPipeline,
+  buildTimeToWinPipeline,
+  formatWinRateTrend
+} = require('./utils/playerProfileUtils');
+const {
+  INVITE_TOKEN_TTL,
+  getTokenSecret,
+  validateCredentials,
+  validateRoomPassword,
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  getSessionUser,
+  createInviteToken,
+  verifyInviteToken,
+  createSeatToken,
+  matchesSeatToken,
+  getBearerToken
+} = require('./utils/authUtils');
+const { normalizeCustomPattern, validatePatternSelection } = require('./utils/patternUtils');
+const {
+  GAME_MODES,
+  DEFAULT_CALL_INTERVAL,
+  MIN_CALL_INTERVAL,
+  MAX_CALL_INTERVAL,
+  isCallerMode,
+  isValidGameMode,
+  getCallerGridSize,
+  isValidCallInterval,
+  generateCallerCard,
+  createDrawPool
+} = require('./utils/callerUtils');
+const {
+  CLAIM_PENALTIES,
+  DEFAULT_CLAIM_PENALTY,
+  isValidClaimPenalty,
+  requiresClaim,
+  applyClaimPenalty,
+  isClaimLocked
+} = require('./utils/claimUtils');
+const {
+  MAX_BOTS_PER_ROOM,
+  isValidBotDifficulty,
+  getBotName,
+  getBotThinkTime,
+  chooseBotNumber
+} = require('./utils/botUtils');
+const { isBanned, addBan, pickNextHost } = require('./utils/moderationUtils');
+const {
+  DEFAULT_SERIES_LENGTH,
+  MAX_SERIES_LENGTH,
+  isValidSeriesLength,
+  isSeriesRoom,
+  startSeriesRound,
+  recordRoundWin,
+  getSeriesStandings
+} = require('./utils/seriesUtils');
+const { sanitizeMessage, isRateLimited, isValidReaction, addToChatHistory } = require('./utils/chatUtils');
+const { listPublicRooms, findQuickPlayRoom } = require('./utils/roomBrowserUtils');
+const {
+  DEFAULT_TURN_DURATION,
+  TIMEOUT_ACTIONS,
+  DEFAULT_TIMEOUT_ACTION,
+  DEFAULT_FORFEIT_AFTER,
+  isValidTurnDuration,
+  isValidTimeoutAction,
+  isValidForfeitAfter,
+  hasTurnLimit,
+  getActivePlayers,
+  recordTimeout
+} = require('./utils/turnUtils');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 
 // Destructure the imported functions
-const { generateGrid, generateUniqueGrid, getUnmarkedNumbers, generateUniquePlayerGrid } = gameUtils;
+const { generateGrid, generateUniqueGrid, getUnmarkedNumbers, generateUniquePlayerGrid, getCompletedLines, getSuggestedNumbers, getLineProgress, getTotalLines, getDefaultLinesToWin, parseGridSize, MIN_GRID_SIDE, MAX_GRID_SIDE } = gameUtils;
 const checkWinUtils = gameUtils.checkWin;
+const checkPlayerWin = gameUtils.checkPlayerWin;
 
 // Load environment variables
 dotenv.config();
 
+// Check the session signing secret now rather than on the first sign-in
+// (the server won't start in production without AUTH_SECRET)
+getTokenSecret();
+
 // Initialize express app
 const app = express();
 
@@ -276,11 +363,85 @@ function generateRoomCode() {
   return code;
 }
 
+// Most rooms the server keeps at once
+const MAX_ACTIVE_GAMES = 100;
+
+// Helper function to create and store a room with a fresh, unique code
+// Returns the new game, or null if no unused code could be found
+function createRoom(options) {
+  let roomCode;
+  let attempts = 0;
+  const maxAttempts = 10;
+  
+  do {
+    roomCode = generateRoomCode();
+    attempts++;
+    console.log(`Attempt ${attempts}/${maxAttempts} to generate unique room code: ${roomCode}`);
+  } while (games[roomCode] && attempts < maxAttempts);
+  
+  if (games[roomCode]) {
+    return null;
+  }
+  
+  console.log('Successfully generated unique room code:', roomCode);
+  
+  const game = {
+    roomCode,
+    ...options,
+    series: null,
+    players: [],
+    spectators: [],
+    bans: [],
+    locked: false,
+    chatHistory: [],
+    grids: {},
+    playerNumbers: {},
+    started: false,
+    startTime: null,
+    turnIndex: 0,
+    markedNumbers: new Set(),
+    calledNumbers: [],
+    lastMarkedNumber: undefined,
+    lastMarkedTurn: -1,
+    createdAt: Date.now(),
+    lastActive: Date.now(),
+    usedGrids: new Set(),
+    readyPlayers: []
+  };
+  
+  games[roomCode] = game;
+  return game;
+}
+
 // API Routes
-app.post('/api/games', async (req, res) => {
+app.post('/api/games', optionalAuth, async (req, res) => {
   try {
-    console.log('Received game creation request:', req.body);
-    const { username, gridSize } = req.body;
+    console.log('Received game creation request:', { ...req.body, password: req.body.password ? '[set]' : undefined });
+    
+    // Validate the room mode (turn-based unless a caller format is requested)
+    const mode = req.body.mode || GAME_MODES.TURNS;
+    if (!isValidGameMode(mode)) {
+      return res.status(400).json({
+        error: 'Invalid game mode',
+        details: `Mode must be one of: ${Object.values(GAME_MODES).join(', ')}`
+      });
+    }
+    
+    // Caller formats always use their classic card layout
+    const gridSize = isCallerMode(mode) ? getCallerGridSize(mode) : req.body.gridSize;
+    
+    const callInterval = req.body.callInterval === undefined || req.body.callInterval === null
+      ? DEFAULT_CALL_INTERVAL
+      : Number(req.body.callInterval);
+    if (isCallerMode(mode) && !isValidCallInterval(callInterval)) {
+      return res.status(400).json({
+        error: 'Invalid call interval',
+        details: `Call interval must be between ${MIN_CALL_INTERVAL} and ${MAX_CALL_INTERVAL} milliseconds`
+      });
+    }
+    
+    // Signed-in hosts are identified by their account rather than the request body
+    const username = req.user ? req.user.username : req.body.username;
     
     if (!username) {
       return res.status(400).json({ 
@@ -290,64 +451,167 @@ app.post('/api/games', async (req, res) => {
     }
     
     // Validate grid size
-    if (!gridSize || !/^\d+x\d+$/.test(gridSize)) {
+    if (!parseGridSize(gridSize)) {
       return res.status(400).json({
         error: 'Invalid grid size',
-        details: 'Grid size must be in the format "NxN" (e.g., "5x5")'
+        details: `Grid size must be in the format "RxC" (e.g., "5x5" or "4x6") with ${MIN_GRID_SIDE}-${MAX_GRID_SIDE} rows and columns`
       });
     }
     
-    // Check total number of active games
-    const activeGames = Object.keys(games).length;
-    if (activeGames >= 100) {
-      return res.status(503).json({ 
-        error: 'Service temporarily unavailable',
-        details: 'Maximum number of active games reached. Please try again later.'
+    // Validate the winning line count (defaults to a target suited to the grid size)
+    const totalLines = getTotalLines(gridSize, mode);
+    const linesToWin = req.body.linesToWin === undefined || req.body.linesToWin === null
+      ? getDefaultLinesToWin(gridSize, mode)
+      : Number(req.body.linesToWin);
+    
+    if (!Number.isInteger(linesToWin) || linesToWin < 1 || linesToWin > totalLines) {
+      return res.status(400).json({
+        error: 'Invalid winning line count',
+        details: `Winning line count must be a whole number between 1 and ${totalLines} for a ${gridSize} grid`
+      });
+    }
+    
+    // Validate optional win patterns (when set, they replace the line count rule)
+    const customPattern = req.body.customPattern ? normalizeCustomPattern(req.body.customPattern, gridSize) : null;
+    if (req.body.customPattern && !customPattern) {
+      return res.status(400).json({
+        error: 'Invalid custom pattern',
+        details: 'Custom pattern must be a list of [row, col] cells inside the grid'
+      });
+    }
+    
+    const winPatterns = req.body.winPatterns || [];
+    const patternError = mode === GAME_MODES.BINGO_90 && (winPatterns.length > 0 || customPattern)
+      ? '90-ball games are won on rows, so win patterns are not available'
+      : validatePatternSelection(winPatterns, gridSize, customPattern);
+    if (patternError) {
+      return res.status(400).json({
+        error: 'Invalid win patterns',
+        details: patternError
+      });
+    }
+    
+    // Validate the claim rules (caller-mode rooms always need claims)
+    const manualClaims = isCallerMode(mode) || req.body.manualClaims === true;
+    const falseClaimPenalty = req.body.falseClaimPenalty || DEFAULT_CLAIM_PENALTY;
+    if (!isValidClaimPenalty(falseClaimPenalty)) {
+      return res.status(400).json({
+        error: 'Invalid false claim penalty',
+        details: `Penalty must be one of: ${Object.values(CLAIM_PENALTIES).join(', ')}`
+      });
+    }
+    
+    // Hints are on unless the host turns them off; caller-mode rooms have no moves to suggest
+    if (req.body.hintsEnabled !== undefined && typeof req.body.hintsEnabled !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid hints setting',
+        details: 'hintsEnabled must be true or false'
+      });
+    }
+    const hintsEnabled = !isCallerMode(mode) && req.body.hintsEnabled !== false;
+    
+    // Spectators only see the players' cards if the host allows it
+    if (req.body.spectatorGrids !== undefined && typeof req.body.spectatorGrids !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid spectator setting',
+        details: 'spectatorGrids must be true or false'
+      });
+    }
+    const spectatorGrids = req.body.spectatorGrids === true;
+    
+    // Rooms are only listed in the room browser if the host makes them public
+    if (req.body.isPublic !== undefined && typeof req.body.isPublic !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid visibility setting',
+        details: 'isPublic must be true or false'
+      });
+    }
+    const isPublic = req.body.isPublic === true;
+    
+    // A password keeps out anyone who only knows (or guesses) the room code
+    const password = req.body.password || null;
+    if (password !== null) {
+      const passwordError = validateRoomPassword(password);
+      if (passwordError) {
+        return res.status(400).json({
+          error: 'Invalid room password',
+          details: passwordError
+        });
+      }
+    }
+    
+    // Rooms play single games unless the host sets up a "first to N wins" series
+    const seriesLength = req.body.seriesLength === undefined ? DEFAULT_SERIES_LENGTH : req.body.seriesLength;
+    if (!isValidSeriesLength(seriesLength)) {
+      return res.status(400).json({
+        error: 'Invalid series length',
+        details: `Series length must be a whole number of wins from 1 to ${MAX_SERIES_LENGTH}`
+      });
+    }
+    
+    // Turn-based rooms can time turns (0 means unlimited) and choose what a timeout does
+    const turnDuration = req.body.turnDuration === undefined ? DEFAULT_TURN_DURATION : req.body.turnDuration;
+    if (!isValidTurnDuration(turnDuration)) {
+      return res.status(400).json({
+        error: 'Invalid turn duration',
+        details: 'Turn duration must be 0 (unlimited) or between 5000 and 60000 milliseconds'
       });
     }
     
-    // Generate unique room code
-    let roomCode;
-    let attempts = 0;
-    const maxAttempts = 10;
+    const timeoutAction = req.body.timeoutAction === undefined ? DEFAULT_TIMEOUT_ACTION : req.body.timeoutAction;
+    if (!isValidTimeoutAction(timeoutAction)) {
+      return res.status(400).json({
+        error: 'Invalid timeout action',
+        details: `Timeout action must be one of: ${Object.values(TIMEOUT_ACTIONS).join(', ')}`
+      });
+    }
     
-    do {
-      roomCode = generateRoomCode();
-      attempts++;
-      console.log(`Attempt ${attempts}/${maxAttempts} to generate unique room code: ${roomCode}`);
-    } while (games[roomCode] && attempts < maxAttempts);
+    const forfeitAfter = req.body.forfeitAfter === undefined ? DEFAULT_FORFEIT_AFTER : req.body.forfeitAfter;
+    if (!isValidForfeitAfter(forfeitAfter)) {
+      return res.status(400).json({
+        error: 'Invalid forfeit limit',
+        details: 'Players can forfeit after 1 to 5 timeouts in a row'
+      });
+    }
     
-    if (attempts >= maxAttempts) {
+    // Check total number of active games
+    if (Object.keys(games).length >= MAX_ACTIVE_GAMES) {
       return res.status(503).json({ 
         error: 'Service temporarily unavailable',
-        details: 'Unable to generate unique room code. Please try again.'
+        details: 'Maximum number of active games reached. Please try again later.'
       });
     }
     
-    console.log('Successfully generated unique room code:', roomCode);
-    
     // Create new game
-    const game = {
-      roomCode,
+    const game = createRoom({
+      mode,
+      callInterval,
       gridSize: gridSize || '5x5',
-      players: [],
-      grids: {},
-      playerNumbers: {},
-      started: false,
-      startTime: null,
-      turnIndex: 0,
-      turnDuration: 15000,
-      markedNumbers: new Set(),
-      lastMarkedNumber: undefined,
-      lastMarkedTurn: -1,
-      createdAt: Date.now(),
-      lastActive: Date.now(),
+      linesToWin,
+      winPatterns,
+      customPattern,
+      manualClaims,
+      falseClaimPenalty,
+      hintsEnabled,
+      spectatorGrids,
+      seriesLength,
+      isPublic,
+      turnDuration,
+      timeoutAction,
+      forfeitAfter,
+      passwordHash: password ? await hashPassword(password) : null,
       hostUsername: username,
-      usedGrids: new Set(),
-      readyPlayers: []
-    };
+      hostUserId: req.user ? req.user.id : null
+    });
+    
+    if (!game) {
+      return res.status(503).json({ 
+        error: 'Service temporarily unavailable',
+        details: 'Unable to generate unique room code. Please try again.'
+      });
+    }
+    const { roomCode } = game;
     
-    games[roomCode] = game;
     console.log('New game created successfully:', roomCode, 'by', username, 'grid size:', gridSize);
     console.log('Current active games:', Object.keys(games));
     
@@ -356,10 +620,25 @@ app.post('/api/games', async (req, res) => {
     
     res.status(201).json({ 
       roomCode,
+      // The host joins (and can share the room) with an invite, so they never need the password
+      inviteToken: createInviteToken(roomCode),
       message: 'Game created successfully',
       details: {
         host: username,
+        mode: game.mode,
         gridSize: game.gridSize,
+        linesToWin: game.linesToWin,
+        winPatterns: game.winPatterns,
+        manualClaims: game.manualClaims,
+        falseClaimPenalty: game.falseClaimPenalty,
+        hintsEnabled: game.hintsEnabled,
+        spectatorGrids: game.spectatorGrids,
+        seriesLength: game.seriesLength,
+        isPublic: game.isPublic,
+        turnDuration: game.turnDuration,
+        timeoutAction: game.timeoutAction,
+        forfeitAfter: game.forfeitAfter,
+        hasPassword: !!game.passwordHash,
         createdAt: game.createdAt
       }
     });
@@ -376,7 +655,9 @@ app.post('/api/games', async (req, res) => {
 app.post('/api/create-game', async (req, res) => {
   try {
     console.log('Received request to /api/create-game, forwarding to /api/games');
-    const response = await axios.post('http://localhost:5000/api/games', req.body);
+    const response = await axios.post('http://localhost:5000/api/games', req.body, {
+      headers: req.headers.authorization ? { Authorization: req.headers.authorization } : {}
+    });
     res.status(response.status).json(response.data);
   } catch (error) {
     console.error('Error in /api/create-game:', error);
@@ -387,6 +668,345 @@ app.post('/api/create-game', async (req, res) => {
   }
 });
 
+// Public room browser: lobbies that are listed publicly and haven't started
+app.get('/api/rooms', (req, res) => {
+  const gridSize = typeof req.query.gridSize === 'string' ? req.query.gridSize : undefined;
+  const mode = typeof req.query.mode === 'string' ? req.query.mode : undefined;
+  
+  res.status(200).json({ rooms: listPublicRooms(games, { gridSize, mode }) });
+});
+
+// Quick Play: join the best public lobby with a matching grid size, or open a new one
+app.post('/api/quick-play', optionalAuth, (req, res) => {
+  try {
+    const username = req.user ? req.user.username : req.body.username;
+    if (!username) {
+      return res.status(400).json({
+        error: 'Username is required',
+        details: 'Please provide a username to find a game'
+      });
+    }
+    
+    const gridSize = req.body.gridSize || '5x5';
+    if (!parseGridSize(gridSize)) {
+      return res.status(400).json({
+        error: 'Invalid grid size',
+        details: `Grid size must be in the format "RxC" (e.g., "5x5" or "4x6") with ${MIN_GRID_SIDE}-${MAX_GRID_SIDE} rows and columns`
+      });
+    }
+    
+    const existingRoom = findQuickPlayRoom(games, gridSize, GAME_MODES.TURNS);
+    if (existingRoom) {
+      console.log(`Quick Play matched ${username} to room ${existingRoom.roomCode}`);
+      return res.status(200).json({ roomCode: existingRoom.roomCode, created: false });
+    }
+    
+    if (Object.keys(games).length >= MAX_ACTIVE_GAMES) {
+      return res.status(503).json({
+        error: 'Service temporarily unavailable',
+        details: 'Maximum number of active games reached. Please try again later.'
+      });
+    }
+    
+    // Nobody is waiting, so open a public room with the standard rules
+    const game = createRoom({
+      mode: GAME_MODES.TURNS,
+      callInterval: DEFAULT_CALL_INTERVAL,
+      gridSize,
+      linesToWin: getDefaultLinesToWin(gridSize, GAME_MODES.TURNS),
+      winPatterns: [],
+      customPattern: null,
+      manualClaims: false,
+      falseClaimPenalty: DEFAULT_CLAIM_PENALTY,
+      hintsEnabled: true,
+      spectatorGrids: false,
+      seriesLength: DEFAULT_SERIES_LENGTH,
+      isPublic: true,
+      turnDuration: DEFAULT_TURN_DURATION,
+      timeoutAction: DEFAULT_TIMEOUT_ACTION,
+      forfeitAfter: DEFAULT_FORFEIT_AFTER,
+      hostUsername: username,
+      hostUserId: req.user ? req.user.id : null
+    });
+    
+    if (!game) {
+      return res.status(503).json({
+        error: 'Service temporarily unavailable',
+        details: 'Unable to generate unique room code. Please try again.'
+      });
+    }
+    
+    console.log(`Quick Play opened room ${game.roomCode} for ${username}`);
+    saveGames();
+    res.status(201).json({ roomCode: game.roomCode, created: true });
+  } catch (error) {
+    console.error('Error in quick play:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message || 'An unexpected error occurred while finding a game'
+    });
+  }
+});
+
+// Reject database-backed requests while MongoDB is unavailable
+function requireMongo(req, res, next) {
+  if (!mongoConnected) {
+    return res.status(503).json({
+      error: 'Service temporarily unavailable',
+      details: 'The game database is not connected. Please try again later.'
+    });
+  }
+  next();
+}
+
+// Middleware that attaches the signed-in account (if any) as req.user
+function optionalAuth(req, res, next) {
+  req.user = getSessionUser(getBearerToken(req.headers.authorization));
+  next();
+}
+
+// Account registration endpoint
+app.post('/api/auth/register', requireMongo, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    const validationError = validateCredentials(username, password);
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Invalid credentials',
+        details: validationError
+      });
+    }
+    
+    const usernameKey = username.toLowerCase();
+    if (await UserModel.exists({ usernameKey })) {
+      return res.status(409).json({
+        error: 'Username taken',
+        details: 'An account with this username already exists'
+      });
+    }
+    
+    const user = await UserModel.create({
+      username,
+      usernameKey,
+      passwordHash: await hashPassword(password),
+      lastLoginAt: new Date()
+    });
+    
+    res.status(201).json({
+      token: createSessionToken(user),
+      user: { id: user._id.toString(), username: user.username }
+    });
+  } catch (error) {
+    // Two registrations for the same name can race past the exists() check
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Username taken',
+        details: 'An account with this username already exists'
+      });
+    }
+    console.error('Error registering account:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message || 'An unexpected error occurred while creating the account'
+    });
+  }
+});
+
+// Account login endpoint
+app.post('/api/auth/login', requireMongo, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    const user = typeof username === 'string' && typeof password === 'string'
+      ? await UserModel.findOne({ usernameKey: username.toLowerCase() })
+      : null;
+    
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        details: 'Username or password is incorrect'
+      });
+    }
+    
+    user.lastLoginAt = new Date();
+    await user.save();
+    
+    res.status(200).json({
+      token: createSessionToken(user),
+      user: { id: user._id.toString(), username: user.username }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message || 'An unexpected error occurred while logging in'
+    });
+  }
+});
+
+// Current account endpoint (validates a stored session token)
+app.get('/api/auth/me', optionalAuth, (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Not authenticated',
+      details: 'Your session is missing or has expired'
+    });
+  }
+  res.status(200).json({ user: req.user });
+});
+
+// Leaderboard endpoint with paging, sorting and filters
+app.get('/api/leaderboard', requireMongo, async (req, res) => {
+  try {
+    const options = parseLeaderboardQuery(req.query);
+    const since = getWindowStart(options.window);
+
+    // All-time rankings use the lifetime totals; rolling windows aggregate per-game results
+    const [result] = since
+      ? await GameResultModel.aggregate(buildWindowedLeaderboardPipeline(options, since))
+      : await LeaderboardModel.aggregate(buildLeaderboardPipeline(options));
+
+    const total = result?.total[0]?.count || 0;
+    const offset = (options.page - 1) * options.limit;
+    const players = (result?.players || []).map((player, index) => ({
+      ...player,
+      rank: offset + index + 1
+    }));
+
+    res.status(200).json({
+      players,
+      pagination: {
+        page: options.page,
+        limit: options.limit,
+        total,
+        hasMore: offset + players.length < total
+      },
+      filters: {
+        window: options.window,
+        since,
+        sortBy: options.sortBy,
+        order: options.order,
+        minGames: options.minGames,
+        search: options.search
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching leaderboard:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message || 'An unexpected error occurred while fetching the leaderboard'
+    });
+  }
+});
+
+// Match detail endpoint (full grids and call sequence)
+app.get('/api/matches/:id', requireMongo, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid match ID',
+        details: 'Match ID must be a valid identifier'
+      });
+    }
+
+    const match = await MatchModel.findById(req.params.id).lean();
+    if (!match) {
+      return res.status(404).json({
+        error: 'Match not found',
+        details: 'No match exists with this ID'
+      });
+    }
+
+    res.status(200).json(match);
+  } catch (error) {
+    console.error('Error fetching match:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message || 'An unexpected error occurred while fetching the match'
+    });
+  }
+});
+
+// Player profile endpoint (lifetime stats, trends and recent matches)
+app.get('/api/players/:username', requireMongo, async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    const [stats, [results], [timeToWin], recentMatches] = await Promise.all([
+      LeaderboardModel.findOne({ username }),
+      GameResultModel.aggregate(buildPlayerResultsPipeline(username)),
+      MatchModel.aggregate(buildTimeToWinPipeline(username)),
+      MatchModel.find({ players: { $elemMatch: { username, guest: { $ne: true } } } })
+        .select('-players.grid -calls')
+        .sort({ endedAt: -1 })
+        .limit(RECENT_MATCH_LIMIT)
+        .lean()
+    ]);
+
+    if (!stats && !results?.summary.length && recentMatches.length === 0) {
+      return res.status(404).json({
+        error: 'Player not found',
+        details: 'No games have been recorded for this player'
+      });
+    }
+
+    const summary = results?.summary[0];
+
+    res.status(200).json({
+      username,
+      stats: stats ? stats.toJSON() : null,
+      winRateTrend: formatWinRateTrend(results?.trend),
+      favouriteGridSize: results?.gridSizes[0]?._id || null,
+      averageLinesCompleted: summary ? Math.round(summary.averageLinesCompleted * 10) / 10 : 0,
+      averageTimeToWin: timeToWin ? Math.round(timeToWin.averageTimeToWin) : null,
+      recentMatches
+    });
+  } catch (error) {
+    console.error('Error fetching player profile:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message || 'An unexpected error occurred while fetching the player profile'
+    });
+  }
+});
+
+// Player match history endpoint (summaries only, newest first)
+app.get('/api/players/:username/matches', requireMongo, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = { players: { $elemMatch: { username, guest: { $ne: true } } } };
+
+    const [matches, total] = await Promise.all([
+      MatchModel.find(filter)
+        .select('-players.grid -calls')
+        .sort({ endedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      MatchModel.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      matches,
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: (page - 1) * limit + matches.length < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching player matches:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message || 'An unexpected error occurred while fetching match history'
+    });
+  }
+});
+
 // Add a comprehensive health check endpoint for Railway
 app.get('/health', (req, res) => {
   try {
@@ -465,8 +1085,17 @@ app.get('/', (req, res) => {
     service: 'Bingo Buzz API',
     version: process.env.npm_package_version || '1.0.0',
     endpoints: [
-      { path: '/api/games', method: 'POST', description: 'Create a new game' },
+      { path: '/api/games', method: 'POST', description: 'Create a new game (username, mode, gridSize, linesToWin, callInterval, manualClaims, falseClaimPenalty, hintsEnabled, spectatorGrids, seriesLength, isPublic, password, turnDuration, timeoutAction, forfeitAfter)' },
+      { path: '/api/rooms', method: 'GET', description: 'List public lobbies that can be joined (gridSize, mode)' },
+      { path: '/api/quick-play', method: 'POST', description: 'Join a public lobby with a matching grid size, or open one (username, gridSize)' },
       { path: '/api/create-game', method: 'POST', description: 'Create a new game (alias)' },
+      { path: '/api/auth/register', method: 'POST', description: 'Create an account (username, password)' },
+      { path: '/api/auth/login', method: 'POST', description: 'Log in and receive a session token' },
+      { path: '/api/auth/me', method: 'GET', description: 'Get the account for the current session token' },
+      { path: '/api/leaderboard', method: 'GET', description: 'Get the leaderboard (window, page, limit, sortBy, order, minGames, search)' },
+      { path: '/api/matches/:id', method: 'GET', description: 'Get a finished match with grids and called numbers' },
+      { path: '/api/players/:username', method: 'GET', description: 'Get a player\'s profile, stats and recent matches' },
+      { path: '/api/players/:username/matches', method: 'GET', description: 'Get a player\'s match history (page, limit)' },
       { path: '/health', method: 'GET', description: 'Get server health status' }
     ],
     message: 'Welcome to the Bingo Buzz API. Use Socket.IO to connect for real-time gameplay.'
@@ -516,6 +1145,14 @@ function loadGames() {
           // Initialize usedGrids as a Set if it doesn't exist
           loadedGames[roomCode].usedGrids = new Set();
         }
+        
+        // Spectator sockets don't survive a restart
+        loadedGames[roomCode].spectators = [];
+        
+        // Chat history is kept with the room
+        if (!Array.isArray(loadedGames[roomCode].chatHistory)) {
+          loadedGames[roomCode].chatHistory = [];
+        }
       }
       
       return loadedGames;
@@ -526,22 +1163,25 @@ function loadGames() {
   return {};
 }
 
+// Copy every game into a JSON-safe form without touching the live game state
+// (Sets become arrays and running timers are dropped)
+function serializeGames() {
+  const serialized = {};
+  for (const [roomCode, game] of Object.entries(games)) {
+    serialized[roomCode] = {
+      ...game,
+      markedNumbers: Array.from(game.markedNumbers || []),
+      usedGrids: Array.from(game.usedGrids || []),
+      timer: null
+    };
+  }
+  return serialized;
+}
+
 // Save games to persistent storage
 function saveGames() {
   try {
-    const gamesToSave = { ...games };
-    
-    // Convert Sets to Arrays for JSON serialization
-    for (const roomCode in gamesToSave) {
-      if (gamesToSave[roomCode].markedNumbers) {
-        gamesToSave[roomCode].markedNumbers = Array.from(gamesToSave[roomCode].markedNumbers);
-      }
-      if (gamesToSave[roomCode].usedGrids) {
-        gamesToSave[roomCode].usedGrids = Array.from(gamesToSave[roomCode].usedGrids);
-      }
-    }
-    
-    fs.writeFileSync(GAMES_FILE, JSON.stringify(gamesToSave, null, 2));
+    fs.writeFileSync(GAMES_FILE, JSON.stringify(serializeGames(), null, 2));
   } catch (error) {
     console.error('Error saving games to storage:', error);
   }
@@ -568,19 +1208,7 @@ function createBackup() {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const backupFile = path.join(BACKUP_DIR, `games_backup_${timestamp}.json`);
     
-    const gamesToBackup = { ...games };
-    
-    // Convert Sets to Arrays for JSON serialization
-    for (const roomCode in gamesToBackup) {
-      if (gamesToBackup[roomCode].markedNumbers) {
-        gamesToBackup[roomCode].markedNumbers = Array.from(gamesToBackup[roomCode].markedNumbers);
-      }
-      if (gamesToBackup[roomCode].usedGrids) {
-        gamesToBackup[roomCode].usedGrids = Array.from(gamesToBackup[roomCode].usedGrids);
-      }
-    }
-    
-    fs.writeFileSync(backupFile, JSON.stringify(gamesToBackup, null, 2));
+    fs.writeFileSync(backupFile, JSON.stringify(serializeGames(), null, 2));
     
     // Clean up old backups
     const backups = fs.readdirSync(BACKUP_DIR)
@@ -669,15 +1297,35 @@ function recoverRoomState(roomCode) {
   // If still not found, try to reconstruct from active connections
   const activeGame = {
     roomCode,
+    mode: GAME_MODES.TURNS,
+    callInterval: DEFAULT_CALL_INTERVAL,
     gridSize: '5x5',
+    linesToWin: getDefaultLinesToWin('5x5'),
+    winPatterns: [],
+    customPattern: null,
+    manualClaims: false,
+    falseClaimPenalty: DEFAULT_CLAIM_PENALTY,
+    hintsEnabled: true,
+    spectatorGrids: false,
+    seriesLength: DEFAULT_SERIES_LENGTH,
+    isPublic: false,
+    passwordHash: null,
+    series: null,
     players: [],
+    spectators: [],
+    bans: [],
+    locked: false,
+    chatHistory: [],
     grids: {},
     playerNumbers: {},
     started: false,
     startTime: null,
     turnIndex: 0,
-    turnDuration: 15000,
+    turnDuration: DEFAULT_TURN_DURATION,
+    timeoutAction: DEFAULT_TIMEOUT_ACTION,
+    forfeitAfter: DEFAULT_FORFEIT_AFTER,
     markedNumbers: new Set(),
+    calledNumbers: [],
     lastMarkedNumber: undefined,
     lastMarkedTurn: -1,
     createdAt: Date.now(),
@@ -816,22 +1464,118 @@ function repairRoomState(game) {
       game.lastMarkedTurn = -1;
     }
     
-    // Ensure turnDuration is a number
-    if (typeof game.turnDuration !== 'number') {
-      console.log('Setting turnDuration to 15000');
-      game.turnDuration = 15000;
+    // Ensure turnDuration is a supported turn length
+    if (!isValidTurnDuration(game.turnDuration)) {
+      console.log(`Setting turnDuration to ${DEFAULT_TURN_DURATION}`);
+      game.turnDuration = DEFAULT_TURN_DURATION;
     }
     
-    // Ensure started is a boolean
-    if (typeof game.started !== 'boolean') {
-      console.log('Setting started to false');
-      game.started = false;
+    // Ensure the timeout rules are set (older rooms auto-pick a number for the player)
+    if (!isValidTimeoutAction(game.timeoutAction)) {
+      console.log(`Setting timeoutAction to ${DEFAULT_TIMEOUT_ACTION}`);
+      game.timeoutAction = DEFAULT_TIMEOUT_ACTION;
     }
     
-    // Ensure createdAt is a number
-    if (typeof game.createdAt !== 'number') {
-      console.log('Setting createdAt to current timestamp');
-      game.createdAt = Date.now();
+    if (!isValidForfeitAfter(game.forfeitAfter)) {
+      console.log(`Setting forfeitAfter to ${DEFAULT_FORFEIT_AFTER}`);
+      game.forfeitAfter = DEFAULT_FORFEIT_AFTER;
+    }
+    
+    // Ensure the room has a known mode (rooms created before caller mode are turn-based)
+    if (!isValidGameMode(game.mode)) {
+      console.log('Setting mode to turns');
+      game.mode = GAME_MODES.TURNS;
+    }
+    
+    // Ensure callInterval is a valid caller interval
+    if (!isValidCallInterval(game.callInterval)) {
+      console.log(`Setting callInterval to ${DEFAULT_CALL_INTERVAL}`);
+      game.callInterval = DEFAULT_CALL_INTERVAL;
+    }
+    
+    // Ensure linesToWin is a valid target for the grid
+    if (!Number.isInteger(game.linesToWin) || game.linesToWin < 1 || game.linesToWin > getTotalLines(game.gridSize, game.mode)) {
+      console.log('Setting linesToWin to the default for', game.gridSize);
+      game.linesToWin = getDefaultLinesToWin(game.gridSize, game.mode);
+    }
+    
+    // Ensure the claim rules are set (rooms created before claims detect wins automatically)
+    if (typeof game.manualClaims !== 'boolean') {
+      console.log('Setting manualClaims to false');
+      game.manualClaims = false;
+    }
+    
+    if (!isValidClaimPenalty(game.falseClaimPenalty)) {
+      console.log(`Setting falseClaimPenalty to ${DEFAULT_CLAIM_PENALTY}`);
+      game.falseClaimPenalty = DEFAULT_CLAIM_PENALTY;
+    }
+    
+    // Ensure the hints setting is set (rooms created before hints allow them)
+    if (typeof game.hintsEnabled !== 'boolean') {
+      console.log('Setting hintsEnabled to the default for the mode');
+      game.hintsEnabled = !isCallerMode(game.mode);
+    }
+    
+    // Ensure the spectator options are set (cards stay hidden unless the host allowed them)
+    if (typeof game.spectatorGrids !== 'boolean') {
+      console.log('Setting spectatorGrids to false');
+      game.spectatorGrids = false;
+    }
+    
+    // Ensure the visibility is set (older rooms are private)
+    if (typeof game.isPublic !== 'boolean') {
+      console.log('Setting isPublic to false');
+      game.isPublic = false;
+    }
+    
+    if (game.passwordHash === undefined) {
+      console.log('Setting passwordHash to null');
+      game.passwordHash = null;
+    }
+    
+    // Ensure the series length is set (older rooms play single games)
+    if (!isValidSeriesLength(game.seriesLength)) {
+      console.log(`Setting seriesLength to ${DEFAULT_SERIES_LENGTH}`);
+      game.seriesLength = DEFAULT_SERIES_LENGTH;
+    }
+    
+    if (!Array.isArray(game.spectators)) {
+      console.log('Initializing spectators array');
+      game.spectators = [];
+    }
+    
+    // Ensure the moderation state is set (rooms start open with no bans)
+    if (!Array.isArray(game.bans)) {
+      console.log('Initializing bans array');
+      game.bans = [];
+    }
+    
+    if (typeof game.locked !== 'boolean') {
+      console.log('Setting locked to false');
+      game.locked = false;
+    }
+    
+    if (!Array.isArray(game.chatHistory)) {
+      console.log('Initializing chatHistory array');
+      game.chatHistory = [];
+    }
+    
+    // Ensure winPatterns is an array (an empty list means the line count rule applies)
+    if (!Array.isArray(game.winPatterns)) {
+      console.log('Initializing winPatterns array');
+      game.winPatterns = [];
+    }
+    
+    // Ensure started is a boolean
+    if (typeof game.started !== 'boolean') {
+      console.log('Setting started to false');
+      game.started = false;
+    }
+    
+    // Ensure createdAt is a number
+    if (typeof game.createdAt !== 'number') {
+      console.log('Setting createdAt to current timestamp');
+      game.createdAt = Date.now();
     }
     
     // Ensure lastActive is a number
@@ -851,6 +1595,294 @@ function repairRoomState(game) {
   }
 }
 
+// Authenticate the socket handshake; sockets without a token play as guests
+io.use((socket, next) => {
+  const token = socket.handshake.auth?.token;
+  socket.data.user = null;
+  
+  if (!token) {
+    return next();
+  }
+  
+  const user = getSessionUser(token);
+  if (!user) {
+    const error = new Error('Authentication failed');
+    error.data = {
+      code: 'AUTH_INVALID',
+      details: 'Your session is invalid or has expired. Please log in again.'
+    };
+    return next(error);
+  }
+  
+  socket.data.user = user;
+  next();
+});
+
+// Helper function to work out who a socket is playing as
+// Signed-in sockets always use their account name; guests use the name they asked for
+function resolveSocketPlayer(socket, requestedUsername) {
+  const account = socket.data.user;
+  if (account) {
+    return { username: account.username, userId: account.id, guest: false };
+  }
+  
+  const username = typeof requestedUsername === 'string' ? requestedUsername.trim() : '';
+  return { username, userId: null, guest: true };
+}
+
+// Helper function to check whether a socket may take over an existing player slot
+// Account slots belong to the account; guest slots to whoever holds the seat token
+// issued when the slot was first taken, never to anyone who just knows the name
+function canClaimPlayer(player, identity, seatToken) {
+  if (player.isBot) return false;
+  if (player.userId) return player.userId === identity.userId;
+  return !identity.userId && matchesSeatToken(player.seatToken, seatToken);
+}
+
+// Helper function to check for a winner after a number is marked
+// Rooms that require claims wait for a claim-bingo event instead, except from bots,
+// which claim the moment their card wins
+function findAutoWinner(game) {
+  if (!requiresClaim(game)) {
+    return checkWinUtils(game);
+  }
+  
+  for (const bot of game.players.filter(p => p.isBot)) {
+    const win = checkPlayerWin(game, bot.id);
+    if (win) return win;
+  }
+  return null;
+}
+
+// Helper function to get the player details shared with everyone in the room
+function getPublicPlayer(player) {
+  return {
+    id: player.id,
+    username: player.username,
+    guest: !!player.guest,
+    score: player.score || 0,
+    ...(player.forfeited && { forfeited: true }),
+    ...(player.isBot && { isBot: true, botDifficulty: player.botDifficulty })
+  };
+}
+
+// Helper function to check whether a room still has any human players
+function hasHumanPlayers(game) {
+  return game.players.some(p => !p.isBot);
+}
+
+// Helper function to deal a new player a card suited to the room's mode
+function generateRoomGrid(game, username) {
+  if (!(game.usedGrids instanceof Set)) {
+    game.usedGrids = new Set();
+  }
+  
+  return isCallerMode(game.mode)
+    ? generateCallerCard(game.mode, game.usedGrids)
+    : generateUniquePlayerGrid(game.gridSize, username, game.usedGrids);
+}
+
+// Helper function to get the room options shown in the lobby
+function getRoomSettings(game) {
+  return {
+    mode: game.mode || GAME_MODES.TURNS,
+    callInterval: game.callInterval || DEFAULT_CALL_INTERVAL,
+    gridSize: game.gridSize,
+    linesToWin: game.linesToWin || getDefaultLinesToWin(game.gridSize, game.mode),
+    winPatterns: game.winPatterns || [],
+    customPattern: game.customPattern || null,
+    manualClaims: requiresClaim(game),
+    falseClaimPenalty: game.falseClaimPenalty || DEFAULT_CLAIM_PENALTY,
+    hintsEnabled: !!game.hintsEnabled && !isCallerMode(game.mode),
+    spectatorGrids: !!game.spectatorGrids,
+    seriesLength: game.seriesLength || DEFAULT_SERIES_LENGTH,
+    turnDuration: game.turnDuration,
+    timeoutAction: game.timeoutAction || DEFAULT_TIMEOUT_ACTION,
+    forfeitAfter: game.forfeitAfter || DEFAULT_FORFEIT_AFTER,
+    isPublic: !!game.isPublic,
+    hasPassword: !!game.passwordHash,
+    hostUsername: game.hostUsername,
+    locked: !!game.locked
+  };
+}
+
+// Helper function to tell the room how many lines every player has completed
+// Only the counts are shared, never the grids themselves
+function broadcastLineProgress(roomCode) {
+  const game = games[roomCode];
+  if (!game) return;
+  
+  io.to(roomCode).emit('line-progress', getRoomLineProgress(game));
+}
+
+// Helper function to get every player's line counts as sent in line-progress
+function getRoomLineProgress(game) {
+  return {
+    players: game.players.map(player => ({
+      id: player.id,
+      username: player.username,
+      ...getLineProgress(game, player.id)
+    }))
+  };
+}
+
+// Spectators join the room's socket room to follow the game, plus a room of
+// their own so cards can be sent to them without reaching the players
+function getSpectatorRoom(roomCode) {
+  return `${roomCode}:spectators`;
+}
+
+// Helper function to get every player's card for spectators, if the host allows it
+function getSpectatorGrids(game) {
+  if (!game.spectatorGrids) return null;
+  return Object.fromEntries(game.players.map(player => [player.id, game.grids[player.id] || []]));
+}
+
+// Helper function to tell the room how many people are watching
+function broadcastSpectators(roomCode) {
+  const game = games[roomCode];
+  if (!game) return;
+  
+  io.to(roomCode).emit('spectators-updated', {
+    count: game.spectators.length,
+    spectators: game.spectators.map(spectator => spectator.username)
+  });
+}
+
+// Helper function to stop a socket spectating a room
+function removeSpectator(roomCode, socketId) {
+  const game = games[roomCode];
+  if (!game || !Array.isArray(game.spectators)) return;
+  
+  const before = game.spectators.length;
+  game.spectators = game.spectators.filter(spectator => spectator.id !== socketId);
+  if (game.spectators.length !== before) {
+    broadcastSpectators(roomCode);
+  }
+}
+
+// Events that change the game; spectators may only watch
+const SPECTATOR_BLOCKED_EVENTS = new Set([
+  'mark-number',
+  'end-turn',
+  'claim-bingo',
+  'request-hint',
+  'request-grid',
+  'toggle-ready',
+  'start-game',
+  'update-win-patterns',
+  'add-bot',
+  'remove-bot',
+  'kick-player',
+  'ban-player',
+  'transfer-host',
+  'set-room-locked',
+  'create-invite',
+  'vote-rematch',
+  'chat-message',
+  'send-reaction'
+]);
+
+// Helper function to find the player a socket controls, if they are the room's host
+function findHostPlayer(game, socketId) {
+  const player = game.players.find(p => p.id === socketId);
+  return player && player.username === game.hostUsername ? player : null;
+}
+
+// Codes sent with a join-error when a private room turns a player away
+const JOIN_ERROR_CODES = {
+  PASSWORD_REQUIRED: 'PASSWORD_REQUIRED',
+  PASSWORD_INCORRECT: 'PASSWORD_INCORRECT',
+  INVITE_INVALID: 'INVITE_INVALID'
+};
+
+// Helper function to check a new player's or spectator's invite or password for a room
+// Returns a join-error payload, or null if they may join
+async function checkRoomAccess(game, { password, invite }) {
+  if (invite) {
+    return verifyInviteToken(invite, game.roomCode) ? null : {
+      code: JOIN_ERROR_CODES.INVITE_INVALID,
+      message: 'Invalid invite',
+      details: 'This invite link is invalid or has expired. Ask the host for a new one.'
+    };
+  }
+  
+  if (!game.passwordHash) return null;
+  
+  if (typeof password !== 'string' || !password) {
+    return {
+      code: JOIN_ERROR_CODES.PASSWORD_REQUIRED,
+      message: 'Password required',
+      details: 'This room is private. Enter its password to join.'
+    };
+  }
+  
+  if (!(await verifyPassword(password, game.passwordHash))) {
+    return {
+      code: JOIN_ERROR_CODES.PASSWORD_INCORRECT,
+      message: 'Incorrect password',
+      details: 'That password is not right for this room.'
+    };
+  }
+  
+  return null;
+}
+
+// Helper function to hand the host role to another player
+function transferHost(roomCode, newHost, reason) {
+  const game = games[roomCode];
+  if (!game || !newHost) return;
+  
+  const previousHost = game.hostUsername;
+  game.hostUsername = newHost.username;
+  game.hostUserId = newHost.userId || null;
+  console.log(`Host of room ${roomCode} passed from ${previousHost} to ${newHost.username} (${reason})`);
+  
+  io.to(roomCode).emit('host-changed', {
+    hostUsername: newHost.username,
+    previousHost,
+    reason
+  });
+  io.to(roomCode).emit('room-settings-updated', getRoomSettings(game));
+}
+
+// Helper function to remove a player from a room's lobby at the host's request
+function removePlayerFromLobby(roomCode, player, { banned }) {
+  const game = games[roomCode];
+  
+  game.players = game.players.filter(p => p.id !== player.id);
+  game.readyPlayers = (game.readyPlayers || []).filter(username => username !== player.username);
+  if (game.usedGrids instanceof Set) {
+    game.usedGrids.delete(JSON.stringify(game.grids[player.id]));
+  }
+  delete game.grids[player.id];
+  updateGameActivity(roomCode);
+  
+  // Tell the player, then take their socket out of the room
+  if (!player.isBot) {
+    const socketId = player.socketId || player.id;
+    io.to(socketId).emit('kicked', {
+      roomCode,
+      banned,
+      message: banned ? 'You have been banned from this room' : 'You have been removed from this room'
+    });
+    io.in(socketId).socketsLeave(roomCode);
+  }
+  
+  io.to(roomCode).emit('player-left', {
+    players: game.players.map(getPublicPlayer),
+    player: getPublicPlayer(player),
+    reason: banned ? 'banned' : 'kicked'
+  });
+  io.to(roomCode).emit('player-ready', {
+    username: player.username,
+    readyPlayers: game.readyPlayers
+  });
+  
+  // The removed player can't hold up a rematch vote
+  checkRematchVotes(roomCode);
+}
+
 // Socket.io logic
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
@@ -876,6 +1908,15 @@ io.on('connection', (socket) => {
   
   // Apply activity tracking to all events
   socket.onAny(updateActivity);
+  
+  // Spectators can follow a game but not play in it
+  socket.use(([event], next) => {
+    if (socket.data.spectating && SPECTATOR_BLOCKED_EVENTS.has(event)) {
+      socket.emit('error', 'Spectators cannot take part in the game');
+      return;
+    }
+    next();
+  });
 
   // Handle connection errors
   socket.on('connect_error', (error) => {
@@ -904,13 +1945,17 @@ io.on('connection', (socket) => {
   });
 
   // Handle ping from client
-  socket.on('ping', () => {
+  // The pong echoes the client's send time with the server's clock so clients can estimate their offset
+  socket.on('ping', (data) => {
     const connection = activeConnections.get(socket.id);
     if (connection) {
       connection.lastActivity = Date.now();
       activeConnections.set(socket.id, connection);
     }
-    socket.emit('pong');
+    socket.emit('pong', {
+      clientTime: typeof data?.clientTime === 'number' ? data.clientTime : null,
+      serverTime: Date.now()
+    });
   });
 
   // Handle disconnection with improved error handling
@@ -919,7 +1964,7 @@ io.on('connection', (socket) => {
     
     // Find and handle player disconnection from any active games
     for (const [roomCode, game] of Object.entries(games)) {
-      const playerIndex = game.players.findIndex(p => p.socketId === socket.id);
+      const playerIndex = game.players.findIndex(p => (p.socketId || p.id) === socket.id);
       if (playerIndex !== -1) {
         const player = game.players[playerIndex];
         console.log(`Player ${player.username} disconnected from room ${roomCode}`);
@@ -936,29 +1981,56 @@ io.on('connection', (socket) => {
           player.lastDisconnect = Date.now();
           player.disconnectReason = reason;
           
+          // A rematch doesn't wait on a player who has dropped out
+          checkRematchVotes(roomCode);
+          
           // Set a timeout to remove the player if they don't reconnect
           setTimeout(() => {
             const currentGame = games[roomCode];
             if (currentGame) {
               const playerStillDisconnected = currentGame.players.find(
-                p => p.socketId === socket.id && !p.connected
+                p => (p.socketId || p.id) === socket.id && !p.connected
               );
               if (playerStillDisconnected) {
                 console.log(`Removing player ${player.username} after timeout`);
-                currentGame.players = currentGame.players.filter(p => p.socketId !== socket.id);
-                if (currentGame.players.length === 0) {
+                recordAbandonedGame(currentGame, playerStillDisconnected);
+                const removedIndex = currentGame.players.indexOf(playerStillDisconnected);
+                currentGame.players.splice(removedIndex, 1);
+                if (!hasHumanPlayers(currentGame)) {
+                  clearTimeout(currentGame.timer);
                   delete games[roomCode];
+                } else {
+                  if (playerStillDisconnected.username === currentGame.hostUsername) {
+                    // The host didn't come back in time, so someone else takes over
+                    transferHost(roomCode, pickNextHost(currentGame), 'host-disconnected');
+                  }
+                  handlePlayerLeftGame(roomCode, playerStillDisconnected, removedIndex);
+                  checkRematchVotes(roomCode);
                 }
               }
             }
           }, 60000); // 1 minute timeout
         } else {
           // Remove player for permanent disconnections
+          recordAbandonedGame(game, player);
           game.players.splice(playerIndex, 1);
           
-          // If no players left, schedule game for cleanup
-          if (game.players.length === 0) {
+          // If no people are left, stop any bots or caller and schedule game for cleanup
+          if (!hasHumanPlayers(game)) {
+            game.started = false;
+            game.turnDeadline = null;
+            if (game.timer) {
+              clearTimeout(game.timer);
+              game.timer = null;
+            }
             game.lastActivity = Date.now() - INACTIVE_GAME_TIMEOUT;
+          } else {
+            if (player.username === game.hostUsername) {
+              transferHost(roomCode, pickNextHost(game), 'host-left');
+            }
+            // The player who left can't hold up a rematch vote
+            checkRematchVotes(roomCode);
+            handlePlayerLeftGame(roomCode, player, playerIndex);
           }
         }
         
@@ -967,12 +2039,19 @@ io.on('connection', (socket) => {
       }
     }
     
+    // Spectators simply stop watching
+    if (socket.data.spectating) {
+      removeSpectator(socket.data.spectating, socket.id);
+    }
+    
     // Clean up connection tracking
     activeConnections.delete(socket.id);
   });
 
   // Handle reconnection
-  socket.on('rejoin-room', async ({ roomCode, username }) => {
+  socket.on('rejoin-room', async ({ roomCode, username: requestedUsername, seatToken }) => {
+    const identity = resolveSocketPlayer(socket, requestedUsername);
+    const { username } = identity;
     console.log(`Player ${username} attempting to rejoin room ${roomCode}`);
     
     const game = games[roomCode];
@@ -981,7 +2060,9 @@ io.on('connection', (socket) => {
       return;
     }
     
-    const existingPlayer = game.players.find(p => p.username === username && !p.connected);
+    const existingPlayer = game.players.find(
+      p => p.username === username && !p.connected && canClaimPlayer(p, identity, seatToken)
+    );
     if (existingPlayer) {
       existingPlayer.connected = true;
       existingPlayer.socketId = socket.id;
@@ -992,11 +2073,14 @@ io.on('connection', (socket) => {
       
       // Send current game state
       socket.emit('game-state', {
-        players: game.players,
-        grid: game.grids[username],
+        players: game.players.map(getPublicPlayer),
+        grid: game.grids[existingPlayer.id],
         currentTurn: game.players[game.turnIndex]?.username,
         markedNumbers: Array.from(game.markedNumbers),
-        lastMarkedNumber: game.lastMarkedNumber
+        lastMarkedNumber: game.lastMarkedNumber,
+        settings: getRoomSettings(game),
+        turnDeadline: game.started ? game.turnDeadline || null : null,
+        chatHistory: game.chatHistory || []
       });
       
       // Notify other players
@@ -1008,9 +2092,79 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Handle someone watching a room without playing in it
+  socket.on('spectate-room', async ({ roomCode, username: requestedUsername, password, invite }) => {
+    const game = games[roomCode];
+    if (!game) {
+      return socket.emit('spectate-error', {
+        message: 'Room not found',
+        details: 'The room you are trying to watch does not exist or has expired.'
+      });
+    }
+    
+    if (game.players.some(p => p.id === socket.id)) {
+      return socket.emit('spectate-error', {
+        message: 'Already playing',
+        details: 'You are a player in this room.'
+      });
+    }
+    
+    // A ban keeps someone out of the room entirely, watching included. Locking a room
+    // only stops new players taking a seat, so locked rooms can still be watched.
+    const identity = resolveSocketPlayer(socket, requestedUsername);
+    if (isBanned(game, identity)) {
+      return socket.emit('spectate-error', {
+        message: 'Banned from room',
+        details: 'The host has banned you from this room.'
+      });
+    }
+    
+    // Watching a private room needs its password or an invite, just like playing in it
+    const accessError = await checkRoomAccess(game, { password, invite });
+    if (accessError) {
+      return socket.emit('spectate-error', accessError);
+    }
+    
+    const { username } = identity;
+    const spectator = { id: socket.id, username: username || 'Guest', joinedAt: Date.now() };
+    game.spectators = (game.spectators || []).filter(s => s.id !== socket.id).concat(spectator);
+    
+    socket.data.spectating = roomCode;
+    socket.join(roomCode);
+    socket.join(getSpectatorRoom(roomCode));
+    updateGameActivity(roomCode);
+    console.log(`${spectator.username} (${socket.id}) is spectating room ${roomCode}`);
+    
+    socket.emit('spectating', {
+      roomCode,
+      players: game.players.map(getPublicPlayer),
+      settings: getRoomSettings(game),
+      gameStarted: game.started,
+      currentTurn: game.started ? game.currentTurn : null,
+      markedNumbers: Array.from(game.markedNumbers || []),
+      lastMarkedNumber: game.lastMarkedNumber ?? null,
+      lineProgress: getRoomLineProgress(game),
+      grids: getSpectatorGrids(game)
+    });
+    
+    broadcastSpectators(roomCode);
+  });
+  
+  // Handle a spectator leaving a room
+  socket.on('stop-spectating', ({ roomCode }) => {
+    if (socket.data.spectating !== roomCode) return;
+    
+    delete socket.data.spectating;
+    socket.leave(roomCode);
+    socket.leave(getSpectatorRoom(roomCode));
+    removeSpectator(roomCode, socket.id);
+  });
+  
   // Handle player joining a room
-  socket.on('join-room', ({ roomCode, username }) => {
-    console.log(`Player ${username} (${socket.id}) attempting to join room ${roomCode}`);
+  socket.on('join-room', async ({ roomCode, username: requestedUsername, password, invite, seatToken }) => {
+    const identity = resolveSocketPlayer(socket, requestedUsername);
+    const { username } = identity;
+    console.log(`Player ${username} (${socket.id}) attempting to join room ${roomCode}${identity.guest ? ' as a guest' : ''}`);
 
     try {
       // Validate input parameters
@@ -1023,8 +2177,8 @@ io.on('connection', (socket) => {
         return;
       }
       
-      if (!username || typeof username !== 'string') {
-        console.log('Join attempt with invalid username:', username);
+      if (!username) {
+        console.log('Join attempt with invalid username:', requestedUsername);
         socket.emit('join-error', { 
           message: 'Invalid username',
           details: 'Username must be a non-empty string'
@@ -1042,7 +2196,7 @@ io.on('connection', (socket) => {
       console.log(`[Join Attempt - ${roomCode}] Game exists in memory before check: ${gameExistsInMemory}`);
       if (gameExistsInMemory) {
         // Avoid logging potentially huge grid data, just log essential parts
-        const gameSummary = { ...games[roomCode], grids: `Grids exist for ${Object.keys(games[roomCode].grids || {}).length} players`, markedNumbers: `Marked: ${(games[roomCode].markedNumbers || new Set()).size}`, usedGrids: `Used: ${(games[roomCode].usedGrids || new Set()).size}` };
+        const gameSummary = { ...games[roomCode], grids: `Grids exist for ${Object.keys(games[roomCode].grids || {}).length} players`, markedNumbers: `Marked: ${(games[roomCode].markedNumbers || new Set()).size}`, usedGrids: `Used: ${(games[roomCode].usedGrids || new Set()).size}`, timer: games[roomCode].timer ? 'running' : null, passwordHash: games[roomCode].passwordHash ? '[set]' : null };
         console.log(`[Join Attempt - ${roomCode}] Game data summary in memory: ${JSON.stringify(gameSummary)}`);
       }
       
@@ -1057,7 +2211,7 @@ io.on('connection', (socket) => {
           game = games[roomCode]; // Re-assign game after successful recovery
           console.log(`[Join Attempt - ${roomCode}] Successfully recovered room.`);
           // Log summary after recovery
-          const recoveredGameSummary = { ...game, grids: `Grids exist for ${Object.keys(game.grids || {}).length} players`, markedNumbers: `Marked: ${(game.markedNumbers || new Set()).size}`, usedGrids: `Used: ${(game.usedGrids || new Set()).size}` };
+          const recoveredGameSummary = { ...game, grids: `Grids exist for ${Object.keys(game.grids || {}).length} players`, markedNumbers: `Marked: ${(game.markedNumbers || new Set()).size}`, usedGrids: `Used: ${(game.usedGrids || new Set()).size}`, timer: game.timer ? 'running' : null, passwordHash: game.passwordHash ? '[set]' : null };
           console.log(`[Join Attempt - ${roomCode}] Game data summary after recovery: ${JSON.stringify(recoveredGameSummary)}`);
         } else {
           console.log(`[Join Attempt - ${roomCode}] Room could not be recovered.`);
@@ -1098,25 +2252,73 @@ io.on('connection', (socket) => {
         console.log(`[Join Attempt - ${roomCode}] Rejected join: Game already in progress`);
         socket.emit('join-error', { 
           message: 'Game already in progress',
-          details: 'This game has already started. Please create a new game or join a different room.'
+          details: 'This game has already started. You can watch it as a spectator, or create a new game.',
+          canSpectate: true
         });
         return;
       }
       
       // Check if player with same username already exists
       const existingPlayerIndex = game.players.findIndex(p => p.username === username);
+      const existingPlayer = game.players[existingPlayerIndex];
       let playerGrid;
       
-      if (existingPlayerIndex !== -1) {
+      // A seat is only this socket's if it already holds it or can prove it owns it
+      const ownsSeat = !!existingPlayer &&
+        (existingPlayer.id === socket.id || canClaimPlayer(existingPlayer, identity, seatToken));
+      
+      if (isBanned(game, identity)) {
+        console.log(`[Join Attempt - ${roomCode}] Rejected join: ${username} is banned`);
+        socket.emit('join-error', {
+          message: 'Banned from room',
+          details: 'The host has banned you from this room.'
+        });
+        return;
+      }
+      
+      // A locked room still lets its own players back in
+      if (game.locked && !ownsSeat) {
+        console.log(`[Join Attempt - ${roomCode}] Rejected join: room is locked`);
+        socket.emit('join-error', {
+          message: 'Room locked',
+          details: 'The host has locked this room against new players.'
+        });
+        return;
+      }
+      
+      // Anyone taking a seat they don't own needs the room's password, or an invite
+      // that stands in for it
+      if (!ownsSeat) {
+        const accessError = await checkRoomAccess(game, { password, invite });
+        if (accessError) {
+          console.log(`[Join Attempt - ${roomCode}] Rejected join: ${accessError.code}`);
+          socket.emit('join-error', accessError);
+          return;
+        }
+      }
+      
+      // Only the seat's owner may take over an existing player, and a signed-in
+      // host's name is reserved for them
+      const isReservedHostName = game.hostUserId && username === game.hostUsername && identity.userId !== game.hostUserId;
+      if (isReservedHostName || (existingPlayer && !ownsSeat)) {
+        console.log(`[Join Attempt - ${roomCode}] Rejected join: ${username} belongs to another player`);
+        socket.emit('join-error', {
+          message: 'Username taken',
+          details: 'Another player in this room is already using this name.'
+        });
+        return;
+      }
+      
+      if (existingPlayer) {
         // Update the existing player's socket ID
-        const existingPlayer = game.players[existingPlayerIndex];
         console.log(`[Join Attempt - ${roomCode}] Player ${username} rejoining. Old ID: ${existingPlayer.id}, New ID: ${socket.id}`);
         
-        // Update the socket ID
+        // Update the socket ID (seats recovered without a seat token get one now)
         existingPlayer.id = socket.id;
+        existingPlayer.seatToken = existingPlayer.seatToken || createSeatToken();
         
         // Get the existing grid or generate a new one
-        playerGrid = game.grids[existingPlayer.id] || generateUniquePlayerGrid(game.gridSize, username, game.usedGrids || new Set());
+        playerGrid = game.grids[existingPlayer.id] || generateRoomGrid(game, username);
         game.grids[socket.id] = playerGrid;
         
         // Clean up old grid reference
@@ -1126,17 +2328,27 @@ io.on('connection', (socket) => {
       } else {
         // Generate a new grid for new player
         console.log(`[Join Attempt - ${roomCode}] Generating new grid for player ${username}`);
-        playerGrid = generateUniquePlayerGrid(game.gridSize, username, game.usedGrids || new Set());
+        playerGrid = generateRoomGrid(game, username);
         game.grids[socket.id] = playerGrid;
         
         // Add player to the game
         game.players.push({
           id: socket.id,
           username,
+          userId: identity.userId,
+          guest: identity.guest,
+          seatToken: createSeatToken(),
           joinedAt: Date.now()
         });
       }
       
+      // A spectator taking a seat in the lobby stops spectating
+      if (socket.data.spectating === roomCode) {
+        delete socket.data.spectating;
+        socket.leave(getSpectatorRoom(roomCode));
+        removeSpectator(roomCode, socket.id);
+      }
+      
       // Join the socket room
       socket.join(roomCode);
       
@@ -1155,13 +2367,17 @@ io.on('connection', (socket) => {
       // Emit success event with game state
       socket.emit('joined-room', {
         grid: playerGrid,
-        players: game.players.map(player => ({ 
-          id: player.id, 
-          username: player.username
-        })),
+        players: game.players.map(getPublicPlayer),
+        guest: identity.guest,
+        seatToken: game.players.find(p => p.id === socket.id).seatToken,
         isHost: isHost,
         gameStarted: game.started,
-        readyPlayers: readyPlayerUsernames
+        readyPlayers: readyPlayerUsernames,
+        markedNumbers: Array.from(game.markedNumbers || []),
+        settings: getRoomSettings(game),
+        turnDeadline: game.started ? game.turnDeadline || null : null,
+        spectatorCount: (game.spectators || []).length,
+        chatHistory: game.chatHistory || []
       });
       
       // Also emit a separate grid-assigned event to ensure the client receives it
@@ -1169,11 +2385,8 @@ io.on('connection', (socket) => {
       
       // Notify other players
       socket.to(roomCode).emit('player-joined', {
-        players: game.players.map(player => ({ 
-          id: player.id, 
-          username: player.username
-        })),
-        player: { id: socket.id, username }
+        players: game.players.map(getPublicPlayer),
+        player: { id: socket.id, username, guest: identity.guest }
       });
       
     } catch (error) {
@@ -1185,140 +2398,369 @@ io.on('connection', (socket) => {
     }
   });
   
-  // Handle starting the game
-  socket.on('start-game', ({ roomCode }) => {
+  // Handle the host changing the room's win patterns in the lobby
+  socket.on('update-win-patterns', ({ roomCode, winPatterns, customPattern }) => {
     const game = games[roomCode];
     if (!game) {
       return socket.emit('error', 'Room not found');
     }
     
-    // Find the player
     const player = game.players.find(p => p.id === socket.id);
-    if (!player) {
-      return socket.emit('error', 'Player not found');
+    if (!player || player.username !== game.hostUsername) {
+      return socket.emit('error', 'Only the host can change the win patterns');
     }
     
-    console.log(`Attempting to start game. Host username: ${game.hostUsername}, Current player: ${player.username}, Is host: ${player.username === game.hostUsername}`);
+    if (game.started) {
+      return socket.emit('error', 'Win patterns cannot be changed during a game');
+    }
     
-    // Only host can start the game
-    if (player.username !== game.hostUsername) {
-      console.log(`Player ${player.username} attempted to start game but is not host (${game.hostUsername})`);
-      return socket.emit('error', 'Only the host can start the game');
+    if (game.mode === GAME_MODES.BINGO_90) {
+      return socket.emit('error', '90-ball games are won on rows, so win patterns are not available');
     }
     
-    // Initialize readyPlayers array if not exists
-    if (!game.readyPlayers) {
-      game.readyPlayers = [];
+    // An empty custom pattern clears it
+    const normalizedPattern = Array.isArray(customPattern) && customPattern.length > 0
+      ? normalizeCustomPattern(customPattern, game.gridSize)
+      : null;
+    if (Array.isArray(customPattern) && customPattern.length > 0 && !normalizedPattern) {
+      return socket.emit('error', 'Custom pattern must be a list of cells inside the grid');
     }
     
-    // Get host username
-    const hostUsername = game.hostUsername;
+    const patternIds = Array.isArray(winPatterns) ? [...new Set(winPatterns)] : [];
+    const patternError = validatePatternSelection(patternIds, game.gridSize, normalizedPattern);
+    if (patternError) {
+      return socket.emit('error', patternError);
+    }
     
-    // Check if there are at least 2 players and someone other than the host is ready
-    // Or if single player mode is supported, just check if the host is ready
-    const hasEnoughReadyPlayers = game.readyPlayers.length >= 1;
+    game.winPatterns = patternIds;
+    game.customPattern = normalizedPattern;
+    updateGameActivity(roomCode);
+    saveGames();
     
-    // Check if host is ready (unless the game only has one player)
-    const isHostReady = (game.players.length === 1) || 
-                        (game.readyPlayers.includes(hostUsername));
-                        
-    if (!hasEnoughReadyPlayers) {
-      return socket.emit('error', 'Not enough players are ready to start the game');
+    io.to(roomCode).emit('room-settings-updated', getRoomSettings(game));
+  });
+  
+  // Handle the host adding a computer-controlled player in the lobby
+  socket.on('add-bot', ({ roomCode, difficulty }) => {
+    const game = games[roomCode];
+    if (!game) {
+      return socket.emit('error', 'Room not found');
     }
     
-    // If the host is not ready, they should be ready to start the game
-    if (!isHostReady && game.players.length > 1) {
-      return socket.emit('error', 'Host must be ready to start the game');
+    const player = game.players.find(p => p.id === socket.id);
+    if (!player || player.username !== game.hostUsername) {
+      return socket.emit('error', 'Only the host can add bots');
     }
     
-    console.log(`Starting game in room ${roomCode} with ${game.players.length} players`);
-    
-    // Start the game
-    game.started = true;
-    game.startTime = Date.now();
+    if (game.started) {
+      return socket.emit('error', 'Bots cannot be added during a game');
+    }
     
-    // Select the first player for the first turn
-    game.currentTurn = game.players[0].id;
+    if (!isValidBotDifficulty(difficulty)) {
+      return socket.emit('error', 'Invalid bot difficulty');
+    }
     
-    // Make sure all players have a grid
-    for (const player of game.players) {
-      if (!game.grids[player.id] || !game.grids[player.id].length) {
-        console.log(`Creating missing grid for player ${player.username} at game start`);
-        const [rows, cols] = game.gridSize.split('x').map(Number);
-        const total = rows * cols;
-        
-        // Generate a completely unique grid for this player
-        // First, create a pool of numbers from 1 to total (e.g., 1-25 for 5x5)
-        const allNumbers = Array.from({ length: total }, (_, i) => i + 1);
-        
-        // Shuffle the numbers
-        for (let i = allNumbers.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [allNumbers[i], allNumbers[j]] = [allNumbers[j], allNumbers[i]];
-        }
-        
-        // Select numbers that aren't used by other players
-        const selectedNumbers = [];
-        const usedNumbersSet = new Set();
-        
-        // Collect all numbers used by other players
-        for (const pid in game.grids) {
-          if (pid !== player.id) {
-            const playerGrid = game.grids[pid];
-            if (playerGrid) {
-              const flatGrid = playerGrid.flat();
-              flatGrid.forEach(num => usedNumbersSet.add(num));
-            }
-          }
-        }
-        
-        // Select unique numbers for this player
-        for (const num of allNumbers) {
-          if (!usedNumbersSet.has(num) && selectedNumbers.length < total) {
-            selectedNumbers.push(num);
-          }
-          if (selectedNumbers.length >= total) break;
-        }
-        
-        // Create the grid
-        const newGrid = [];
-        for (let i = 0; i < rows; i++) {
-          const row = [];
-          for (let j = 0; j < cols; j++) {
-            const index = i * cols + j;
-            if (index < selectedNumbers.length) {
-              row.push(selectedNumbers[index]);
-            }
-          }
-          newGrid.push(row);
-        }
-        
-        // Store the grid
-        game.grids[player.id] = newGrid;
-        
-        // Store which numbers belong to this player
-        game.playerNumbers[player.id] = new Set(selectedNumbers);
-      }
+    if (game.players.filter(p => p.isBot).length >= MAX_BOTS_PER_ROOM) {
+      return socket.emit('error', `A room can have at most ${MAX_BOTS_PER_ROOM} bots`);
     }
     
-    // Notify all players
-    io.to(roomCode).emit('game-started', {
-      players: game.players,
-      currentTurn: game.currentTurn,
-      grid: game.grids[socket.id] // Each player gets their own grid
-    });
+    // Bots have no account, so like guests they stay off the leaderboard
+    const bot = {
+      id: `bot-${nanoid(8)}`,
+      username: getBotName(game.players, difficulty),
+      userId: null,
+      guest: true,
+      isBot: true,
+      botDifficulty: difficulty,
+      joinedAt: Date.now()
+    };
+    game.grids[bot.id] = generateRoomGrid(game, bot.username);
+    game.players.push(bot);
     
-    // Send each player their own grid
-    for (const player of game.players) {
-      console.log(`Sending grid to player ${player.username} (${player.id}):`, JSON.stringify(game.grids[player.id]));
-      io.to(player.id).emit('grid-assigned', game.grids[player.id]);
+    // Bots are always ready to play
+    if (!game.readyPlayers) {
+      game.readyPlayers = [];
     }
+    game.readyPlayers.push(bot.username);
     
-    // Start the first turn
-    startTurn(roomCode);
-  });
-  
-  // Handle marking a number
+    updateGameActivity(roomCode);
+    console.log(`Host added ${bot.username} to room ${roomCode}`);
+    
+    io.to(roomCode).emit('player-joined', {
+      players: game.players.map(getPublicPlayer),
+      player: getPublicPlayer(bot)
+    });
+    io.to(roomCode).emit('player-ready', {
+      username: bot.username,
+      readyPlayers: game.readyPlayers
+    });
+  });
+  
+  // Handle the host removing a bot from the lobby
+  socket.on('remove-bot', ({ roomCode, botId }) => {
+    const game = games[roomCode];
+    if (!game) {
+      return socket.emit('error', 'Room not found');
+    }
+    
+    const player = game.players.find(p => p.id === socket.id);
+    if (!player || player.username !== game.hostUsername) {
+      return socket.emit('error', 'Only the host can remove bots');
+    }
+    
+    if (game.started) {
+      return socket.emit('error', 'Bots cannot be removed during a game');
+    }
+    
+    const bot = game.players.find(p => p.id === botId && p.isBot);
+    if (!bot) {
+      return socket.emit('error', 'Bot not found');
+    }
+    
+    game.players = game.players.filter(p => p.id !== bot.id);
+    game.readyPlayers = (game.readyPlayers || []).filter(username => username !== bot.username);
+    if (game.usedGrids instanceof Set) {
+      game.usedGrids.delete(JSON.stringify(game.grids[bot.id]));
+    }
+    delete game.grids[bot.id];
+    updateGameActivity(roomCode);
+    
+    io.to(roomCode).emit('player-left', {
+      players: game.players.map(getPublicPlayer),
+      player: getPublicPlayer(bot)
+    });
+    io.to(roomCode).emit('player-ready', {
+      username: bot.username,
+      readyPlayers: game.readyPlayers
+    });
+  });
+  
+  // Handle the host removing a player from the lobby, optionally banning them
+  const handleRemovePlayer = (banned) => ({ roomCode, playerId }) => {
+    const game = games[roomCode];
+    if (!game) {
+      return socket.emit('error', 'Room not found');
+    }
+    
+    const host = findHostPlayer(game, socket.id);
+    if (!host) {
+      return socket.emit('error', `Only the host can ${banned ? 'ban' : 'kick'} players`);
+    }
+    
+    if (game.started) {
+      return socket.emit('error', 'Players can only be removed in the lobby');
+    }
+    
+    const target = game.players.find(p => p.id === playerId);
+    if (!target) {
+      return socket.emit('error', 'Player not found');
+    }
+    
+    if (target.id === host.id) {
+      return socket.emit('error', 'You cannot remove yourself');
+    }
+    
+    if (banned && !target.isBot) {
+      addBan(game, target);
+    }
+    console.log(`Host ${host.username} ${banned ? 'banned' : 'kicked'} ${target.username} from room ${roomCode}`);
+    removePlayerFromLobby(roomCode, target, { banned });
+  };
+  
+  socket.on('kick-player', handleRemovePlayer(false));
+  socket.on('ban-player', handleRemovePlayer(true));
+  
+  // Handle the host asking for a shareable invite link to the room
+  socket.on('create-invite', ({ roomCode }) => {
+    const game = games[roomCode];
+    if (!game) {
+      return socket.emit('error', 'Room not found');
+    }
+    
+    if (!findHostPlayer(game, socket.id)) {
+      return socket.emit('error', 'Only the host can create invite links');
+    }
+    
+    socket.emit('invite-created', {
+      roomCode,
+      token: createInviteToken(roomCode),
+      expiresAt: Date.now() + INVITE_TOKEN_TTL
+    });
+  });
+  
+  // Handle the host handing the host role to another player
+  socket.on('transfer-host', ({ roomCode, playerId }) => {
+    const game = games[roomCode];
+    if (!game) {
+      return socket.emit('error', 'Room not found');
+    }
+    
+    if (!findHostPlayer(game, socket.id)) {
+      return socket.emit('error', 'Only the host can transfer the host role');
+    }
+    
+    const target = game.players.find(p => p.id === playerId);
+    if (!target || target.isBot || target.id === socket.id) {
+      return socket.emit('error', 'Choose another player to become host');
+    }
+    
+    transferHost(roomCode, target, 'transferred');
+  });
+  
+  // Handle the host locking or unlocking the room against new players
+  socket.on('set-room-locked', ({ roomCode, locked }) => {
+    const game = games[roomCode];
+    if (!game) {
+      return socket.emit('error', 'Room not found');
+    }
+    
+    if (!findHostPlayer(game, socket.id)) {
+      return socket.emit('error', 'Only the host can lock the room');
+    }
+    
+    game.locked = !!locked;
+    updateGameActivity(roomCode);
+    io.to(roomCode).emit('room-settings-updated', getRoomSettings(game));
+  });
+  
+  // Handle a chat message sent to everyone in the room
+  socket.on('chat-message', ({ roomCode, text }) => {
+    const game = games[roomCode];
+    if (!game) {
+      return socket.emit('error', 'Room not found');
+    }
+    
+    const player = game.players.find(p => p.id === socket.id);
+    if (!player) {
+      return socket.emit('error', 'Player not found');
+    }
+    
+    const cleanText = sanitizeMessage(text);
+    if (!cleanText) {
+      return socket.emit('chat-error', { message: 'Message cannot be empty' });
+    }
+    
+    socket.data.chatSentAt = socket.data.chatSentAt || [];
+    if (isRateLimited(socket.data.chatSentAt)) {
+      return socket.emit('chat-error', { message: 'You are sending messages too quickly' });
+    }
+    
+    const message = {
+      id: nanoid(10),
+      playerId: player.id,
+      username: player.username,
+      text: cleanText,
+      sentAt: Date.now()
+    };
+    addToChatHistory(game, message);
+    updateGameActivity(roomCode);
+    
+    io.to(roomCode).emit('chat-message', message);
+  });
+  
+  // Handle a one-tap emoji reaction (shown briefly, not kept in the history)
+  socket.on('send-reaction', ({ roomCode, emoji }) => {
+    const game = games[roomCode];
+    if (!game) {
+      return socket.emit('error', 'Room not found');
+    }
+    
+    const player = game.players.find(p => p.id === socket.id);
+    if (!player) {
+      return socket.emit('error', 'Player not found');
+    }
+    
+    if (!isValidReaction(emoji)) {
+      return socket.emit('chat-error', { message: 'Unknown reaction' });
+    }
+    
+    socket.data.chatSentAt = socket.data.chatSentAt || [];
+    if (isRateLimited(socket.data.chatSentAt)) {
+      return socket.emit('chat-error', { message: 'You are sending reactions too quickly' });
+    }
+    
+    io.to(roomCode).emit('reaction', {
+      id: nanoid(10),
+      playerId: player.id,
+      username: player.username,
+      emoji
+    });
+  });
+  
+  // Handle a player opting in to a rematch once a game is over
+  socket.on('vote-rematch', ({ roomCode }) => {
+    const game = games[roomCode];
+    if (!game) {
+      return socket.emit('error', 'Room not found');
+    }
+    
+    const player = game.players.find(p => p.id === socket.id);
+    if (!player) {
+      return socket.emit('error', 'Player not found');
+    }
+    
+    if (game.started || !Array.isArray(game.rematchVotes)) {
+      return socket.emit('error', 'A rematch can only be voted for after a game ends');
+    }
+    
+    if (!game.rematchVotes.includes(player.username)) {
+      game.rematchVotes.push(player.username);
+    }
+    updateGameActivity(roomCode);
+    checkRematchVotes(roomCode);
+  });
+  
+  // Handle starting the game
+  socket.on('start-game', ({ roomCode }) => {
+    const game = games[roomCode];
+    if (!game) {
+      return socket.emit('error', 'Room not found');
+    }
+    
+    // Find the player
+    const player = game.players.find(p => p.id === socket.id);
+    if (!player) {
+      return socket.emit('error', 'Player not found');
+    }
+    
+    console.log(`Attempting to start game. Host username: ${game.hostUsername}, Current player: ${player.username}, Is host: ${player.username === game.hostUsername}`);
+    
+    // Only host can start the game
+    if (player.username !== game.hostUsername) {
+      console.log(`Player ${player.username} attempted to start game but is not host (${game.hostUsername})`);
+      return socket.emit('error', 'Only the host can start the game');
+    }
+    
+    // Initialize readyPlayers array if not exists
+    if (!game.readyPlayers) {
+      game.readyPlayers = [];
+    }
+    
+    // Get host username
+    const hostUsername = game.hostUsername;
+    
+    // Check if there are at least 2 players and someone other than the host is ready
+    // Or if single player mode is supported, just check if the host is ready
+    const hasEnoughReadyPlayers = game.readyPlayers.length >= 1;
+    
+    // Check if host is ready (unless the game only has one player)
+    const isHostReady = (game.players.length === 1) || 
+                        (game.readyPlayers.includes(hostUsername));
+                        
+    if (!hasEnoughReadyPlayers) {
+      return socket.emit('error', 'Not enough players are ready to start the game');
+    }
+    
+    // If the host is not ready, they should be ready to start the game
+    if (!isHostReady && game.players.length > 1) {
+      return socket.emit('error', 'Host must be ready to start the game');
+    }
+    
+    console.log(`Starting game in room ${roomCode} with ${game.players.length} players`);
+    beginGame(roomCode);
+  });
+  
+  // Handle marking a number
   socket.on('mark-number', ({ roomCode, number }) => {
     if (LOG_LEVELS.DEBUG) console.log(`mark-number event received from player ${socket.id}, number: ${number}, room: ${roomCode}`);
     
@@ -1334,6 +2776,10 @@ io.on('connection', (socket) => {
       return socket.emit('error', 'Game has not started yet');
     }
     
+    if (isCallerMode(game.mode)) {
+      return socket.emit('error', 'Numbers are drawn by the caller in this room');
+    }
+    
     // Only the current player can mark a number
     if (game.currentTurn !== socket.id) {
       return socket.emit('error', 'Not your turn');
@@ -1360,107 +2806,11 @@ io.on('connection', (socket) => {
       return socket.emit('error', 'This number is already marked');
     }
     
+    // Playing a number yourself ends a run of timeouts
+    player.timeouts = 0;
+    
     try {
-      // Mark the number in the global set
-      game.markedNumbers.add(number);
-      game.lastMarkedNumber = number;
-      game.lastMarkedTurn = game.turnIndex;
-      
-      // Clear any active turn timer
-      if (game.timer) {
-        clearTimeout(game.timer);
-        game.timer = null;
-      }
-      
-      // ** Revert to single broadcast to the whole room (including sender) **
-      const broadcastPayload = {
-        number: number,
-        markedBy: socket.id,
-        automatic: false
-      };
-      try {
-        console.log(`[mark-number] PRE-EMIT (Broadcast): Attempting emit of number-marked to room ${roomCode} with payload:`, broadcastPayload);
-        io.to(roomCode).emit('number-marked', broadcastPayload);
-        console.log(`[mark-number] POST-EMIT (Broadcast): Successfully executed emit number-marked to room ${roomCode}`);
-      } catch (emitError) {
-        console.error(`[mark-number] CRITICAL: Error occurred DURING io.to(${roomCode}).emit:`, emitError);
-        // Attempt to notify the client about this specific failure
-        try { socket.emit('error', 'Server failed during broadcast emit'); } catch(e) { console.error("Failed even to emit the broadcast error notice", e); }
-        // If emit fails, we probably shouldn't proceed with win check/turn change, as clients are out of sync
-        return; // Exit the handler early
-      }
-
-      // ~~ Remove separate sender confirmation and broadcast ~~
-      /*
-      const confirmationPayload = { ... };
-      try { ... socket.emit ... } catch { ... }
-      console.log(`[mark-number] Broadcasting number-marked ...`);
-      socket.broadcast.to(roomCode).emit(...) 
-      */
-      
-      // Check for a winner
-      let winner = null;
-      try {
-        console.log(`[mark-number] PRE-CHECKWIN: Calling checkWinUtils for room ${roomCode}`);
-        winner = checkWinUtils(game);
-        console.log(`[mark-number] POST-CHECKWIN: Result for room ${roomCode}:`, winner ? `Winner ${winner.playerId}` : 'No winner');
-      } catch (winCheckError) {
-        console.error(`[mark-number] CRITICAL: Error occurred DURING checkWinUtils for room ${roomCode}:`, winCheckError);
-        // Attempt to notify client and maybe end game?
-        try { io.to(roomCode).emit('error', 'Server error checking win condition'); } catch(e) { console.error("Failed to emit win check error notice", e); }
-        // Decide how to handle: potentially end game or just log?
-        // For now, just log and prevent further processing in this handler state
-        return; 
-      }
-      
-      if (winner) {
-        const winningPlayer = game.players.find(p => p.id === winner.playerId);
-        
-        // Calculate score
-        const gameTime = (Date.now() - game.startTime) / 1000;
-        const score = Math.max(100 - Math.floor(gameTime / 10), 10);
-        
-        // Update winning player's score
-        winningPlayer.score = (winningPlayer.score || 0) + score;
-        
-        // Save to leaderboard
-        updateLeaderboard(winningPlayer, score);
-        
-        // Notify all players
-        io.to(roomCode).emit('game-won', {
-          player: winningPlayer,
-          lines: winner.lines,
-          score
-        });
-        
-        // End the game
-        game.started = false;
-      } else {
-        // Move to next turn
-        console.log(`[mark-number] PRE-NEXT_TURN: Moving to next turn for room ${roomCode}. Current index: ${game.turnIndex}, Player count: ${game.players.length}`);
-        game.turnIndex = (game.turnIndex + 1) % game.players.length;
-        game.currentTurn = game.players[game.turnIndex].id;
-        
-        // Emit turn changed to all players
-        const nextPlayer = game.players[game.turnIndex];
-        console.log(`[mark-number] Emitting turn-changed for room ${roomCode}. Next turn: ${nextPlayer?.username} (${game.currentTurn})`);
-        io.to(roomCode).emit('turn-changed', {
-          currentTurn: game.currentTurn,
-          player: nextPlayer
-        });
-        
-        // Start the new turn
-        try {
-          console.log(`[mark-number] PRE-START_TURN: Calling startTurn for room ${roomCode}`);
-          startTurn(roomCode);
-          console.log(`[mark-number] POST-START_TURN: Successfully called startTurn for room ${roomCode}`);
-        } catch (startTurnError) {
-          console.error(`[mark-number] CRITICAL: Error occurred DURING startTurn call for room ${roomCode}:`, startTurnError);
-          // Attempt to notify client
-          try { io.to(roomCode).emit('error', 'Server error starting next turn'); } catch(e) { console.error("Failed to emit start turn error notice", e); }
-          // Game state might be broken here, consider ending or resetting
-        }
-      }
+      markNumberForPlayer(roomCode, socket.id, number);
     } catch (error) {
       // This is the catch block for the broader handler logic (validations, state updates etc.)
       console.error('[mark-number] Error in main handler logic:', error);
@@ -1474,112 +2824,129 @@ io.on('connection', (socket) => {
     }
   });
   
-  // Handle end-turn (when timer expires or player manually ends their turn)
-  socket.on('end-turn', ({ roomCode }) => {
-    console.log(`Player ${socket.id} ended their turn in room ${roomCode}`);
+  // Handle the current player asking which numbers would help them most
+  socket.on('request-hint', ({ roomCode }) => {
     const game = games[roomCode];
+    if (!game) {
+      return socket.emit('error', 'Room not found');
+    }
+    
+    if (!game.started) {
+      return socket.emit('error', 'Game has not started yet');
+    }
+    
+    if (!game.hintsEnabled || isCallerMode(game.mode)) {
+      return socket.emit('error', 'Hints are turned off in this room');
+    }
+    
+    if (game.currentTurn !== socket.id) {
+      return socket.emit('error', 'Hints are only available on your turn');
+    }
+    
+    const player = game.players.find(p => p.id === socket.id);
+    if (!player) {
+      return socket.emit('error', 'Player not found in game');
+    }
+    
+    // Every hint counts towards the player's match stats
+    player.hintsUsed = (player.hintsUsed || 0) + 1;
+    updateGameActivity(roomCode);
     
+    socket.emit('hint-suggestions', {
+      suggestions: getSuggestedNumbers(game, socket.id),
+      hintsUsed: player.hintsUsed
+    });
+  });
+  
+  // Handle a player claiming Bingo in a room where wins must be claimed
+  socket.on('claim-bingo', ({ roomCode }) => {
+    const game = games[roomCode];
     if (!game) {
       return socket.emit('error', 'Room not found');
     }
     
+    updateGameActivity(roomCode);
+    
     if (!game.started) {
       return socket.emit('error', 'Game has not started yet');
     }
     
-    // Only the current player can end their turn
-    if (socket.id !== game.currentTurn) {
-      console.log(`Not ${socket.id}'s turn to end! Current turn: ${game.currentTurn}`);
-      return socket.emit('error', 'Not your turn');
+    if (!requiresClaim(game)) {
+      return socket.emit('error', 'Wins are detected automatically in this room');
     }
     
-    // Clear the turn timer
-    clearTimeout(game.timer);
+    const player = game.players.find(p => p.id === socket.id);
+    if (!player) {
+      return socket.emit('error', 'Player not found in game');
+    }
     
-    // Check if the player didn't mark any number during their turn
-    // This logic compares the current turnIndex with the last marked turn index
-    const playerDidntMarkNumber = game.lastMarkedTurn !== game.turnIndex || typeof game.lastMarkedNumber === 'undefined';
-    console.log(`Player marked number check: last marked turn ${game.lastMarkedTurn}, current turn index ${game.turnIndex}, result: ${playerDidntMarkNumber ? 'did not mark' : 'did mark'}`);
+    if (player.forfeited) {
+      return socket.emit('claim-rejected', {
+        message: 'You forfeited this game'
+      });
+    }
     
-    if (playerDidntMarkNumber) {
-      const playerGrid = game.grids[socket.id];
-      if (playerGrid) {
-        const flatGrid = playerGrid.flat();
-        const unmarkedNumbers = flatGrid.filter(num => !game.markedNumbers.has(num));
-        
-        if (unmarkedNumbers.length > 0) {
-          // Pick a random unmarked number
-          const randomIndex = Math.floor(Math.random() * unmarkedNumbers.length);
-          const randomNumber = unmarkedNumbers[randomIndex];
-          
-          console.log(`Player ${socket.id} did not mark a number, automatically marking ${randomNumber}`);
-          
-          // Mark the number
-          game.markedNumbers.add(randomNumber);
-          
-          // Update last marked info
-          game.lastMarkedNumber = randomNumber;
-          game.lastMarkedTurn = game.turnIndex;
-          
-          // Find the player
-          const player = game.players.find(p => p.id === socket.id);
-          
-          // Notify all players of the automatic marking
-          io.to(roomCode).emit('number-marked', {
-            number: randomNumber,
-            markedBy: socket.id,
-            automatic: true
-          });
-          
-          // Check for a winner
-          let winner = null;
-          try {
-            console.log(`[mark-number] PRE-CHECKWIN: Calling checkWinUtils for room ${roomCode}`);
-            winner = checkWinUtils(game);
-            console.log(`[mark-number] POST-CHECKWIN: Result for room ${roomCode}:`, winner ? `Winner ${winner.playerId}` : 'No winner');
-          } catch (winCheckError) {
-            console.error(`[mark-number] CRITICAL: Error occurred DURING checkWinUtils for room ${roomCode}:`, winCheckError);
-            // Attempt to notify client and maybe end game?
-            try { io.to(roomCode).emit('error', 'Server error checking win condition'); } catch(e) { console.error("Failed to emit win check error notice", e); }
-            // Decide how to handle: potentially end game or just log?
-            // For now, just log and prevent further processing in this handler state
-            return; 
-          }
-          
-          if (winner) {
-            const winningPlayer = game.players.find(p => p.id === winner.playerId);
-            
-            // Calculate score based on time and turns
-            const gameTime = (Date.now() - game.startTime) / 1000;
-            const score = Math.max(100 - Math.floor(gameTime / 10), 10);
-            
-            // Update winning player's score
-            winningPlayer.score += score;
-            
-            // Save to leaderboard
-            updateLeaderboard(winningPlayer, score);
-            
-            // Notify all players
-            io.to(roomCode).emit('game-won', {
-              player: winningPlayer,
-              lines: winner.lines,
-              score
-            });
-            
-            // End the game
-            game.started = false;
-          }
-        }
-      }
+    if (isClaimLocked(game, player)) {
+      return socket.emit('claim-rejected', {
+        message: 'You can claim again once the next number is called'
+      });
     }
     
-    console.log(`Moving to next player's turn after ${socket.id} ended their turn in room ${roomCode}`);
+    // Verify the claim against the player's grid and the numbers marked so far
+    const winner = checkPlayerWin(game, socket.id);
+    if (!winner) {
+      const penalty = applyClaimPenalty(game, player);
+      console.log(`Rejected Bingo claim from ${player.username} in room ${roomCode}, penalty: ${penalty.type}`);
+      
+      socket.emit('claim-rejected', {
+        message: 'Your card does not have a winning line yet',
+        penalty
+      });
+      io.to(roomCode).emit('bingo-claimed', {
+        player: { id: player.id, username: player.username, score: player.score || 0 },
+        valid: false,
+        penalty
+      });
+      return;
+    }
     
-    // Increment the turn index for the game
-    game.turnIndex++;
+    console.log(`Verified Bingo claim from ${player.username} in room ${roomCode}`);
+    io.to(roomCode).emit('bingo-claimed', {
+      player: { id: player.id, username: player.username, score: player.score || 0 },
+      valid: true
+    });
+    handleGameWon(roomCode, winner);
+  });
+  
+  // Handle end-turn (when timer expires or player manually ends their turn)
+  // Marking a number already ends a turn, so a turn ended this way counts as a timeout
+  // and follows the room's timeout rules
+  socket.on('end-turn', ({ roomCode }) => {
+    console.log(`Player ${socket.id} ended their turn in room ${roomCode}`);
+    const game = games[roomCode];
     
-    // Move to the next player's turn
-    nextTurn(roomCode);
+    if (!game) {
+      return socket.emit('error', 'Room not found');
+    }
+    
+    if (!game.started) {
+      return socket.emit('error', 'Game has not started yet');
+    }
+    
+    // Caller-mode rooms have no turns to end
+    if (isCallerMode(game.mode)) {
+      return;
+    }
+    
+    // Only the current player can end their turn (rejoined players keep their original ID)
+    const player = game.players.find(p => (p.socketId || p.id) === socket.id);
+    if (!player || player.id !== game.currentTurn) {
+      console.log(`Not ${socket.id}'s turn to end! Current turn: ${game.currentTurn}`);
+      return socket.emit('error', 'Not your turn');
+    }
+    
+    clearTimeout(game.timer);
+    handleTurnTimeout(roomCode, player.id);
   });
   
   // Handle request-grid event with improved synchronization
@@ -1601,7 +2968,11 @@ io.on('connection', (socket) => {
     // Get this player's grid
     let playerGrid = game.grids[socket.id];
     
-    if (!playerGrid) {
+    if (!playerGrid && isCallerMode(game.mode)) {
+      console.log(`No card found for player ${socket.id} (${player.username}), dealing a new card`);
+      playerGrid = generateRoomGrid(game, player.username);
+      game.grids[socket.id] = playerGrid;
+    } else if (!playerGrid) {
       console.log(`No grid found for player ${socket.id} (${player.username}), generating new grid`);
       
       // Generate a new grid for this player
@@ -1667,14 +3038,21 @@ io.on('connection', (socket) => {
   });
 
   // Handle player ready state toggling
-  socket.on('toggle-ready', ({ roomCode, username, isReady }) => {
-    console.log(`Player ${username} toggled ready state to ${isReady} in room ${roomCode}`);
+  socket.on('toggle-ready', ({ roomCode, isReady }) => {
     const game = games[roomCode];
     
     if (!game) {
       return socket.emit('error', 'Room not found');
     }
     
+    // Resolve the player from the socket rather than trusting the payload
+    const player = game.players.find(p => p.id === socket.id);
+    if (!player) {
+      return socket.emit('error', 'You are not in this room');
+    }
+    const { username } = player;
+    console.log(`Player ${username} toggled ready state to ${isReady} in room ${roomCode}`);
+    
     // Initialize readyPlayers array if not exists
     if (!game.readyPlayers) {
       game.readyPlayers = [];
@@ -1782,30 +3160,279 @@ io.on('connection', (socket) => {
     socket.emit('sync-marked-numbers', { markedNumbers: markedNumbersArray });
   });
 
-  // Add a periodic cleanup
-  const clientCleanupInterval = setInterval(() => {
-    // Check if the socket is still connected
-    if (!socket.connected) {
-      clearInterval(clientCleanupInterval);
-    return;
+  // Add a periodic cleanup
+  const clientCleanupInterval = setInterval(() => {
+    // Check if the socket is still connected
+    if (!socket.connected) {
+      clearInterval(clientCleanupInterval);
+    return;
+  }
+    
+    // Check if the socket has been inactive for too long (10 minutes)
+    const info = activeConnections.get(socket.id);
+    if (info && (Date.now() - info.lastActivity > 10 * 60 * 1000)) {
+      socket.disconnect(true);
+      clearInterval(clientCleanupInterval);
+    }
+  }, 60000); // Check every minute
+  
+  // Clean up on disconnect
+  socket.on('disconnect', () => {
+    clearInterval(clientCleanupInterval);
+    activeConnections.delete(socket.id);
+    
+    // The rest of the disconnect handler...
+  });
+});
+
+// Helper function to mark a number for the player whose turn it is, then check for
+// a winner and move on to the next turn. Human and bot moves both go through here.
+function markNumberForPlayer(roomCode, playerId, number) {
+  const game = games[roomCode];
+  
+  // Mark the number in the global set
+  game.markedNumbers.add(number);
+  recordCalledNumber(game, number, playerId, false);
+  game.lastMarkedNumber = number;
+  game.lastMarkedTurn = game.turnIndex;
+  
+  // Clear any active turn timer
+  if (game.timer) {
+    clearTimeout(game.timer);
+    game.timer = null;
+  }
+  
+  // Broadcast to the whole room, including the player who marked the number
+  const broadcastPayload = {
+    number: number,
+    markedBy: playerId,
+    automatic: false
+  };
+  try {
+    console.log(`[mark-number] PRE-EMIT (Broadcast): Attempting emit of number-marked to room ${roomCode} with payload:`, broadcastPayload);
+    io.to(roomCode).emit('number-marked', broadcastPayload);
+    console.log(`[mark-number] POST-EMIT (Broadcast): Successfully executed emit number-marked to room ${roomCode}`);
+  } catch (emitError) {
+    console.error(`[mark-number] CRITICAL: Error occurred DURING io.to(${roomCode}).emit:`, emitError);
+    // If emit fails, we probably shouldn't proceed with win check/turn change, as clients are out of sync
+    return;
+  }
+  broadcastLineProgress(roomCode);
+
+  // Check for a winner
+  let winner = null;
+  try {
+    console.log(`[mark-number] PRE-CHECKWIN: Calling checkWinUtils for room ${roomCode}`);
+    winner = findAutoWinner(game);
+    console.log(`[mark-number] POST-CHECKWIN: Result for room ${roomCode}:`, winner ? `Winner ${winner.playerId}` : 'No winner');
+  } catch (winCheckError) {
+    console.error(`[mark-number] CRITICAL: Error occurred DURING checkWinUtils for room ${roomCode}:`, winCheckError);
+    // Attempt to notify client and maybe end game?
+    try { io.to(roomCode).emit('error', 'Server error checking win condition'); } catch(e) { console.error("Failed to emit win check error notice", e); }
+    // Decide how to handle: potentially end game or just log?
+    // For now, just log and prevent further processing in this handler state
+    return; 
+  }
+  
+  if (winner) {
+    handleGameWon(roomCode, winner);
+  } else {
+    // Move to next turn
+    console.log(`[mark-number] PRE-NEXT_TURN: Moving to next turn for room ${roomCode}. Current index: ${game.turnIndex}, Player count: ${game.players.length}`);
+    game.turnIndex = (game.turnIndex + 1) % game.players.length;
+    game.currentTurn = game.players[game.turnIndex].id;
+    
+    // Emit turn changed to all players
+    const nextPlayer = game.players[game.turnIndex];
+    console.log(`[mark-number] Emitting turn-changed for room ${roomCode}. Next turn: ${nextPlayer?.username} (${game.currentTurn})`);
+    io.to(roomCode).emit('turn-changed', {
+      currentTurn: game.currentTurn,
+      player: nextPlayer && getPublicPlayer(nextPlayer)
+    });
+    
+    // Start the new turn
+    try {
+      console.log(`[mark-number] PRE-START_TURN: Calling startTurn for room ${roomCode}`);
+      startTurn(roomCode);
+      console.log(`[mark-number] POST-START_TURN: Successfully called startTurn for room ${roomCode}`);
+    } catch (startTurnError) {
+      console.error(`[mark-number] CRITICAL: Error occurred DURING startTurn call for room ${roomCode}:`, startTurnError);
+      // Attempt to notify client
+      try { io.to(roomCode).emit('error', 'Server error starting next turn'); } catch(e) { console.error("Failed to emit start turn error notice", e); }
+      // Game state might be broken here, consider ending or resetting
+    }
+  }
+}
+
+// Helper function to start play in a room once the host (or a rematch vote) says go
+function beginGame(roomCode) {
+  const game = games[roomCode];
+  if (!game) return;
+  
+  // Start the game
+  game.started = true;
+  game.startTime = Date.now();
+  game.calledNumbers = [];
+  
+  // Penalties and hint counts from a previous game don't carry over
+  for (const player of game.players) {
+    delete player.skipTurns;
+    delete player.claimLockedUntil;
+    delete player.timeouts;
+    delete player.forfeited;
+    player.hintsUsed = 0;
+  }
+  
+  // The first turn moves along one seat with every rematch
+  game.turnIndex = (game.firstTurnIndex || 0) % game.players.length;
+  game.currentTurn = game.players[game.turnIndex].id;
+  game.rematchVotes = null;
+  
+  if (isSeriesRoom(game)) {
+    startSeriesRound(game);
+  }
+  
+  // Make sure all players have a grid
+  for (const player of game.players) {
+    if (isCallerMode(game.mode) && (!game.grids[player.id] || !game.grids[player.id].length)) {
+      console.log(`Dealing missing card for player ${player.username} at game start`);
+      game.grids[player.id] = generateRoomGrid(game, player.username);
+    } else if (!game.grids[player.id] || !game.grids[player.id].length) {
+      console.log(`Creating missing grid for player ${player.username} at game start`);
+      const [rows, cols] = game.gridSize.split('x').map(Number);
+      const total = rows * cols;
+      
+      // Generate a completely unique grid for this player
+      // First, create a pool of numbers from 1 to total (e.g., 1-25 for 5x5)
+      const allNumbers = Array.from({ length: total }, (_, i) => i + 1);
+      
+      // Shuffle the numbers
+      for (let i = allNumbers.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [allNumbers[i], allNumbers[j]] = [allNumbers[j], allNumbers[i]];
+      }
+      
+      // Select numbers that aren't used by other players
+      const selectedNumbers = [];
+      const usedNumbersSet = new Set();
+      
+      // Collect all numbers used by other players
+      for (const pid in game.grids) {
+        if (pid !== player.id) {
+          const playerGrid = game.grids[pid];
+          if (playerGrid) {
+            const flatGrid = playerGrid.flat();
+            flatGrid.forEach(num => usedNumbersSet.add(num));
+          }
+        }
+      }
+      
+      // Select unique numbers for this player
+      for (const num of allNumbers) {
+        if (!usedNumbersSet.has(num) && selectedNumbers.length < total) {
+          selectedNumbers.push(num);
+        }
+        if (selectedNumbers.length >= total) break;
+      }
+      
+      // Create the grid
+      const newGrid = [];
+      for (let i = 0; i < rows; i++) {
+        const row = [];
+        for (let j = 0; j < cols; j++) {
+          const index = i * cols + j;
+          if (index < selectedNumbers.length) {
+            row.push(selectedNumbers[index]);
+          }
+        }
+        newGrid.push(row);
+      }
+      
+      // Store the grid
+      game.grids[player.id] = newGrid;
+      
+      // Store which numbers belong to this player
+      game.playerNumbers[player.id] = new Set(selectedNumbers);
+    }
+  }
+  
+  // Notify all players
+  io.to(roomCode).emit('game-started', {
+    players: game.players.map(getPublicPlayer),
+    currentTurn: game.currentTurn,
+    round: (game.rematchCount || 0) + 1,
+    series: getSeriesStandings(game)
+  });
+  
+  // Send each player their own grid
+  for (const player of game.players) {
+    console.log(`Sending grid to player ${player.username} (${player.id}):`, JSON.stringify(game.grids[player.id]));
+    io.to(player.id).emit('grid-assigned', game.grids[player.id]);
+  }
+  
+  // Everyone starts with no lines
+  broadcastLineProgress(roomCode);
+  
+  // Spectators get the final cards once the game is under way
+  if (game.spectatorGrids) {
+    io.to(getSpectatorRoom(roomCode)).emit('spectator-grids', getSpectatorGrids(game));
+  }
+  
+  // Caller-mode rooms are driven by the caller rather than player turns
+  if (isCallerMode(game.mode)) {
+    startCaller(roomCode);
+  } else {
+    startTurn(roomCode);
+  }
+}
+
+// Helper function to get the people whose rematch vote is still needed
+function getRematchVoters(game) {
+  return game.players.filter(p => !p.isBot && p.connected !== false);
+}
+
+// Helper function to tell the room how the rematch vote stands, starting it once everyone is in
+function checkRematchVotes(roomCode) {
+  const game = games[roomCode];
+  if (!game || game.started || !Array.isArray(game.rematchVotes)) return;
+  
+  const voters = getRematchVoters(game);
+  game.rematchVotes = game.rematchVotes.filter(username => voters.some(p => p.username === username));
+  
+  io.to(roomCode).emit('rematch-votes', {
+    votes: game.rematchVotes,
+    needed: voters.map(p => p.username)
+  });
+  
+  if (voters.length > 0 && voters.every(p => game.rematchVotes.includes(p.username))) {
+    startRematch(roomCode);
+  }
+}
+
+// Helper function to reset a finished room for another game with the same players
+// Scores stay on the players so the room keeps a running total
+function startRematch(roomCode) {
+  const game = games[roomCode];
+  if (!game) return;
+  
+  game.markedNumbers = new Set();
+  game.lastMarkedNumber = undefined;
+  game.lastMarkedTurn = -1;
+  game.drawPool = null;
+  game.usedGrids = new Set();
+  game.grids = {};
+  game.playerNumbers = {};
+  for (const player of game.players) {
+    game.grids[player.id] = generateRoomGrid(game, player.username);
   }
-    
-    // Check if the socket has been inactive for too long (10 minutes)
-    const info = activeConnections.get(socket.id);
-    if (info && (Date.now() - info.lastActivity > 10 * 60 * 1000)) {
-      socket.disconnect(true);
-      clearInterval(clientCleanupInterval);
-    }
-  }, 60000); // Check every minute
   
-  // Clean up on disconnect
-  socket.on('disconnect', () => {
-    clearInterval(clientCleanupInterval);
-    activeConnections.delete(socket.id);
-    
-    // The rest of the disconnect handler...
-  });
-});
+  game.rematchCount = (game.rematchCount || 0) + 1;
+  game.firstTurnIndex = ((game.firstTurnIndex || 0) + 1) % game.players.length;
+  game.readyPlayers = game.players.map(p => p.username);
+  
+  console.log(`Starting rematch ${game.rematchCount} in room ${roomCode}`);
+  beginGame(roomCode);
+}
 
 // Helper function to start a turn
 function startTurn(roomCode) {
@@ -1822,22 +3449,50 @@ function startTurn(roomCode) {
     return;
   }
   
+  // Players who forfeited sit out the rest of the game
+  if (currentPlayer.forfeited) {
+    game.turnIndex = (game.turnIndex + 1) % game.players.length;
+    startTurn(roomCode);
+    return;
+  }
+  
+  // Players serving a false-claim penalty sit out their turn
+  if (currentPlayer.skipTurns > 0) {
+    currentPlayer.skipTurns--;
+    console.log(`Skipping ${currentPlayer.username}'s turn in room ${roomCode} (false claim penalty)`);
+    io.to(roomCode).emit('turn-skipped', {
+      player: { id: currentPlayer.id, username: currentPlayer.username },
+      reason: 'false-claim'
+    });
+    game.turnIndex = (game.turnIndex + 1) % game.players.length;
+    startTurn(roomCode);
+    return;
+  }
+  
   // Set current turn
   game.currentTurn = currentPlayer.id;
   
+  // Timed turns end at an absolute server time, so every client counts down to the same moment
+  // (bots have no deadline, they just take a moment to think)
+  game.turnDeadline = !currentPlayer.isBot && hasTurnLimit(game) ? Date.now() + game.turnDuration : null;
+  
   if (LOG_LEVELS.DEBUG) console.log(`Starting turn for ${currentPlayer.username} (${game.currentTurn}) in room ${roomCode}, turn index: ${game.turnIndex}`);
   
   // Notify all players about whose turn it is
   io.to(roomCode).emit('turn-started', {
     playerId: game.currentTurn,
-    player: currentPlayer,
-    players: game.players
+    player: getPublicPlayer(currentPlayer),
+    players: game.players.map(getPublicPlayer),
+    deadline: game.turnDeadline,
+    serverTime: Date.now()
   });
 
   // Also emit turn-changed for backward compatibility
   io.to(roomCode).emit('turn-changed', {
     currentTurn: game.currentTurn,
-    player: currentPlayer
+    player: getPublicPlayer(currentPlayer),
+    deadline: game.turnDeadline,
+    serverTime: Date.now()
   });
   
   // Clear any existing timer
@@ -1846,104 +3501,193 @@ function startTurn(roomCode) {
     game.timer = null;
   }
   
-  // Set a timer for this turn (15 seconds)
-  game.timer = setTimeout(() => {
-    // Get the updated game state to check if turn has changed
-    const updatedGame = games[roomCode];
-    if (!updatedGame || !updatedGame.started) return;
-    
-    // Check if the turn has already been changed
-    if (updatedGame.currentTurn !== game.currentTurn) {
-      if (LOG_LEVELS.DEBUG) console.log(`Timer expired but turn already changed for ${currentPlayer.username} in room ${roomCode}`);
-      return;
-    }
-    
-    if (LOG_LEVELS.DEBUG) console.log(`Timer expired for ${currentPlayer.username} (${game.currentTurn}) in room ${roomCode}`);
-    
-    // Get unmarked numbers from the current player's grid only
-    const playerGrid = game.grids[currentPlayer.id];
-    if (!playerGrid || playerGrid.length === 0) {
-      console.error(`No grid found for player ${currentPlayer.username}`);
-      // Move to next turn anyway
-      game.turnIndex = (game.turnIndex + 1) % game.players.length;
-      game.currentTurn = game.players[game.turnIndex].id;
-      startTurn(roomCode);
-      return;
-    }
-    
-    const flatGrid = playerGrid.flat();
-    const unmarked = flatGrid.filter(num => !game.markedNumbers.has(num));
+  // Bots take a moment to "think", then mark their number like any other player
+  if (currentPlayer.isBot) {
+    game.timer = setTimeout(() => playBotTurn(roomCode, currentPlayer.id), getBotThinkTime());
+    return;
+  }
+  
+  // Untimed turns last until the player marks a number
+  if (!hasTurnLimit(game)) return;
+  
+  game.timer = setTimeout(() => handleTurnTimeout(roomCode, currentPlayer.id), game.turnDeadline - Date.now());
+}
+
+// Helper function to apply the room's timeout action when a player runs out of time
+function handleTurnTimeout(roomCode, playerId) {
+  const game = games[roomCode];
+  if (!game || !game.started) return;
+  
+  // Check if the turn has already been changed
+  if (game.currentTurn !== playerId) {
+    if (LOG_LEVELS.DEBUG) console.log(`Timer expired but turn already changed for ${playerId} in room ${roomCode}`);
+    return;
+  }
+  
+  const currentPlayer = game.players.find(p => p.id === playerId);
+  game.timer = null;
+  
+  // The player has left the game, so the turn passes to whoever now sits in their seat
+  if (!currentPlayer) {
+    startTurn(roomCode);
+    return;
+  }
+  
+  if (LOG_LEVELS.DEBUG) console.log(`Timer expired for ${currentPlayer.username} (${playerId}) in room ${roomCode}`);
+  
+  const forfeits = recordTimeout(game, currentPlayer);
+  
+  if (forfeits) {
+    forfeitPlayer(roomCode, currentPlayer);
+    return;
+  }
+  
+  if (game.timeoutAction === TIMEOUT_ACTIONS.AUTO_PICK) {
+    autoPickNumber(roomCode, currentPlayer);
+  } else {
+    console.log(`Skipping ${currentPlayer.username}'s turn in room ${roomCode} (timed out)`);
+    io.to(roomCode).emit('turn-skipped', {
+      player: { id: currentPlayer.id, username: currentPlayer.username },
+      reason: 'timeout',
+      timeouts: currentPlayer.timeouts
+    });
+  }
+  
+  // Move to next turn whether we marked a number or not
+  if (game.started) {
+    game.turnIndex = (game.turnIndex + 1) % game.players.length;
+    game.currentTurn = game.players[game.turnIndex].id;
+    startTurn(roomCode);
+  }
+}
+
+// Helper function to mark a random number from a timed-out player's card
+function autoPickNumber(roomCode, currentPlayer) {
+  const game = games[roomCode];
+  
+  // Get unmarked numbers from the current player's grid only
+  const playerGrid = game.grids[currentPlayer.id];
+  if (!playerGrid || playerGrid.length === 0) {
+    // The turn still moves on once this returns
+    console.error(`No grid found for player ${currentPlayer.username}`);
+    return;
+  }
+  
+  const flatGrid = playerGrid.flat();
+  const unmarked = flatGrid.filter(num => !game.markedNumbers.has(num));
+  
+  if (unmarked.length > 0) {
+    // Select a random unmarked number from player's grid
+    const randomNum = unmarked[Math.floor(Math.random() * unmarked.length)];
+    
+    console.log(`Automatically marking number ${randomNum} for ${currentPlayer.username}`);
+    
+    // Mark the number
+    game.markedNumbers.add(randomNum);
+    recordCalledNumber(game, randomNum, currentPlayer.id, true);
+    game.lastMarkedNumber = randomNum;
+    game.lastMarkedTurn = game.turnIndex;
+    
+    // Notify all players with ONLY the number, not cellIndex
+    // Each client will find where this number is in their own grid
+    io.to(roomCode).emit('number-marked', {
+      number: randomNum,
+      markedBy: game.currentTurn,
+      automatic: true
+    });
+    broadcastLineProgress(roomCode);
     
-    if (unmarked.length > 0) {
-      // Select a random unmarked number from player's grid
-      const randomNum = unmarked[Math.floor(Math.random() * unmarked.length)];
-      
-      console.log(`Automatically marking number ${randomNum} for ${currentPlayer.username}`);
-      
-      // Mark the number
-      game.markedNumbers.add(randomNum);
-      game.lastMarkedNumber = randomNum;
-      game.lastMarkedTurn = game.turnIndex;
-      
-      // Notify all players with ONLY the number, not cellIndex
-      // Each client will find where this number is in their own grid
-      io.to(roomCode).emit('number-marked', {
-        number: randomNum,
-        markedBy: game.currentTurn,
-        automatic: true
-      });
-      
-      // Check for a winner
-      let winner = null;
-      try {
-        console.log(`[mark-number] PRE-CHECKWIN: Calling checkWinUtils for room ${roomCode}`);
-        winner = checkWinUtils(game);
-        console.log(`[mark-number] POST-CHECKWIN: Result for room ${roomCode}:`, winner ? `Winner ${winner.playerId}` : 'No winner');
-      } catch (winCheckError) {
-        console.error(`[mark-number] CRITICAL: Error occurred DURING checkWinUtils for room ${roomCode}:`, winCheckError);
-        // Attempt to notify client and maybe end game?
-        try { io.to(roomCode).emit('error', 'Server error checking win condition'); } catch(e) { console.error("Failed to emit win check error notice", e); }
-        // Decide how to handle: potentially end game or just log?
-        // For now, just log and prevent further processing in this handler state
-        return; 
-      }
-      
-      if (winner) {
-        const winningPlayer = game.players.find(p => p.id === winner.playerId);
-        
-        // Calculate score based on time and turns
-        const gameTime = (Date.now() - game.startTime) / 1000;
-        const score = Math.max(100 - Math.floor(gameTime / 10), 10);
-        
-        // Update winning player's score
-        winningPlayer.score = (winningPlayer.score || 0) + score;
-        
-        // Save to leaderboard
-        updateLeaderboard(winningPlayer, score);
-        
-        // Notify all players
-        io.to(roomCode).emit('game-won', {
-          player: winningPlayer,
-          lines: winner.lines,
-          score
-        });
-        
-        // End the game
-        game.started = false;
-      } else {
-        console.log(`No unmarked numbers left for player ${currentPlayer.username}`);
-      }
+    // Check for a winner
+    let winner = null;
+    try {
+      console.log(`[mark-number] PRE-CHECKWIN: Calling checkWinUtils for room ${roomCode}`);
+      winner = findAutoWinner(game);
+      console.log(`[mark-number] POST-CHECKWIN: Result for room ${roomCode}:`, winner ? `Winner ${winner.playerId}` : 'No winner');
+    } catch (winCheckError) {
+      console.error(`[mark-number] CRITICAL: Error occurred DURING checkWinUtils for room ${roomCode}:`, winCheckError);
+      // Attempt to notify client and maybe end game?
+      try { io.to(roomCode).emit('error', 'Server error checking win condition'); } catch(e) { console.error("Failed to emit win check error notice", e); }
+      // Decide how to handle: potentially end game or just log?
+      // For now, just log and prevent further processing in this handler state
+      return; 
+    }
+    
+    if (winner) {
+      handleGameWon(roomCode, winner);
     } else {
       console.log(`No unmarked numbers left for player ${currentPlayer.username}`);
     }
-    
-    // Move to next turn whether we marked a number or not
-    if (game.started) {
-      game.turnIndex = (game.turnIndex + 1) % game.players.length;
-      game.currentTurn = game.players[game.turnIndex].id;
-      startTurn(roomCode);
-    }
-  }, game.turnDuration);
+  } else {
+    console.log(`No unmarked numbers left for player ${currentPlayer.username}`);
+  }
+}
+
+// Helper function to take a player out of the game after too many timeouts
+function forfeitPlayer(roomCode, player) {
+  const game = games[roomCode];
+  
+  player.forfeited = true;
+  console.log(`${player.username} forfeited in room ${roomCode} after ${player.timeouts} timeouts in a row`);
+  io.to(roomCode).emit('player-forfeited', {
+    player: getPublicPlayer(player),
+    timeouts: player.timeouts
+  });
+  
+  // The last player still in the game wins by default
+  const remaining = getActivePlayers(game);
+  if (remaining.length === 1) {
+    handleGameWon(roomCode, { playerId: remaining[0].id, lines: [], forfeit: true });
+    return;
+  }
+  
+  game.turnIndex = (game.turnIndex + 1) % game.players.length;
+  game.currentTurn = game.players[game.turnIndex].id;
+  startTurn(roomCode);
+}
+
+// Helper function to keep a turn-based game going once a player has been taken out of it
+function handlePlayerLeftGame(roomCode, player, playerIndex) {
+  const game = games[roomCode];
+  if (!game || !game.started || isCallerMode(game.mode)) return;
+  
+  // Seats after the leaver move up one, so the turn index follows the same player
+  if (playerIndex < game.turnIndex) {
+    game.turnIndex--;
+  }
+  
+  // With everyone else forfeited, the last player still in the game wins by default
+  const remaining = getActivePlayers(game);
+  if (remaining.length === 1 && game.players.length > 1) {
+    handleGameWon(roomCode, { playerId: remaining[0].id, lines: [], forfeit: true });
+    return;
+  }
+  
+  // A player leaving on their own turn passes it to the next seat, which is now at the same index
+  if (game.currentTurn === player.id && remaining.length > 0) {
+    clearTimeout(game.timer);
+    game.timer = null;
+    startTurn(roomCode);
+  }
+}
+
+// Helper function to play a bot's turn
+function playBotTurn(roomCode, botId) {
+  const game = games[roomCode];
+  if (!game || !game.started || game.currentTurn !== botId) return;
+  
+  const bot = game.players.find(p => p.id === botId);
+  if (!bot) return;
+  
+  const number = chooseBotNumber(game, bot);
+  if (number === null) {
+    // Nothing left to mark on the bot's card, so pass the turn on
+    game.timer = null;
+    nextTurn(roomCode);
+    return;
+  }
+  
+  if (LOG_LEVELS.DEBUG) console.log(`${bot.username} marks ${number} in room ${roomCode}`);
+  markNumberForPlayer(roomCode, bot.id, number);
 }
 
 // Helper function to move to the next turn
@@ -1955,29 +3699,9 @@ function nextTurn(roomCode) {
   }
   
   // Check for any winner before moving to next turn
-  const winner = checkWinUtils(game);
+  const winner = findAutoWinner(game);
   if (winner) {
-    const winningPlayer = game.players.find(p => p.id === winner.playerId);
-    
-    // Calculate score based on time and turns
-    const gameTime = (Date.now() - game.startTime) / 1000;
-    const score = Math.max(100 - Math.floor(gameTime / 10), 10);
-    
-    // Update winning player's score
-    winningPlayer.score = (winningPlayer.score || 0) + score;
-    
-    // Save to leaderboard
-    updateLeaderboard(winningPlayer, score);
-    
-    // Notify all players
-    io.to(roomCode).emit('game-won', {
-      player: winningPlayer,
-      lines: winner.lines,
-      score
-    });
-    
-    // End the game
-    game.started = false;
+    handleGameWon(roomCode, winner);
     return;
   }
   
@@ -1989,30 +3713,258 @@ function nextTurn(roomCode) {
   startTurn(roomCode);
 }
 
+// Helper function to start the caller in a caller-mode room
+function startCaller(roomCode) {
+  const game = games[roomCode];
+  if (!game || !game.started) return;
+  
+  // Draw from the balls that haven't been called yet
+  game.drawPool = createDrawPool(game.mode, game.markedNumbers);
+  
+  if (game.timer) {
+    clearTimeout(game.timer);
+  }
+  game.timer = setTimeout(() => callNextNumber(roomCode), game.callInterval);
+}
+
+// Helper function to draw and announce the next ball in a caller-mode room
+function callNextNumber(roomCode) {
+  const game = games[roomCode];
+  if (!game || !game.started) return;
+  
+  if (!Array.isArray(game.drawPool)) {
+    game.drawPool = createDrawPool(game.mode, game.markedNumbers);
+  }
+  
+  // Every ball has been drawn: wait for a player to claim
+  if (game.drawPool.length === 0) {
+    game.timer = null;
+    io.to(roomCode).emit('caller-finished', { calledCount: game.markedNumbers.size });
+    return;
+  }
+  
+  const number = game.drawPool.pop();
+  game.markedNumbers.add(number);
+  recordCalledNumber(game, number, null, true);
+  game.lastMarkedNumber = number;
+  
+  io.to(roomCode).emit('number-called', {
+    number,
+    calledCount: game.markedNumbers.size,
+    remaining: game.drawPool.length
+  });
+  broadcastLineProgress(roomCode);
+  
+  const botWinner = findAutoWinner(game);
+  if (botWinner) {
+    handleGameWon(roomCode, botWinner);
+    return;
+  }
+  
+  game.timer = setTimeout(() => callNextNumber(roomCode), game.callInterval);
+}
+
+// Helper function to end a game once a winner has been found
+function handleGameWon(roomCode, winner) {
+  const game = games[roomCode];
+  if (!game) return;
+  
+  const winningPlayer = game.players.find(p => p.id === winner.playerId);
+  
+  // Calculate score based on time and turns
+  const gameTime = (Date.now() - game.startTime) / 1000;
+  const score = Math.max(100 - Math.floor(gameTime / 10), 10);
+  
+  // Update winning player's score
+  winningPlayer.score = (winningPlayer.score || 0) + score;
+  
+  // Save a result for every participant to the leaderboard
+  const roundResults = recordGameResults(game, winner.playerId, score);
+  
+  // In a series the game is one round; the round winner may also take the series
+  // (recorded once this round's results are in, as it may be a player's first ranked game)
+  const champion = isSeriesRoom(game) ? recordRoundWin(game, winningPlayer.username) : null;
+  if (champion) {
+    console.log(`${champion} won the series in room ${roomCode} after ${game.series.round} rounds`);
+    const seriesPlayers = [...game.players];
+    roundResults.then(() => recordSeriesResults(seriesPlayers, champion));
+  }
+  
+  // Persist the full match so it can be reviewed later
+  const matchId = saveMatch(game, winner, score);
+  
+  // Notify all players
+  io.to(roomCode).emit('game-won', {
+    player: winningPlayer && getPublicPlayer(winningPlayer),
+    lines: winner.lines,
+    score,
+    matchId,
+    series: getSeriesStandings(game)
+  });
+  
+  // End the game and open the rematch vote
+  game.started = false;
+  game.turnDeadline = null;
+  game.rematchVotes = [];
+  if (game.timer) {
+    clearTimeout(game.timer);
+    game.timer = null;
+  }
+}
+
+// Helper function to remember every called number in order for match history
+function recordCalledNumber(game, number, playerId, automatic) {
+  if (!Array.isArray(game.calledNumbers)) {
+    game.calledNumbers = [];
+  }
+  
+  const player = game.players.find(p => p.id === playerId);
+  game.calledNumbers.push({
+    number,
+    calledBy: player ? player.username : null,
+    automatic,
+    calledAt: Date.now()
+  });
+}
+
+// Helper function to save a finished game to the match history
+// Returns the new match ID, or null if the database is unavailable
+function saveMatch(game, winner, score) {
+  if (!mongoConnected) {
+    console.log('Match history disabled - MongoDB not connected');
+    return null;
+  }
+  
+  const endedAt = Date.now();
+  const match = new MatchModel({
+    roomCode: game.roomCode,
+    mode: game.mode || GAME_MODES.TURNS,
+    gridSize: game.gridSize,
+    players: game.players.map(player => {
+      const won = player.id === winner.playerId;
+      return {
+        username: player.username,
+        guest: !!player.guest,
+        grid: game.grids[player.id] || [],
+        won,
+        score: won ? score : 0,
+        linesCompleted: getCompletedLines(game.grids[player.id], game.markedNumbers, game.mode).length,
+        hintsUsed: player.hintsUsed || 0
+      };
+    }),
+    hintsEnabled: !!game.hintsEnabled,
+    series: isSeriesRoom(game) && game.series
+      ? { length: game.seriesLength, round: game.series.round, champion: game.series.champion }
+      : undefined,
+    calls: game.calledNumbers || [],
+    winner: game.players.find(p => p.id === winner.playerId)?.username,
+    winningLines: winner.lines,
+    startedAt: game.startTime,
+    endedAt,
+    duration: game.startTime ? endedAt - game.startTime : 0
+  });
+  
+  match.save().catch(error => {
+    console.error('Error saving match history:', error);
+  });
+  
+  return match._id.toString();
+}
+
+// Helper function to record a won/lost result for every player in a finished game
+// Resolves once every result has been saved
+function recordGameResults(game, winnerId, score) {
+  return Promise.all(game.players.map(player => {
+    const won = player.id === winnerId;
+    return updateLeaderboard(player, {
+      outcome: won ? 'won' : 'lost',
+      score: won ? score : 0,
+      linesCompleted: getCompletedLines(game.grids[player.id], game.markedNumbers, game.mode).length
+    }, game);
+  }));
+}
+
+// Helper function to record the end of a series for every player who took part
+async function recordSeriesResults(players, champion) {
+  if (!mongoConnected) return;
+  
+  try {
+    for (const player of players) {
+      // Guest (and bot) results are never ranked
+      if (player.guest) continue;
+      
+      // Create the entry if the player's round result couldn't be saved
+      const won = player.username === champion;
+      await LeaderboardModel.updateOne(
+        { username: player.username },
+        { $inc: { seriesPlayed: 1, seriesWon: won ? 1 : 0 } },
+        { upsert: true }
+      );
+    }
+  } catch (error) {
+    console.error('Error recording series results:', error);
+  }
+}
+
+// Helper function to record a player leaving a game that is still in progress
+function recordAbandonedGame(game, player) {
+  if (!game.started) return;
+  
+  updateLeaderboard(player, {
+    outcome: 'abandoned',
+    score: 0,
+    linesCompleted: getCompletedLines(game.grids[player.id], game.markedNumbers, game.mode).length
+  }, game);
+}
+
 // Helper function to update the leaderboard
-async function updateLeaderboard(player, score) {
+async function updateLeaderboard(player, result, game) {
   try {
     if (!mongoConnected) {
       console.log('Leaderboard updates disabled - MongoDB not connected');
       return;
     }
     
+    // Guest results are never ranked
+    if (player.guest) {
+      return;
+    }
+    
+    const { outcome, score = 0, linesCompleted = 0 } = result;
+    
+    // Record the individual result so time-windowed leaderboards can be computed
+    await GameResultModel.create({
+      username: player.username,
+      roomCode: game?.roomCode,
+      gridSize: game?.gridSize,
+      outcome,
+      won: outcome === 'won',
+      score,
+      linesCompleted,
+      playedAt: new Date()
+    });
+    
     // Find existing entry or create new one
     let leaderboardEntry = await LeaderboardModel.findOne({ username: player.username });
+    if (!leaderboardEntry) {
+      leaderboardEntry = new LeaderboardModel({ username: player.username });
+    }
     
-    if (leaderboardEntry) {
-      leaderboardEntry.gamesPlayed += 1;
+    leaderboardEntry.gamesPlayed += 1;
+    leaderboardEntry.totalScore += score;
+    leaderboardEntry.highScore = Math.max(leaderboardEntry.highScore, score);
+    
+    if (outcome === 'won') {
       leaderboardEntry.gamesWon += 1;
-      leaderboardEntry.totalScore += score;
-      leaderboardEntry.highScore = Math.max(leaderboardEntry.highScore, score);
+      leaderboardEntry.currentWinStreak += 1;
+      leaderboardEntry.bestWinStreak = Math.max(leaderboardEntry.bestWinStreak, leaderboardEntry.currentWinStreak);
     } else {
-      leaderboardEntry = new LeaderboardModel({
-        username: player.username,
-        gamesPlayed: 1,
-        gamesWon: 1,
-        totalScore: score,
-        highScore: score
-      });
+      if (outcome === 'abandoned') {
+        leaderboardEntry.gamesAbandoned += 1;
+      } else {
+        leaderboardEntry.gamesLost += 1;
+      }
+      leaderboardEntry.currentWinStreak = 0;
     }
     
     await leaderboardEntry.save();
@@ -2029,50 +3981,6 @@ const getRandomUnmarkedNumber = (grid, markedNumbers) => {
   return unmarkedNumbers[Math.floor(Math.random() * unmarkedNumbers.length)];
 };
 
-// Helper function to check game win
-const checkGameWin = (game) => {
-  // Only proceed if the game is active and has marked numbers
-  if (!game || !game.started || !game.markedNumbers || game.markedNumbers.size < 5) {
-    return null;
-  }
-  
-  // Convert to array for easier checking
-  const markedNumbersSet = game.markedNumbers;
-  
-  // Check each player's grid for winning patterns
-  for (const playerId in game.grids) {
-    const grid = game.grids[playerId];
-    if (!grid) continue;
-    
-    const gridSize = grid.length;
-    const winningPatterns = getWinningPatterns(gridSize);
-    
-    for (const pattern of winningPatterns) {
-      let isWinningPattern = true;
-      const winningCells = [];
-      
-      for (const [row, col] of pattern) {
-        const cellValue = grid[row][col];
-        if (!markedNumbersSet.has(cellValue)) {
-          isWinningPattern = false;
-          break;
-        }
-        winningCells.push({ row, col, value: cellValue });
-      }
-      
-      if (isWinningPattern) {
-        if (LOG_LEVELS.DEBUG) console.log(`Player ${playerId} won with pattern: ${JSON.stringify(pattern)}`);
-        return {
-          playerId,
-          lines: [winningCells]
-        };
-      }
-    }
-  }
-  
-  return null;
-};
-
 // Start the server
 const PORT = process.env.PORT || 5001;
 server.listen(PORT, () => {
@@ -0,0 +1,227 @@
+/**
+ * Account and session token helpers for Bingo Buzz
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Session tokens last a week
+const SESSION_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Room invite links last a day
+const INVITE_TOKEN_TTL = 24 * 60 * 60 * 1000;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const KEY_LENGTH = 64;
+const MIN_ROOM_PASSWORD_LENGTH = 4;
+const MAX_ROOM_PASSWORD_LENGTH = 64;
+
+let tokenSecret = null;
+
+/**
+ * Get the token signing secret (read lazily so dotenv has been loaded)
+ * Production servers must set AUTH_SECRET. Elsewhere a random secret is used,
+ * so tokens are only valid until the server restarts.
+ * @returns {string} The signing secret
+ * @throws {Error} If AUTH_SECRET is missing in production
+ */
+function getTokenSecret() {
+  if (!tokenSecret) {
+    if (!process.env.AUTH_SECRET) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('AUTH_SECRET must be set in production');
+      }
+      console.warn('AUTH_SECRET is not set - using a random secret, sessions will not survive a restart');
+    }
+    tokenSecret = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+  }
+  return tokenSecret;
+}
+
+/**
+ * Validate registration or login credentials
+ * @param {string} username - Requested username
+ * @param {string} password - Plain-text password
+ * @returns {string|null} An error message, or null if the credentials are well formed
+ */
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-20 characters using letters, numbers, "_" or "-"';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate a room password chosen by a host
+ * @param {string} password - Plain-text room password
+ * @returns {string|null} An error message, or null if the password is acceptable
+ */
+function validateRoomPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_ROOM_PASSWORD_LENGTH || password.length > MAX_ROOM_PASSWORD_LENGTH) {
+    return `Room password must be between ${MIN_ROOM_PASSWORD_LENGTH} and ${MAX_ROOM_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Salt and hash encoded as "salt:hash"
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt}:${derivedKey.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - Value produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, storedHash) {
+  const [salt, hash] = (storedHash || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const derivedKey = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, derivedKey);
+}
+
+/**
+ * Sign a payload into an expiring token
+ * @param {Object} payload - Claims to embed in the token
+ * @param {number} ttl - Lifetime in milliseconds
+ * @returns {string} Token in the form "payload.signature"
+ */
+function signToken(payload, ttl = SESSION_TOKEN_TTL) {
+  const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttl })).toString('base64url');
+  const signature = crypto.createHmac('sha256', getTokenSecret()).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token - Token produced by signToken
+ * @returns {Object|null} The token's claims, or null if it is invalid or expired
+ */
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', getTokenSecret()).update(body).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp < Date.now()) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a session token for an account
+ * @param {Object} user - User document
+ * @returns {string} Signed session token
+ */
+function createSessionToken(user) {
+  return signToken({ type: 'session', sub: user._id.toString(), username: user.username });
+}
+
+/**
+ * Resolve the account behind a session token
+ * @param {string} token - Session token
+ * @returns {Object|null} { id, username }, or null if the token is not a valid session
+ */
+function getSessionUser(token) {
+  const claims = verifyToken(token);
+  if (!claims || claims.type !== 'session') return null;
+  return { id: claims.sub, username: claims.username };
+}
+
+/**
+ * Create an invite token that lets its holder into a room without the password
+ * @param {string} roomCode - The room the invite is for
+ * @param {number} ttl - Lifetime in milliseconds
+ * @returns {string} Signed invite token
+ */
+function createInviteToken(roomCode, ttl = INVITE_TOKEN_TTL) {
+  return signToken({ type: 'invite', room: roomCode }, ttl);
+}
+
+/**
+ * Check an invite token for a room
+ * @param {string} token - Invite token from an invite link
+ * @param {string} roomCode - The room being joined
+ * @returns {boolean} True if the token is a current invite to this room
+ */
+function verifyInviteToken(token, roomCode) {
+  const claims = verifyToken(token);
+  return !!claims && claims.type === 'invite' && claims.room === roomCode;
+}
+
+/**
+ * Create the secret that ties a player's seat in a room to the browser that took it
+ * @returns {string} Random seat token
+ */
+function createSeatToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Check a seat token against the one issued for a seat
+ * @param {string} expected - The token issued when the seat was taken
+ * @param {string} actual - The token sent by the client
+ * @returns {boolean} True if the tokens match
+ */
+function matchesSeatToken(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string') return false;
+
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(actual);
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Read a bearer token from an Authorization header
+ * @param {string} header - Authorization header value
+ * @returns {string|null} The token, or null if none was sent
+ */
+function getBearerToken(header) {
+  if (typeof header !== 'string') return null;
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  SESSION_TOKEN_TTL,
+  INVITE_TOKEN_TTL,
+  getTokenSecret,
+  validateCredentials,
+  validateRoomPassword,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  createSessionToken,
+  getSessionUser,
+  createInviteToken,
+  verifyInviteToken,
+  createSeatToken,
+  matchesSeatToken,
+  getBearerToken
+};
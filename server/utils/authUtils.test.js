@@ -0,0 +1,114 @@
+process.env.AUTH_SECRET = 'test-secret';
+
+const {
+  SESSION_TOKEN_TTL,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  createSessionToken,
+  getSessionUser,
+  createInviteToken,
+  verifyInviteToken,
+  createSeatToken,
+  matchesSeatToken
+} = require('./authUtils');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('password hashing', () => {
+  test('verifies the password it was hashed from', async () => {
+    const hash = await hashPassword('correct horse');
+    expect(await verifyPassword('correct horse', hash)).toBe(true);
+    expect(await verifyPassword('wrong horse', hash)).toBe(false);
+  });
+
+  test('salts every hash', async () => {
+    expect(await hashPassword('same password')).not.toBe(await hashPassword('same password'));
+  });
+
+  test('rejects malformed stored hashes', async () => {
+    expect(await verifyPassword('anything', '')).toBe(false);
+    expect(await verifyPassword('anything', null)).toBe(false);
+    expect(await verifyPassword('anything', 'no-separator')).toBe(false);
+  });
+});
+
+describe('signed tokens', () => {
+  test('round-trips the payload with an expiry', () => {
+    const before = Date.now();
+    const claims = verifyToken(signToken({ sub: 'abc' }, 1000));
+    expect(claims.sub).toBe('abc');
+    expect(claims.exp).toBeGreaterThanOrEqual(before + 1000);
+  });
+
+  test('rejects expired tokens', () => {
+    const token = signToken({ sub: 'abc' }, 1000);
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 1001);
+    expect(verifyToken(token)).toBeNull();
+  });
+
+  test('rejects a tampered payload', () => {
+    const [, signature] = signToken({ sub: 'abc' }).split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'admin', exp: Date.now() + 1000 })).toString('base64url');
+    expect(verifyToken(`${forged}.${signature}`)).toBeNull();
+  });
+
+  test('rejects a tampered signature', () => {
+    const [body, signature] = signToken({ sub: 'abc' }).split('.');
+    const flipped = signature.startsWith('A') ? `B${signature.slice(1)}` : `A${signature.slice(1)}`;
+    expect(verifyToken(`${body}.${flipped}`)).toBeNull();
+  });
+
+  test('rejects values that are not tokens', () => {
+    expect(verifyToken(undefined)).toBeNull();
+    expect(verifyToken('')).toBeNull();
+    expect(verifyToken('only-one-part')).toBeNull();
+  });
+});
+
+describe('session tokens', () => {
+  test('resolve to the account they were issued for', () => {
+    const token = createSessionToken({ _id: 'user-1', username: 'alice' });
+    expect(getSessionUser(token)).toEqual({ id: 'user-1', username: 'alice' });
+  });
+
+  test('expire after the session lifetime', () => {
+    const token = createSessionToken({ _id: 'user-1', username: 'alice' });
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + SESSION_TOKEN_TTL + 1);
+    expect(getSessionUser(token)).toBeNull();
+  });
+
+  test('are not accepted as invites', () => {
+    const token = createSessionToken({ _id: 'user-1', username: 'alice' });
+    expect(verifyInviteToken(token, 'ABCDEF')).toBe(false);
+  });
+});
+
+describe('invite tokens', () => {
+  test('only let their holder into the room they were made for', () => {
+    const token = createInviteToken('ABCDEF');
+    expect(verifyInviteToken(token, 'ABCDEF')).toBe(true);
+    expect(verifyInviteToken(token, 'GHIJKL')).toBe(false);
+  });
+
+  test('are not accepted as sessions', () => {
+    expect(getSessionUser(createInviteToken('ABCDEF'))).toBeNull();
+  });
+});
+
+describe('seat tokens', () => {
+  test('match only the token that was issued', () => {
+    const token = createSeatToken();
+    expect(matchesSeatToken(token, token)).toBe(true);
+    expect(matchesSeatToken(token, createSeatToken())).toBe(false);
+  });
+
+  test('never match a missing token', () => {
+    expect(matchesSeatToken(undefined, undefined)).toBe(false);
+    expect(matchesSeatToken(createSeatToken(), undefined)).toBe(false);
+    expect(matchesSeatToken(undefined, 'guess')).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Computer-controlled players for Bingo Buzz
+ * Bots sit in a room like any other player and take their turns through the
+ * same server pipeline. Easy bots pick at random; hard bots read the board.
+ */
+const { getRemainingLines } = require('./gameUtils');
+const { getActivePlayers } = require('./turnUtils');
+
+const BOT_DIFFICULTIES = {
+  EASY: 'easy',
+  HARD: 'hard'
+};
+
+// Most bots a host can add to one room
+const MAX_BOTS_PER_ROOM = 3;
+
+// How long a bot "thinks" before marking a number, in milliseconds
+const BOT_MIN_THINK_TIME = 1000;
+const BOT_MAX_THINK_TIME = 2500;
+
+const BOT_NAMES = ['Robo', 'Beep', 'Chip', 'Gizmo', 'Sprocket', 'Widget'];
+
+/**
+ * Check whether a value is a supported bot difficulty
+ * @param {string} difficulty - The requested difficulty
+ * @returns {boolean} True if the difficulty is supported
+ */
+function isValidBotDifficulty(difficulty) {
+  return Object.values(BOT_DIFFICULTIES).includes(difficulty);
+}
+
+/**
+ * Pick a display name for a new bot that nobody in the room is using
+ * @param {Array<Object>} players - Players already in the room
+ * @param {string} difficulty - The bot's difficulty
+ * @returns {string} The bot's name, e.g. "Robo (hard)"
+ */
+function getBotName(players, difficulty) {
+  const taken = new Set(players.map(player => player.username));
+  const base = BOT_NAMES.find(name => !taken.has(`${name} (${difficulty})`)) || 'Bot';
+
+  let name = `${base} (${difficulty})`;
+  for (let i = 2; taken.has(name); i++) {
+    name = `${base} ${i} (${difficulty})`;
+  }
+  return name;
+}
+
+/**
+ * Get a random think time so bot moves don't land instantly
+ * @returns {number} Delay in milliseconds
+ */
+function getBotThinkTime() {
+  return BOT_MIN_THINK_TIME + Math.floor(Math.random() * (BOT_MAX_THINK_TIME - BOT_MIN_THINK_TIME));
+}
+
+/**
+ * Score a number for a hard bot: numbers that bring its own lines close to
+ * completion score highly, numbers that do the same for opponents score low.
+ * Lines are weighted by how few numbers they still need.
+ * @param {number} number - Candidate number
+ * @param {Array<Object>} ownLines - The bot's lines from getRemainingLines
+ * @param {Array<Array<Object>>} opponentLines - Each opponent's lines from getRemainingLines
+ * @returns {number} The number's score
+ */
+function scoreNumber(number, ownLines, opponentLines) {
+  const lineWeight = (lines) => lines
+    .filter(line => line.remaining > 0 && line.unmarkedNumbers.includes(number))
+    .reduce((sum, line) => sum + 1 / line.remaining, 0);
+
+  const gain = lineWeight(ownLines);
+  const opponentGain = opponentLines.reduce((sum, lines) => sum + lineWeight(lines), 0);
+  return gain - opponentGain / Math.max(opponentLines.length, 1);
+}
+
+/**
+ * Choose the number a bot marks on its turn
+ * @param {Object} game - The game state object
+ * @param {Object} bot - The bot player whose turn it is
+ * @returns {number|null} The number to mark, or null if its card is full
+ */
+function chooseBotNumber(game, bot) {
+  const grid = game.grids[bot.id];
+  if (!grid) return null;
+
+  const unmarked = grid.flat().filter(num => num !== null && !game.markedNumbers.has(num));
+  if (unmarked.length === 0) return null;
+
+  if (bot.botDifficulty !== BOT_DIFFICULTIES.HARD) {
+    return unmarked[Math.floor(Math.random() * unmarked.length)];
+  }
+
+  const ownLines = getRemainingLines(game, bot.id);
+  // Players who forfeited can't win, so there's no point blocking them
+  const opponentLines = getActivePlayers(game)
+    .filter(player => player.id !== bot.id)
+    .map(player => getRemainingLines(game, player.id));
+
+  // Keep every top-scoring number and break ties at random
+  let best = [];
+  let bestScore = -Infinity;
+  for (const number of unmarked) {
+    const score = scoreNumber(number, ownLines, opponentLines);
+    if (score > bestScore) {
+      best = [number];
+      bestScore = score;
+    } else if (score === bestScore) {
+      best.push(number);
+    }
+  }
+
+  return best[Math.floor(Math.random() * best.length)];
+}
+
+module.exports = {
+  BOT_DIFFICULTIES,
+  MAX_BOTS_PER_ROOM,
+  isValidBotDifficulty,
+  getBotName,
+  getBotThinkTime,
+  chooseBotNumber
+};
@@ -0,0 +1,179 @@
+/**
+ * Caller mode helpers for Bingo Buzz
+ * In caller mode the server draws numbers at a fixed interval instead of players
+ * taking turns, and players play classic 75-ball (B-I-N-G-O) or UK 90-ball cards.
+ * Card cells without a number (the 75-ball free space, 90-ball blanks) are null.
+ */
+
+// Room modes: the original turn-based game plus the two caller formats
+const GAME_MODES = {
+  TURNS: 'turns',
+  BINGO_75: 'bingo75',
+  BINGO_90: 'bingo90'
+};
+
+// Card layout and ball count for each caller format
+const CALLER_FORMATS = {
+  [GAME_MODES.BINGO_75]: { gridSize: '5x5', maxNumber: 75 },
+  [GAME_MODES.BINGO_90]: { gridSize: '3x9', maxNumber: 90 }
+};
+
+// How often the caller draws a number, in milliseconds
+const DEFAULT_CALL_INTERVAL = 5000;
+const MIN_CALL_INTERVAL = 2000;
+const MAX_CALL_INTERVAL = 30000;
+
+// 90-ball tickets have exactly 5 numbers on each of their 3 rows
+const TICKET_NUMBERS_PER_ROW = 5;
+
+/**
+ * Check whether a room mode is one of the caller formats
+ * @param {string} mode - The room's mode
+ * @returns {boolean} True for 75-ball and 90-ball rooms
+ */
+function isCallerMode(mode) {
+  return Object.prototype.hasOwnProperty.call(CALLER_FORMATS, mode);
+}
+
+/**
+ * Check whether a value is a supported room mode
+ * @param {string} mode - The requested mode
+ * @returns {boolean} True if the mode is supported
+ */
+function isValidGameMode(mode) {
+  return Object.values(GAME_MODES).includes(mode);
+}
+
+/**
+ * Get the fixed card size used by a caller format
+ * @param {string} mode - A caller mode
+ * @returns {string} Grid size in format "RxC"
+ */
+function getCallerGridSize(mode) {
+  return CALLER_FORMATS[mode].gridSize;
+}
+
+/**
+ * Validate a caller interval
+ * @param {*} value - Requested interval in milliseconds
+ * @returns {boolean} True if the interval is a whole number in the allowed range
+ */
+function isValidCallInterval(value) {
+  return Number.isInteger(value) && value >= MIN_CALL_INTERVAL && value <= MAX_CALL_INTERVAL;
+}
+
+/**
+ * Pick distinct random numbers from an inclusive range
+ * @param {number} min - Lowest number in the range
+ * @param {number} max - Highest number in the range
+ * @param {number} count - How many numbers to pick
+ * @returns {Array<number>} The picked numbers, in random order
+ */
+function pickNumbers(min, max, count) {
+  const pool = Array.from({ length: max - min + 1 }, (_, i) => min + i);
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
+
+/**
+ * Generate a 75-ball card: column B holds 1-15, I 16-30, N 31-45, G 46-60, O 61-75,
+ * with a free space in the centre
+ * @returns {Array<Array<number|null>>} A 5x5 card
+ */
+function generate75BallCard() {
+  const columns = Array.from({ length: 5 }, (_, col) => pickNumbers(col * 15 + 1, col * 15 + 15, 5));
+  const card = Array.from({ length: 5 }, (_, row) => columns.map(column => column[row]));
+  card[2][2] = null;
+  return card;
+}
+
+/**
+ * Generate a 90-ball ticket: 3 rows of 9 columns, 5 numbers per row, where the
+ * first column holds 1-9, the next 10-19 and so on up to 80-90 in the last column.
+ * Numbers in each column run top to bottom in ascending order.
+ * @returns {Array<Array<number|null>>} A 3x9 ticket
+ */
+function generate90BallTicket() {
+  const rows = 3;
+  const cols = 9;
+
+  // Every column gets at least one number; spread the remaining 6 at random
+  const columnCounts = Array(cols).fill(1);
+  let extra = rows * TICKET_NUMBERS_PER_ROW - cols;
+  while (extra > 0) {
+    const col = Math.floor(Math.random() * cols);
+    if (columnCounts[col] < rows) {
+      columnCounts[col]++;
+      extra--;
+    }
+  }
+
+  // Place the fullest columns first, each on the rows with the most room left
+  const ticket = Array.from({ length: rows }, () => Array(cols).fill(null));
+  const rowSpace = Array(rows).fill(TICKET_NUMBERS_PER_ROW);
+  const columnOrder = Array.from({ length: cols }, (_, col) => col)
+    .sort((a, b) => columnCounts[b] - columnCounts[a] || Math.random() - 0.5);
+
+  for (const col of columnOrder) {
+    const min = col === 0 ? 1 : col * 10;
+    const max = col === cols - 1 ? 90 : col * 10 + 9;
+    const numbers = pickNumbers(min, max, columnCounts[col]).sort((a, b) => a - b);
+    const chosenRows = Array.from({ length: rows }, (_, row) => row)
+      .sort((a, b) => rowSpace[b] - rowSpace[a] || Math.random() - 0.5)
+      .slice(0, columnCounts[col])
+      .sort((a, b) => a - b);
+
+    chosenRows.forEach((row, i) => {
+      ticket[row][col] = numbers[i];
+      rowSpace[row]--;
+    });
+  }
+
+  return ticket;
+}
+
+/**
+ * Generate a card for a caller-mode player that no one else in the room holds
+ * @param {string} mode - A caller mode
+ * @param {Set} usedGrids - Set of already used grid strings
+ * @returns {Array<Array<number|null>>} The generated card
+ */
+function generateCallerCard(mode, usedGrids = new Set()) {
+  const generate = mode === GAME_MODES.BINGO_90 ? generate90BallTicket : generate75BallCard;
+  const maxAttempts = 100;
+
+  let card = generate();
+  for (let attempt = 1; attempt < maxAttempts && usedGrids.has(JSON.stringify(card)); attempt++) {
+    card = generate();
+  }
+
+  usedGrids.add(JSON.stringify(card));
+  return card;
+}
+
+/**
+ * Create the shuffled list of balls the caller draws from
+ * @param {string} mode - A caller mode
+ * @param {Set<number>} alreadyCalled - Numbers already drawn, left out of the pool
+ * @returns {Array<number>} Remaining balls; draw with pop()
+ */
+function createDrawPool(mode, alreadyCalled = new Set()) {
+  const { maxNumber } = CALLER_FORMATS[mode];
+  return pickNumbers(1, maxNumber, maxNumber).filter(number => !alreadyCalled.has(number));
+}
+
+module.exports = {
+  GAME_MODES,
+  DEFAULT_CALL_INTERVAL,
+  MIN_CALL_INTERVAL,
+  MAX_CALL_INTERVAL,
+  isCallerMode,
+  isValidGameMode,
+  getCallerGridSize,
+  isValidCallInterval,
+  generateCallerCard,
+  createDrawPool
+};
@@ -0,0 +1,105 @@
+const {
+  GAME_MODES,
+  isCallerMode,
+  getCallerGridSize,
+  isValidCallInterval,
+  generateCallerCard,
+  createDrawPool
+} = require('./callerUtils');
+
+// Generated cards are random, so check the layout rules on a batch of them
+const CARDS_TO_CHECK = 200;
+
+const columnRange = col => ({
+  min: col === 0 ? 1 : col * 10,
+  max: col === 8 ? 90 : col * 10 + 9
+});
+
+describe('caller modes', () => {
+  test('are the 75-ball and 90-ball formats', () => {
+    expect(isCallerMode(GAME_MODES.BINGO_75)).toBe(true);
+    expect(isCallerMode(GAME_MODES.BINGO_90)).toBe(true);
+    expect(isCallerMode(GAME_MODES.TURNS)).toBe(false);
+    expect(getCallerGridSize(GAME_MODES.BINGO_75)).toBe('5x5');
+    expect(getCallerGridSize(GAME_MODES.BINGO_90)).toBe('3x9');
+  });
+
+  test('call numbers every 2 to 30 seconds', () => {
+    expect(isValidCallInterval(2000)).toBe(true);
+    expect(isValidCallInterval(30000)).toBe(true);
+    expect(isValidCallInterval(1999)).toBe(false);
+    expect(isValidCallInterval(30001)).toBe(false);
+  });
+});
+
+describe('75-ball cards', () => {
+  test('keep each column to its B-I-N-G-O range with a free centre', () => {
+    for (let i = 0; i < CARDS_TO_CHECK; i++) {
+      const card = generateCallerCard(GAME_MODES.BINGO_75);
+      expect(card).toHaveLength(5);
+      expect(card[2][2]).toBeNull();
+
+      for (let col = 0; col < 5; col++) {
+        const numbers = card.map(row => row[col]).filter(number => number !== null);
+        expect(new Set(numbers).size).toBe(numbers.length);
+        for (const number of numbers) {
+          expect(number).toBeGreaterThanOrEqual(col * 15 + 1);
+          expect(number).toBeLessThanOrEqual(col * 15 + 15);
+        }
+      }
+    }
+  });
+});
+
+describe('90-ball tickets', () => {
+  test('have 3 rows of 9 columns with 5 numbers on every row', () => {
+    for (let i = 0; i < CARDS_TO_CHECK; i++) {
+      const ticket = generateCallerCard(GAME_MODES.BINGO_90);
+      expect(ticket).toHaveLength(3);
+      for (const row of ticket) {
+        expect(row).toHaveLength(9);
+        expect(row.filter(number => number !== null)).toHaveLength(5);
+      }
+    }
+  });
+
+  test('keep every column to its range, in ascending order, with at least one number', () => {
+    for (let i = 0; i < CARDS_TO_CHECK; i++) {
+      const ticket = generateCallerCard(GAME_MODES.BINGO_90);
+
+      for (let col = 0; col < 9; col++) {
+        const numbers = ticket.map(row => row[col]).filter(number => number !== null);
+        const { min, max } = columnRange(col);
+        expect(numbers.length).toBeGreaterThanOrEqual(1);
+        expect(numbers).toEqual([...numbers].sort((a, b) => a - b));
+        for (const number of numbers) {
+          expect(number).toBeGreaterThanOrEqual(min);
+          expect(number).toBeLessThanOrEqual(max);
+        }
+      }
+    }
+  });
+
+  test('are not dealt twice in the same room', () => {
+    const usedGrids = new Set();
+    const first = generateCallerCard(GAME_MODES.BINGO_90, usedGrids);
+    const second = generateCallerCard(GAME_MODES.BINGO_90, usedGrids);
+    expect(second).not.toEqual(first);
+    expect(usedGrids.size).toBe(2);
+  });
+});
+
+describe('createDrawPool', () => {
+  test('holds every ball once', () => {
+    const pool = createDrawPool(GAME_MODES.BINGO_90);
+    expect(pool).toHaveLength(90);
+    expect(new Set(pool).size).toBe(90);
+  });
+
+  test('leaves out balls that were already called', () => {
+    const pool = createDrawPool(GAME_MODES.BINGO_75, new Set([1, 75]));
+    expect(pool).toHaveLength(73);
+    expect(pool).not.toContain(1);
+    expect(pool).not.toContain(75);
+  });
+});
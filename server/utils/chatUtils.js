@@ -0,0 +1,101 @@
+/**
+ * In-room chat helpers for Bingo Buzz
+ * Each room keeps a short chat history that is saved with the room, so players
+ * joining or rejoining can catch up. Messages are trimmed, capped, filtered for
+ * profanity and rate limited per connection.
+ */
+
+// Longest chat message a player can send, in characters
+const MAX_MESSAGE_LENGTH = 200;
+
+// Messages kept per room for players who join later
+const CHAT_HISTORY_LIMIT = 50;
+
+// At most CHAT_RATE_LIMIT messages or reactions per CHAT_RATE_WINDOW milliseconds
+const CHAT_RATE_LIMIT = 5;
+const CHAT_RATE_WINDOW = 10000;
+
+// One-tap reactions players can float over the board
+const REACTIONS = ['👍', '😂', '😮', '🎉', '😢', '🔥'];
+
+// Words masked out of chat messages, along with their common endings
+// (whole words only, so names like "Dickens" are left alone)
+const PROFANITY = ['fuck', 'shit', 'bitch', 'cunt', 'dick', 'bastard', 'asshole', 'wanker', 'twat', 'slut'];
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join('|')})(s|es|ed|er|ers|ing|ty|y)?\\b`, 'gi');
+
+/**
+ * Mask profanity in a message, keeping the first letter of each word
+ * @param {string} text - The message text
+ * @returns {string} The filtered text, e.g. "what the f***"
+ */
+function filterProfanity(text) {
+  return text.replace(PROFANITY_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+}
+
+/**
+ * Clean up a chat message before it is stored and broadcast
+ * @param {*} text - The text the client sent
+ * @returns {string|null} The trimmed, capped and filtered text, or null if nothing is left
+ */
+function sanitizeMessage(text) {
+  if (typeof text !== 'string') return null;
+
+  const trimmed = text.replace(/\s+/g, ' ').trim().slice(0, MAX_MESSAGE_LENGTH);
+  return trimmed ? filterProfanity(trimmed) : null;
+}
+
+/**
+ * Check a connection's recent chat activity against the rate limit, recording
+ * this attempt if it is allowed
+ * @param {Array<number>} sentAt - Timestamps of the connection's recent messages (updated in place)
+ * @param {number} now - Reference timestamp (defaults to the current time)
+ * @returns {boolean} True if the connection has to wait before sending again
+ */
+function isRateLimited(sentAt, now = Date.now()) {
+  while (sentAt.length > 0 && now - sentAt[0] >= CHAT_RATE_WINDOW) {
+    sentAt.shift();
+  }
+
+  if (sentAt.length >= CHAT_RATE_LIMIT) {
+    return true;
+  }
+
+  sentAt.push(now);
+  return false;
+}
+
+/**
+ * Check whether a value is one of the supported reactions
+ * @param {string} emoji - The requested reaction
+ * @returns {boolean} True if the reaction is supported
+ */
+function isValidReaction(emoji) {
+  return REACTIONS.includes(emoji);
+}
+
+/**
+ * Add a message to a room's chat history, dropping the oldest past the limit
+ * @param {Object} game - The game state object
+ * @param {Object} message - The message to store
+ */
+function addToChatHistory(game, message) {
+  if (!Array.isArray(game.chatHistory)) {
+    game.chatHistory = [];
+  }
+
+  game.chatHistory.push(message);
+  if (game.chatHistory.length > CHAT_HISTORY_LIMIT) {
+    game.chatHistory.splice(0, game.chatHistory.length - CHAT_HISTORY_LIMIT);
+  }
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  CHAT_HISTORY_LIMIT,
+  REACTIONS,
+  filterProfanity,
+  sanitizeMessage,
+  isRateLimited,
+  isValidReaction,
+  addToChatHistory
+};
@@ -0,0 +1,84 @@
+/**
+ * Bingo claim helpers for Bingo Buzz
+ * Rooms can require players to claim their own wins instead of having the server
+ * detect them. A claim the server can't verify carries the room's penalty.
+ */
+const { isCallerMode } = require('./callerUtils');
+
+// What happens to a player who claims Bingo without a winning card
+const CLAIM_PENALTIES = {
+  NONE: 'none',
+  SKIP_TURN: 'skip-turn',
+  DEDUCT_POINTS: 'deduct-points'
+};
+
+const DEFAULT_CLAIM_PENALTY = CLAIM_PENALTIES.SKIP_TURN;
+
+// Points taken off a player's room score for each false claim
+const FALSE_CLAIM_POINTS = 10;
+
+/**
+ * Check whether a value is a supported false-claim penalty
+ * @param {string} penalty - The requested penalty
+ * @returns {boolean} True if the penalty is supported
+ */
+function isValidClaimPenalty(penalty) {
+  return Object.values(CLAIM_PENALTIES).includes(penalty);
+}
+
+/**
+ * Check whether wins in a room must be claimed by the players
+ * Caller-mode rooms always need claims; turn-based rooms opt in.
+ * @param {Object} game - The game state object
+ * @returns {boolean} True if the server should wait for a claim-bingo event
+ */
+function requiresClaim(game) {
+  return isCallerMode(game.mode) || !!game.manualClaims;
+}
+
+/**
+ * Apply the room's false-claim penalty to a player
+ * Skipping a turn makes the player sit out their next turn; in caller mode, where
+ * there are no turns, it stops them claiming again until the next number is called.
+ * @param {Object} game - The game state object
+ * @param {Object} player - The player who made the false claim
+ * @returns {Object} The penalty applied as { type, points }
+ */
+function applyClaimPenalty(game, player) {
+  const type = isValidClaimPenalty(game.falseClaimPenalty) ? game.falseClaimPenalty : DEFAULT_CLAIM_PENALTY;
+
+  if (type === CLAIM_PENALTIES.DEDUCT_POINTS) {
+    player.score = (player.score || 0) - FALSE_CLAIM_POINTS;
+    return { type, points: FALSE_CLAIM_POINTS };
+  }
+
+  if (type === CLAIM_PENALTIES.SKIP_TURN) {
+    if (isCallerMode(game.mode)) {
+      player.claimLockedUntil = game.markedNumbers.size + 1;
+    } else {
+      player.skipTurns = (player.skipTurns || 0) + 1;
+    }
+  }
+
+  return { type, points: 0 };
+}
+
+/**
+ * Check whether a player is still serving a caller-mode claim penalty
+ * @param {Object} game - The game state object
+ * @param {Object} player - The player making a claim
+ * @returns {boolean} True if the player has to wait for the next number
+ */
+function isClaimLocked(game, player) {
+  return typeof player.claimLockedUntil === 'number' && game.markedNumbers.size < player.claimLockedUntil;
+}
+
+module.exports = {
+  CLAIM_PENALTIES,
+  DEFAULT_CLAIM_PENALTY,
+  FALSE_CLAIM_POINTS,
+  isValidClaimPenalty,
+  requiresClaim,
+  applyClaimPenalty,
+  isClaimLocked
+};
@@ -0,0 +1,78 @@
+const { GAME_MODES } = require('./callerUtils');
+const {
+  CLAIM_PENALTIES,
+  FALSE_CLAIM_POINTS,
+  isValidClaimPenalty,
+  requiresClaim,
+  applyClaimPenalty,
+  isClaimLocked
+} = require('./claimUtils');
+
+const createGame = (overrides = {}) => ({
+  mode: GAME_MODES.TURNS,
+  falseClaimPenalty: CLAIM_PENALTIES.SKIP_TURN,
+  markedNumbers: new Set([1, 2, 3]),
+  ...overrides
+});
+
+describe('isValidClaimPenalty', () => {
+  test('accepts only the supported penalties', () => {
+    for (const penalty of Object.values(CLAIM_PENALTIES)) {
+      expect(isValidClaimPenalty(penalty)).toBe(true);
+    }
+    expect(isValidClaimPenalty('jail')).toBe(false);
+  });
+});
+
+describe('requiresClaim', () => {
+  test('is always on in caller mode and opt-in for turn-based rooms', () => {
+    expect(requiresClaim(createGame({ mode: GAME_MODES.BINGO_75 }))).toBe(true);
+    expect(requiresClaim(createGame())).toBe(false);
+    expect(requiresClaim(createGame({ manualClaims: true }))).toBe(true);
+  });
+});
+
+describe('applyClaimPenalty', () => {
+  test('skips the next turn in turn-based rooms', () => {
+    const player = { skipTurns: 1 };
+    expect(applyClaimPenalty(createGame(), player)).toEqual({ type: CLAIM_PENALTIES.SKIP_TURN, points: 0 });
+    expect(player.skipTurns).toBe(2);
+  });
+
+  test('locks claims until the next call in caller mode', () => {
+    const game = createGame({ mode: GAME_MODES.BINGO_90 });
+    const player = {};
+    applyClaimPenalty(game, player);
+    expect(player.skipTurns).toBeUndefined();
+    expect(isClaimLocked(game, player)).toBe(true);
+
+    game.markedNumbers.add(4);
+    expect(isClaimLocked(game, player)).toBe(false);
+  });
+
+  test('deducts points from the player', () => {
+    const player = { score: 25 };
+    const penalty = applyClaimPenalty(createGame({ falseClaimPenalty: CLAIM_PENALTIES.DEDUCT_POINTS }), player);
+    expect(penalty).toEqual({ type: CLAIM_PENALTIES.DEDUCT_POINTS, points: FALSE_CLAIM_POINTS });
+    expect(player.score).toBe(25 - FALSE_CLAIM_POINTS);
+  });
+
+  test('does nothing when the room has no penalty', () => {
+    const player = { score: 25 };
+    expect(applyClaimPenalty(createGame({ falseClaimPenalty: CLAIM_PENALTIES.NONE }), player))
+      .toEqual({ type: CLAIM_PENALTIES.NONE, points: 0 });
+    expect(player).toEqual({ score: 25 });
+  });
+
+  test('falls back to skipping a turn for unknown penalties', () => {
+    const player = {};
+    expect(applyClaimPenalty(createGame({ falseClaimPenalty: undefined }), player).type).toBe(CLAIM_PENALTIES.SKIP_TURN);
+    expect(player.skipTurns).toBe(1);
+  });
+});
+
+describe('isClaimLocked', () => {
+  test('is false for players who never made a false claim', () => {
+    expect(isClaimLocked(createGame(), {})).toBe(false);
+  });
+});
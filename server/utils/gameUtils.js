@@ -1,6 +1,28 @@
 /**
  * Game utility functions for Bingo Buzz
  */
+const { getWinningPatterns, getCompletedPattern, getClosestPattern } = require('./patternUtils');
+const { GAME_MODES, isCallerMode } = require('./callerUtils');
+
+// Supported grid dimensions; rows and columns are bounded independently
+const MIN_GRID_SIDE = 3;
+const MAX_GRID_SIDE = 10;
+
+/**
+ * Parse and validate a grid size string
+ * @param {string} size - Grid size in format "RxC", e.g. "5x5" or "4x6"
+ * @returns {Object|null} { rows, cols }, or null if the size is malformed or out of range
+ */
+function parseGridSize(size) {
+  const match = typeof size === 'string' && size.match(/^(\d+)x(\d+)$/);
+  if (!match) return null;
+
+  const rows = Number(match[1]);
+  const cols = Number(match[2]);
+  const inRange = side => side >= MIN_GRID_SIDE && side <= MAX_GRID_SIDE;
+
+  return inRange(rows) && inRange(cols) ? { rows, cols } : null;
+}
 
 /**
  * Generate a random Bingo grid of the specified size with guaranteed uniqueness
@@ -106,47 +128,137 @@ function generateGrid(size, seed) {
 }
 
 /**
- * Check if a player has won by completing 5 or more lines
+ * Get every line on a grid: all rows and columns, plus both diagonals on square grids.
+ * Rectangular grids have no diagonal running corner to corner, so they are left out.
+ * @param {Array<Array<number>>} grid - The player's grid
+ * @returns {Array<Object>} Lines as { type, index, numbers }
+ */
+function getGridLines(grid) {
+  if (!grid || grid.length === 0) return [];
+
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const lines = [];
+
+  // Rows
+  for (let i = 0; i < rows; i++) {
+    lines.push({ type: 'row', index: i, numbers: grid[i] });
+  }
+
+  // Columns
+  for (let j = 0; j < cols; j++) {
+    lines.push({ type: 'col', index: j, numbers: grid.map(row => row[j]) });
+  }
+
+  if (rows === cols) {
+    // Main diagonal (top-left to bottom-right)
+    lines.push({ type: 'diag', index: 0, numbers: grid.map((row, i) => row[i]) });
+
+    // Other diagonal (top-right to bottom-left)
+    lines.push({ type: 'diag', index: 1, numbers: grid.map((row, i) => row[cols - 1 - i]) });
+  }
+
+  return lines;
+}
+
+/**
+ * Get the lines that count towards a win in a room's mode. 90-ball tickets
+ * only win on rows, since their columns and diagonals are mostly blank.
+ * @param {Array<Array<number|null>>} grid - The player's grid
+ * @param {string} mode - The room's mode
+ * @returns {Array<Object>} Lines as { type, index, numbers }
+ */
+function getWinLines(grid, mode) {
+  const lines = getGridLines(grid);
+  return mode === GAME_MODES.BINGO_90 ? lines.filter(line => line.type === 'row') : lines;
+}
+
+/**
+ * Get the completed lines on a single grid. Cells without a number (the 75-ball
+ * free space, 90-ball blanks) count as covered.
+ * @param {Array<Array<number|null>>} grid - The player's grid
+ * @param {Set<number>} markedNumbers - Numbers marked so far in the game
+ * @param {string} mode - The room's mode (defaults to the turn-based game)
+ * @returns {Array<Object>} Completed lines as { type, index }
+ */
+function getCompletedLines(grid, markedNumbers, mode = GAME_MODES.TURNS) {
+  return getWinLines(grid, mode)
+    .filter(line => line.numbers.every(num => num === null || markedNumbers.has(num)))
+    .map(({ type, index }) => ({ type, index }));
+}
+
+/**
+ * Count the lines that can win on a grid: rows, columns and, on square grids,
+ * diagonals (rows only on 90-ball tickets)
+ * @param {string} size - Grid size in format "5x5", "6x6", etc.
+ * @param {string} mode - The room's mode (defaults to the turn-based game)
+ * @returns {number} Total number of lines
+ */
+function getTotalLines(size, mode = GAME_MODES.TURNS) {
+  const [rows, cols] = size.split('x').map(Number);
+  if (mode === GAME_MODES.BINGO_90) return rows;
+  return rows + cols + (rows === cols ? 2 : 0);
+}
+
+/**
+ * Get the default number of lines needed to win on a grid
+ * Small grids need fewer lines (3 on 3x3, 5 on 5x5); larger grids have longer
+ * lines, so the target drops again (4 on 7x7, 3 from 9x9). Caller-mode games
+ * follow the classic rule of a single line.
+ * @param {string} size - Grid size in format "5x5", "6x6", etc.
+ * @param {string} mode - The room's mode (defaults to the turn-based game)
+ * @returns {number} Default winning line count
+ */
+function getDefaultLinesToWin(size, mode = GAME_MODES.TURNS) {
+  if (isCallerMode(mode)) return 1;
+
+  const [rows, cols] = size.split('x').map(Number);
+  const longestSide = Math.max(rows, cols);
+
+  const target = longestSide <= 5
+    ? Math.floor(getTotalLines(size) / 2) - 1
+    : Math.max(3, 5 - Math.floor((longestSide - 5) / 2));
+
+  return Math.min(Math.max(target, 1), getTotalLines(size));
+}
+
+/**
+ * Check if a single player has won, either by completing one of the room's win
+ * patterns or (when no patterns are chosen) the room's target number of lines
  * @param {Object} game - The game state object
- * @returns {Object|null} The winner ID and winning lines, or null if no winner
+ * @param {string} playerId - Player ID
+ * @returns {Object|null} The winner ID and winning lines, or null if the player hasn't won
  */
-function checkWin(game) {
-  // For each player's grid
-  for (const [playerId, grid] of Object.entries(game.grids)) {
-    const lines = [];
-    const size = grid.length;
-
-    // Check rows
-    for (let i = 0; i < size; i++) {
-      if (grid[i].every(num => game.markedNumbers.has(num))) {
-        lines.push({ type: 'row', index: i });
-      }
-    }
+function checkPlayerWin(game, playerId) {
+  const grid = game.grids[playerId];
+  if (!grid) return null;
 
-    // Check columns
-    for (let j = 0; j < size; j++) {
-      const column = grid.map(row => row[j]);
-      if (column.every(num => game.markedNumbers.has(num))) {
-        lines.push({ type: 'col', index: j });
-      }
-    }
+  if (Array.isArray(game.winPatterns) && game.winPatterns.length > 0) {
+    const patterns = getWinningPatterns(game.gridSize, game.winPatterns, game.customPattern);
+    const pattern = getCompletedPattern(grid, game.markedNumbers, patterns);
+    return pattern ? { playerId, lines: [pattern] } : null;
+  }
 
-    // Check main diagonal (top-left to bottom-right)
-    const mainDiag = grid.map((row, i) => row[i]);
-    if (mainDiag.every(num => game.markedNumbers.has(num))) {
-      lines.push({ type: 'diag', index: 0 });
-    }
+  const linesToWin = game.linesToWin || getDefaultLinesToWin(game.gridSize, game.mode);
+  const lines = getCompletedLines(grid, game.markedNumbers, game.mode);
 
-    // Check other diagonal (top-right to bottom-left)
-    const otherDiag = grid.map((row, i) => row[size - 1 - i]);
-    if (otherDiag.every(num => game.markedNumbers.has(num))) {
-      lines.push({ type: 'diag', index: 1 });
-    }
+  // Only return the target number of lines so every win reports the same count
+  return lines.length >= linesToWin ? { playerId, lines: lines.slice(0, linesToWin) } : null;
+}
 
-    // Check if player has 5 completed lines (end the game at 5 lines)
-    if (lines.length >= 5) {
-      // Only return the first 5 lines to ensure the game ends at 5 lines
-      return { playerId, lines: lines.slice(0, 5) };
+/**
+ * Check if any player has won
+ * @param {Object} game - The game state object
+ * @returns {Object|null} The winner ID and winning lines, or null if no winner
+ */
+function checkWin(game) {
+  for (const playerId of Object.keys(game.grids)) {
+    // Players who forfeited can no longer win
+    if (game.players.some(player => player.id === playerId && player.forfeited)) continue;
+
+    const winner = checkPlayerWin(game, playerId);
+    if (winner) {
+      return winner;
     }
   }
 
@@ -181,60 +293,86 @@ function getUnmarkedNumbers(game) {
  * @param {Object} game - The game state object
  * @param {string} playerId - Player ID
  * @returns {Array<Object>} Array of potential winning lines with completion percentage
+ *   and the numbers still needed to complete each line
  */
 function getRemainingLines(game, playerId) {
   const grid = game.grids[playerId];
   if (!grid) return [];
 
-  const size = grid.length;
-  const potentialLines = [];
-
-  // Check rows
-  for (let i = 0; i < size; i++) {
-    const row = grid[i];
-    const markedCount = row.filter(num => game.markedNumbers.has(num)).length;
-    potentialLines.push({
-      type: 'row',
-      index: i,
-      completion: (markedCount / size) * 100,
-      remaining: size - markedCount
-    });
-  }
+  const potentialLines = getWinLines(grid, game.mode).map(({ type, index, numbers }) => {
+    const cellNumbers = numbers.filter(num => num !== null);
+    const unmarkedNumbers = cellNumbers.filter(num => !game.markedNumbers.has(num));
+    const markedCount = cellNumbers.length - unmarkedNumbers.length;
+    return {
+      type,
+      index,
+      completion: cellNumbers.length ? (markedCount / cellNumbers.length) * 100 : 100,
+      remaining: unmarkedNumbers.length,
+      unmarkedNumbers
+    };
+  });
 
-  // Check columns
-  for (let j = 0; j < size; j++) {
-    const column = grid.map(row => row[j]);
-    const markedCount = column.filter(num => game.markedNumbers.has(num)).length;
-    potentialLines.push({
-      type: 'col',
-      index: j,
-      completion: (markedCount / size) * 100,
-      remaining: size - markedCount
-    });
+  // Sort by completion (highest first)
+  return potentialLines.sort((a, b) => b.completion - a.completion);
+}
+
+/**
+ * Summarise how close a player is to winning on lines, without revealing their grid.
+ * Lines are counted the same way as in checkWin and getRemainingLines. Rooms that
+ * are won by patterns report the player's closest pattern instead, since line
+ * counts don't decide those games.
+ * @param {Object} game - The game state object
+ * @param {string} playerId - Player ID
+ * @returns {Object} { linesCompleted, linesToWin, closestLine } where closestLine is
+ *   how many numbers the player's best unfinished line still needs (null if none are left),
+ *   or { patternSize, closestPattern } in win-pattern rooms, where closestPattern is how
+ *   many numbers the player's best pattern still needs
+ */
+function getLineProgress(game, playerId) {
+  if (Array.isArray(game.winPatterns) && game.winPatterns.length > 0) {
+    const patterns = getWinningPatterns(game.gridSize, game.winPatterns, game.customPattern);
+    const closest = getClosestPattern(game.grids[playerId], game.markedNumbers, patterns);
+    return {
+      patternSize: closest ? closest.size : 0,
+      closestPattern: closest ? closest.remaining : null
+    };
   }
 
-  // Check main diagonal
-  const mainDiag = grid.map((row, i) => row[i]);
-  const mainDiagMarkedCount = mainDiag.filter(num => game.markedNumbers.has(num)).length;
-  potentialLines.push({
-    type: 'diag',
-    index: 0,
-    completion: (mainDiagMarkedCount / size) * 100,
-    remaining: size - mainDiagMarkedCount
-  });
+  const lines = getRemainingLines(game, playerId);
+  const unfinished = lines.filter(line => line.remaining > 0);
 
-  // Check other diagonal
-  const otherDiag = grid.map((row, i) => row[size - 1 - i]);
-  const otherDiagMarkedCount = otherDiag.filter(num => game.markedNumbers.has(num)).length;
-  potentialLines.push({
-    type: 'diag',
-    index: 1,
-    completion: (otherDiagMarkedCount / size) * 100,
-    remaining: size - otherDiagMarkedCount
-  });
+  return {
+    linesCompleted: lines.length - unfinished.length,
+    linesToWin: game.linesToWin || getDefaultLinesToWin(game.gridSize, game.mode),
+    closestLine: unfinished.length ? Math.min(...unfinished.map(line => line.remaining)) : null
+  };
+}
 
-  // Sort by completion (highest first)
-  return potentialLines.sort((a, b) => b.completion - a.completion);
+/**
+ * Rank the unmarked numbers on a player's grid by how much they advance the
+ * player's lines. Lines that need fewer numbers count for more.
+ * @param {Object} game - The game state object
+ * @param {string} playerId - Player ID
+ * @param {number} limit - How many suggestions to return
+ * @returns {Array<Object>} Suggestions as { number, lines }, best first, where
+ *   lines lists each line the number would advance and how many numbers it still needs
+ */
+function getSuggestedNumbers(game, playerId, limit = 3) {
+  const suggestions = new Map();
+
+  for (const line of getRemainingLines(game, playerId)) {
+    for (const number of line.unmarkedNumbers) {
+      const suggestion = suggestions.get(number) || { number, score: 0, lines: [] };
+      suggestion.score += 1 / line.remaining;
+      suggestion.lines.push({ type: line.type, index: line.index, remaining: line.remaining });
+      suggestions.set(number, suggestion);
+    }
+  }
+
+  return Array.from(suggestions.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ number, lines }) => ({ number, lines }));
 }
 
 /**
@@ -350,11 +488,21 @@ function generateUniquePlayerGrid(size, playerIdentifier, usedGrids = new Set())
 }
 
 module.exports = {
+  MIN_GRID_SIDE,
+  MAX_GRID_SIDE,
+  parseGridSize,
   generateGrid,
   generateUniqueGrid,
   generateUniquePlayerGrid,
   checkWin,
+  checkPlayerWin,
+  getGridLines,
+  getCompletedLines,
+  getTotalLines,
+  getDefaultLinesToWin,
   getUnmarkedNumbers,
   getRemainingLines,
+  getLineProgress,
+  getSuggestedNumbers,
   validateGrid
 };
@@ -0,0 +1,149 @@
+/**
+ * Leaderboard query helpers for Bingo Buzz
+ */
+
+// Fields the leaderboard can be sorted by (winPercentage and averageScore are computed)
+const LEADERBOARD_SORT_FIELDS = ['gamesWon', 'winPercentage', 'highScore', 'averageScore'];
+
+// Rolling time windows (in milliseconds); 'all' uses the lifetime totals instead
+const LEADERBOARD_WINDOWS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  monthly: 30 * 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Escape a string so it can be used literally inside a regular expression
+ * @param {string} value - Raw user input
+ * @returns {string} The escaped string
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse and sanitise leaderboard query parameters
+ * @param {Object} query - Express request query object
+ * @returns {Object} Normalised options: page, limit, sortBy, order, minGames, search, window
+ */
+function parseLeaderboardQuery(query = {}) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const sortBy = LEADERBOARD_SORT_FIELDS.includes(query.sortBy) ? query.sortBy : 'gamesWon';
+  const order = query.order === 'asc' ? 'asc' : 'desc';
+  const minGames = Math.max(parseInt(query.minGames, 10) || 0, 0);
+  const search = typeof query.search === 'string' ? query.search.trim().slice(0, 50) : '';
+  const window = LEADERBOARD_WINDOWS[query.window] ? query.window : 'all';
+
+  return { page, limit, sortBy, order, minGames, search, window };
+}
+
+/**
+ * Get the start of a rolling leaderboard window
+ * @param {string} window - 'daily', 'weekly', 'monthly' or 'all'
+ * @param {number} now - Reference timestamp (defaults to the current time)
+ * @returns {Date|null} Start of the window, or null for the all-time leaderboard
+ */
+function getWindowStart(window, now = Date.now()) {
+  const duration = LEADERBOARD_WINDOWS[window];
+  return duration ? new Date(now - duration) : null;
+}
+
+/**
+ * Build the filter, ranking and paging stages shared by every leaderboard
+ * @param {Object} options - Options returned by parseLeaderboardQuery
+ * @returns {Array<Object>} Aggregation stages producing { total, players }
+ */
+function buildRankingStages({ page, limit, sortBy, order, minGames, search }) {
+  const match = { gamesPlayed: { $gte: minGames } };
+  if (search) {
+    match.username = { $regex: escapeRegex(search), $options: 'i' };
+  }
+
+  const direction = order === 'asc' ? 1 : -1;
+
+  // Secondary keys keep the ordering stable between pages
+  const sort = { [sortBy]: direction };
+  if (sortBy !== 'gamesWon') sort.gamesWon = -1;
+  sort.username = 1;
+
+  return [
+    { $match: match },
+    {
+      // Mirror the winPercentage and averageScore virtuals so they can be sorted on
+      $addFields: {
+        winPercentage: {
+          $cond: [
+            { $gt: ['$gamesPlayed', 0] },
+            { $round: [{ $multiply: [{ $divide: ['$gamesWon', '$gamesPlayed'] }, 100] }, 0] },
+            0
+          ]
+        },
+        averageScore: {
+          $cond: [
+            { $gt: ['$gamesPlayed', 0] },
+            { $round: [{ $divide: ['$totalScore', '$gamesPlayed'] }, 0] },
+            0
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        players: [
+          { $sort: sort },
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ]
+      }
+    }
+  ];
+}
+
+/**
+ * Build the aggregation pipeline for a page of the all-time leaderboard
+ * (run against the Leaderboard collection)
+ * @param {Object} options - Options returned by parseLeaderboardQuery
+ * @returns {Array<Object>} Mongo aggregation pipeline producing { total, players }
+ */
+function buildLeaderboardPipeline(options) {
+  return buildRankingStages(options);
+}
+
+/**
+ * Build the aggregation pipeline for a page of a time-windowed leaderboard
+ * (run against the GameResult collection)
+ * @param {Object} options - Options returned by parseLeaderboardQuery
+ * @param {Date} since - Only results played at or after this date are counted
+ * @returns {Array<Object>} Mongo aggregation pipeline producing { total, players }
+ */
+function buildWindowedLeaderboardPipeline(options, since) {
+  return [
+    { $match: { playedAt: { $gte: since } } },
+    {
+      $group: {
+        _id: '$username',
+        gamesPlayed: { $sum: 1 },
+        gamesWon: { $sum: { $cond: ['$won', 1, 0] } },
+        totalScore: { $sum: '$score' },
+        highScore: { $max: '$score' }
+      }
+    },
+    { $addFields: { username: '$_id' } },
+    ...buildRankingStages(options)
+  ];
+}
+
+module.exports = {
+  LEADERBOARD_SORT_FIELDS,
+  LEADERBOARD_WINDOWS,
+  parseLeaderboardQuery,
+  getWindowStart,
+  buildLeaderboardPipeline,
+  buildWindowedLeaderboardPipeline,
+  escapeRegex
+};
@@ -0,0 +1,51 @@
+/**
+ * Host moderation helpers for Bingo Buzz
+ * Hosts can ban players from their room and hand the host role to someone else.
+ * Bans cover the username and, for signed-in players, their account, and keep the
+ * player from spectating as well as playing. Locking a room is different: it only
+ * stops new players taking a seat, and anyone may still watch.
+ */
+
+/**
+ * Check whether someone trying to join has been banned from a room
+ * @param {Object} game - The game state object
+ * @param {Object} identity - The joining player's { username, userId }
+ * @returns {boolean} True if the username or account is banned
+ */
+function isBanned(game, identity) {
+  return (game.bans || []).some(ban =>
+    ban.username === identity.username || (ban.userId && ban.userId === identity.userId)
+  );
+}
+
+/**
+ * Ban a player's username (and account, if signed in) from a room
+ * @param {Object} game - The game state object
+ * @param {Object} player - The player being banned
+ */
+function addBan(game, player) {
+  if (!Array.isArray(game.bans)) {
+    game.bans = [];
+  }
+  if (!isBanned(game, player)) {
+    game.bans.push({ username: player.username, userId: player.userId || null, bannedAt: Date.now() });
+  }
+}
+
+/**
+ * Pick who takes over as host: the longest-seated human player who is still connected
+ * @param {Object} game - The game state object
+ * @param {string} excludeId - Player ID to skip (usually the outgoing host)
+ * @returns {Object|null} The new host, or null if no one can take over
+ */
+function pickNextHost(game, excludeId = null) {
+  return game.players.find(player =>
+    player.id !== excludeId && !player.isBot && player.connected !== false
+  ) || null;
+}
+
+module.exports = {
+  isBanned,
+  addBan,
+  pickNextHost
+};
@@ -0,0 +1,211 @@
+/**
+ * Win pattern library for Bingo Buzz
+ * Patterns are lists of [row, col] cells built for a specific grid size, so the
+ * same pattern works on any grid the room uses.
+ */
+
+// Smallest custom pattern a host can draw
+const MIN_CUSTOM_PATTERN_CELLS = 1;
+
+/**
+ * Build a list of unique cells from several groups of [row, col] pairs
+ * @param {...Array<Array<number>>} groups - Cell groups to combine
+ * @returns {Array<Array<number>>} Unique cells, ordered row by row
+ */
+function combineCells(...groups) {
+  const seen = new Map();
+  for (const [row, col] of groups.flat()) {
+    seen.set(`${row},${col}`, [row, col]);
+  }
+  return Array.from(seen.values()).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+const rowCells = (row, cols) => Array.from({ length: cols }, (_, col) => [row, col]);
+const colCells = (col, rows) => Array.from({ length: rows }, (_, row) => [row, col]);
+const mainDiagonal = (size) => Array.from({ length: size }, (_, i) => [i, i]);
+const otherDiagonal = (size) => Array.from({ length: size }, (_, i) => [i, size - 1 - i]);
+
+// Built-in patterns; squareOnly patterns use the diagonals and need an NxN grid
+const PATTERN_LIBRARY = {
+  fourCorners: {
+    name: 'Four Corners',
+    build: (rows, cols) => combineCells([[0, 0], [0, cols - 1], [rows - 1, 0], [rows - 1, cols - 1]])
+  },
+  x: {
+    name: 'X',
+    squareOnly: true,
+    build: (rows) => combineCells(mainDiagonal(rows), otherDiagonal(rows))
+  },
+  plus: {
+    name: 'Plus',
+    build: (rows, cols) => combineCells(rowCells(Math.floor((rows - 1) / 2), cols), colCells(Math.floor((cols - 1) / 2), rows))
+  },
+  frame: {
+    name: 'Frame',
+    build: (rows, cols) => combineCells(rowCells(0, cols), rowCells(rows - 1, cols), colCells(0, rows), colCells(cols - 1, rows))
+  },
+  blackout: {
+    name: 'Blackout',
+    build: (rows, cols) => combineCells(...Array.from({ length: rows }, (_, row) => rowCells(row, cols)))
+  },
+  letterL: {
+    name: 'Letter L',
+    build: (rows, cols) => combineCells(colCells(0, rows), rowCells(rows - 1, cols))
+  },
+  letterT: {
+    name: 'Letter T',
+    build: (rows, cols) => combineCells(rowCells(0, cols), colCells(Math.floor((cols - 1) / 2), rows))
+  },
+  letterU: {
+    name: 'Letter U',
+    build: (rows, cols) => combineCells(colCells(0, rows), colCells(cols - 1, rows), rowCells(rows - 1, cols))
+  },
+  letterH: {
+    name: 'Letter H',
+    build: (rows, cols) => combineCells(colCells(0, rows), colCells(cols - 1, rows), rowCells(Math.floor((rows - 1) / 2), cols))
+  },
+  letterZ: {
+    name: 'Letter Z',
+    squareOnly: true,
+    build: (rows, cols) => combineCells(rowCells(0, cols), rowCells(rows - 1, cols), otherDiagonal(rows))
+  }
+};
+
+// Id used for the host's hand-drawn pattern
+const CUSTOM_PATTERN_ID = 'custom';
+
+/**
+ * List the built-in patterns available on a grid
+ * @param {string} size - Grid size in format "5x5", "6x6", etc.
+ * @returns {Array<Object>} Patterns as { id, name, cells }
+ */
+function getPatternLibrary(size) {
+  const [rows, cols] = size.split('x').map(Number);
+
+  return Object.entries(PATTERN_LIBRARY)
+    .filter(([, pattern]) => !pattern.squareOnly || rows === cols)
+    .map(([id, pattern]) => ({ id, name: pattern.name, cells: pattern.build(rows, cols) }));
+}
+
+/**
+ * Check a hand-drawn pattern fits the grid
+ * @param {Array<Array<number>>} cells - [row, col] pairs drawn by the host
+ * @param {string} size - Grid size in format "5x5", "6x6", etc.
+ * @returns {Array<Array<number>>|null} The cleaned-up cells, or null if the pattern is invalid
+ */
+function normalizeCustomPattern(cells, size) {
+  if (!Array.isArray(cells)) return null;
+
+  const [rows, cols] = size.split('x').map(Number);
+  const isValidCell = cell => Array.isArray(cell) && cell.length === 2 &&
+    Number.isInteger(cell[0]) && Number.isInteger(cell[1]) &&
+    cell[0] >= 0 && cell[0] < rows && cell[1] >= 0 && cell[1] < cols;
+
+  if (!cells.every(isValidCell)) return null;
+
+  const normalized = combineCells(cells);
+  return normalized.length >= MIN_CUSTOM_PATTERN_CELLS ? normalized : null;
+}
+
+/**
+ * Validate a room's chosen pattern ids
+ * @param {Array<string>} patternIds - Pattern ids chosen by the host
+ * @param {string} size - Grid size in format "5x5", "6x6", etc.
+ * @param {Array<Array<number>>} customPattern - Cells of the host's custom pattern, if any
+ * @returns {string|null} An error message, or null if the selection is valid
+ */
+function validatePatternSelection(patternIds, size, customPattern) {
+  if (!Array.isArray(patternIds)) {
+    return 'Win patterns must be a list of pattern ids';
+  }
+
+  const available = new Set(getPatternLibrary(size).map(pattern => pattern.id));
+  for (const id of patternIds) {
+    if (id === CUSTOM_PATTERN_ID) {
+      if (!customPattern || customPattern.length === 0) {
+        return 'Draw a custom pattern before selecting it';
+      }
+    } else if (!available.has(id)) {
+      return `Pattern "${id}" is not available on a ${size} grid`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the patterns that win in a room
+ * @param {string} size - Grid size in format "5x5", "6x6", etc.
+ * @param {Array<string>} patternIds - The room's chosen pattern ids
+ * @param {Array<Array<number>>} customPattern - Cells of the host's custom pattern, if any
+ * @returns {Array<Object>} Patterns as { id, name, cells }
+ */
+function getWinningPatterns(size, patternIds = [], customPattern = null) {
+  const selected = new Set(patternIds);
+  const patterns = getPatternLibrary(size).filter(pattern => selected.has(pattern.id));
+
+  if (selected.has(CUSTOM_PATTERN_ID) && customPattern && customPattern.length > 0) {
+    patterns.push({ id: CUSTOM_PATTERN_ID, name: 'Custom', cells: customPattern });
+  }
+
+  return patterns;
+}
+
+/**
+ * Find the first winning pattern completed on a grid
+ * @param {Array<Array<number>>} grid - The player's grid
+ * @param {Set<number>} markedNumbers - Numbers marked so far in the game
+ * @param {Array<Object>} patterns - Patterns from getWinningPatterns
+ * @returns {Object|null} The completed pattern as { type: 'pattern', id, name, cells }, or null
+ */
+function getCompletedPattern(grid, markedNumbers, patterns) {
+  if (!grid || grid.length === 0) return null;
+
+  for (const pattern of patterns) {
+    const complete = pattern.cells.every(([row, col]) => {
+      const number = grid[row]?.[col];
+      // Cells without a number (such as a free space) are always covered
+      return number === null || markedNumbers.has(number);
+    });
+    if (complete) {
+      return { type: 'pattern', id: pattern.id, name: pattern.name, cells: pattern.cells };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the pattern a grid is closest to completing
+ * @param {Array<Array<number>>} grid - The player's grid
+ * @param {Set<number>} markedNumbers - Numbers marked so far in the game
+ * @param {Array<Object>} patterns - Patterns from getWinningPatterns
+ * @returns {Object|null} { remaining, size } for the pattern that needs the fewest
+ *   numbers, where size is its cell count, or null if there are no patterns
+ */
+function getClosestPattern(grid, markedNumbers, patterns) {
+  if (!grid || grid.length === 0) return null;
+
+  let closest = null;
+  for (const pattern of patterns) {
+    const remaining = pattern.cells.filter(([row, col]) => {
+      const number = grid[row]?.[col];
+      return number !== null && !markedNumbers.has(number);
+    }).length;
+    if (!closest || remaining < closest.remaining) {
+      closest = { remaining, size: pattern.cells.length };
+    }
+  }
+
+  return closest;
+}
+
+module.exports = {
+  CUSTOM_PATTERN_ID,
+  getPatternLibrary,
+  normalizeCustomPattern,
+  validatePatternSelection,
+  getWinningPatterns,
+  getCompletedPattern,
+  getClosestPattern
+};
@@ -0,0 +1,102 @@
+const {
+  CUSTOM_PATTERN_ID,
+  getPatternLibrary,
+  normalizeCustomPattern,
+  validatePatternSelection,
+  getWinningPatterns,
+  getCompletedPattern,
+  getClosestPattern
+} = require('./patternUtils');
+
+const GRID = [
+  [1, 2, 3, 4, 5],
+  [6, 7, 8, 9, 10],
+  [11, 12, 13, 14, 15],
+  [16, 17, 18, 19, 20],
+  [21, 22, 23, 24, 25]
+];
+
+describe('getPatternLibrary', () => {
+  test('builds every pattern for square grids', () => {
+    const ids = getPatternLibrary('5x5').map(pattern => pattern.id);
+    expect(ids).toEqual(expect.arrayContaining(['fourCorners', 'x', 'letterZ', 'blackout']));
+  });
+
+  test('leaves out square-only patterns on rectangular grids', () => {
+    const ids = getPatternLibrary('4x6').map(pattern => pattern.id);
+    expect(ids).not.toContain('x');
+    expect(ids).not.toContain('letterZ');
+    expect(ids).toContain('frame');
+  });
+
+  test('fits patterns to the grid size', () => {
+    const corners = getPatternLibrary('4x6').find(pattern => pattern.id === 'fourCorners');
+    expect(corners.cells).toEqual([[0, 0], [0, 5], [3, 0], [3, 5]]);
+  });
+});
+
+describe('normalizeCustomPattern', () => {
+  test('removes duplicate cells and orders them row by row', () => {
+    expect(normalizeCustomPattern([[2, 1], [0, 3], [2, 1], [0, 0]], '5x5'))
+      .toEqual([[0, 0], [0, 3], [2, 1]]);
+  });
+
+  test('rejects cells outside the grid', () => {
+    expect(normalizeCustomPattern([[0, 0], [5, 0]], '5x5')).toBeNull();
+    expect(normalizeCustomPattern([[0, -1]], '5x5')).toBeNull();
+    expect(normalizeCustomPattern([[3, 5]], '4x6')).toEqual([[3, 5]]);
+  });
+
+  test('rejects malformed or empty patterns', () => {
+    expect(normalizeCustomPattern('0,0', '5x5')).toBeNull();
+    expect(normalizeCustomPattern([[0]], '5x5')).toBeNull();
+    expect(normalizeCustomPattern([[0.5, 1]], '5x5')).toBeNull();
+    expect(normalizeCustomPattern([], '5x5')).toBeNull();
+  });
+});
+
+describe('validatePatternSelection', () => {
+  test('accepts patterns available on the grid', () => {
+    expect(validatePatternSelection(['fourCorners', 'x'], '5x5')).toBeNull();
+  });
+
+  test('rejects square-only patterns on rectangular grids', () => {
+    expect(validatePatternSelection(['x'], '4x6')).toMatch(/not available/);
+  });
+
+  test('needs a drawn pattern before the custom pattern can be chosen', () => {
+    expect(validatePatternSelection([CUSTOM_PATTERN_ID], '5x5', [])).toMatch(/custom pattern/);
+    expect(validatePatternSelection([CUSTOM_PATTERN_ID], '5x5', [[0, 0]])).toBeNull();
+  });
+});
+
+describe('getCompletedPattern', () => {
+  const patterns = getWinningPatterns('5x5', ['fourCorners', CUSTOM_PATTERN_ID], [[1, 1], [1, 2]]);
+
+  test('finds a completed pattern', () => {
+    expect(getCompletedPattern(GRID, new Set([1, 5, 21, 25]), patterns).id).toBe('fourCorners');
+    expect(getCompletedPattern(GRID, new Set([7, 8]), patterns).id).toBe(CUSTOM_PATTERN_ID);
+  });
+
+  test('counts free spaces as covered', () => {
+    const grid = GRID.map(row => [...row]);
+    grid[0][0] = null;
+    expect(getCompletedPattern(grid, new Set([5, 21, 25]), patterns).id).toBe('fourCorners');
+  });
+
+  test('returns null until a pattern is complete', () => {
+    expect(getCompletedPattern(GRID, new Set([1, 5, 21]), patterns)).toBeNull();
+  });
+});
+
+describe('getClosestPattern', () => {
+  test('reports the pattern that needs the fewest numbers', () => {
+    const patterns = getWinningPatterns('5x5', ['fourCorners', 'blackout']);
+    expect(getClosestPattern(GRID, new Set([1, 5]), patterns)).toEqual({ remaining: 2, size: 4 });
+  });
+
+  test('returns null without patterns or a grid', () => {
+    expect(getClosestPattern(GRID, new Set(), [])).toBeNull();
+    expect(getClosestPattern(undefined, new Set(), getWinningPatterns('5x5', ['x']))).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Player profile query helpers for Bingo Buzz
+ */
+
+// Number of recent matches shown on a profile
+const RECENT_MATCH_LIMIT = 20;
+
+// Number of weekly buckets returned for the win-rate trend
+const TREND_WEEKS = 12;
+
+/**
+ * Build the aggregation pipeline for a player's per-game statistics
+ * (run against the GameResult collection)
+ * @param {string} username - The player's username
+ * @returns {Array<Object>} Mongo aggregation pipeline producing { summary, gridSizes, trend }
+ */
+function buildPlayerResultsPipeline(username) {
+  return [
+    { $match: { username } },
+    {
+      $facet: {
+        summary: [
+          {
+            $group: {
+              _id: null,
+              gamesRecorded: { $sum: 1 },
+              averageLinesCompleted: { $avg: '$linesCompleted' }
+            }
+          }
+        ],
+        gridSizes: [
+          { $match: { gridSize: { $type: 'string' } } },
+          { $group: { _id: '$gridSize', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        trend: [
+          {
+            $group: {
+              _id: { year: { $isoWeekYear: '$playedAt' }, week: { $isoWeek: '$playedAt' } },
+              weekStart: { $min: '$playedAt' },
+              gamesPlayed: { $sum: 1 },
+              gamesWon: { $sum: { $cond: ['$won', 1, 0] } }
+            }
+          },
+          { $sort: { '_id.year': -1, '_id.week': -1 } },
+          { $limit: TREND_WEEKS },
+          { $sort: { '_id.year': 1, '_id.week': 1 } }
+        ]
+      }
+    }
+  ];
+}
+
+/**
+ * Build the aggregation pipeline for the average length of a player's wins
+ * (run against the Match collection)
+ * @param {string} username - The player's username
+ * @returns {Array<Object>} Mongo aggregation pipeline producing { averageTimeToWin, wins }
+ */
+function buildTimeToWinPipeline(username) {
+  return [
+    { $match: { winner: username, duration: { $gt: 0 } } },
+    {
+      $group: {
+        _id: null,
+        averageTimeToWin: { $avg: '$duration' },
+        wins: { $sum: 1 }
+      }
+    }
+  ];
+}
+
+/**
+ * Turn weekly result buckets into a win-rate trend
+ * @param {Array<Object>} buckets - Trend facet from buildPlayerResultsPipeline
+ * @returns {Array<Object>} Points as { week, gamesPlayed, gamesWon, winPercentage }
+ */
+function formatWinRateTrend(buckets = []) {
+  return buckets.map(bucket => ({
+    week: `${bucket._id.year}-W${String(bucket._id.week).padStart(2, '0')}`,
+    weekStart: bucket.weekStart,
+    gamesPlayed: bucket.gamesPlayed,
+    gamesWon: bucket.gamesWon,
+    winPercentage: bucket.gamesPlayed > 0
+      ? Math.round((bucket.gamesWon / bucket.gamesPlayed) * 100)
+      : 0
+  }));
+}
+
+module.exports = {
+  RECENT_MATCH_LIMIT,
+  TREND_WEEKS,
+  buildPlayerResultsPipeline,
+  buildTimeToWinPipeline,
+  formatWinRateTrend
+};
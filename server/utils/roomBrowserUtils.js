@@ -0,0 +1,81 @@
+/**
+ * Public room browser and Quick Play helpers for Bingo Buzz
+ * Hosts can list their room publicly. Public lobbies that haven't started show
+ * up in the room browser, and Quick Play drops players into one with a matching grid size.
+ */
+
+// Quick Play stops filling a lobby once it has this many players
+const QUICK_PLAY_MAX_PLAYERS = 4;
+
+// A freshly created room counts as joinable for this long, even before its host
+// has connected, so players queueing at the same moment end up together
+const NEW_ROOM_GRACE_PERIOD = 30 * 1000;
+
+/**
+ * Check whether a room should appear in the public room browser
+ * @param {Object} game - The game state object
+ * @param {number} now - Reference timestamp (defaults to the current time)
+ * @returns {boolean} True if the room is a public lobby people can still join
+ */
+function isJoinableLobby(game, now = Date.now()) {
+  if (!game.isPublic || game.started || game.locked) return false;
+
+  const hasConnectedHuman = game.players.some(player => !player.isBot && player.connected !== false);
+  return hasConnectedHuman || now - game.createdAt < NEW_ROOM_GRACE_PERIOD;
+}
+
+/**
+ * Get the details of a public room shown in the room browser
+ * @param {Object} game - The game state object
+ * @returns {Object} The room listing
+ */
+function getRoomListing(game) {
+  return {
+    roomCode: game.roomCode,
+    hostUsername: game.hostUsername,
+    mode: game.mode,
+    gridSize: game.gridSize,
+    linesToWin: game.linesToWin,
+    seriesLength: game.seriesLength,
+    hasPassword: !!game.passwordHash,
+    playerCount: game.players.length,
+    createdAt: game.createdAt
+  };
+}
+
+/**
+ * List the joinable public lobbies, fullest first, then newest
+ * @param {Object} games - All rooms keyed by room code
+ * @param {Object} filters - Optional { gridSize, mode } to match
+ * @returns {Array<Object>} Room listings
+ */
+function listPublicRooms(games, { gridSize, mode } = {}) {
+  return Object.values(games)
+    .filter(game => isJoinableLobby(game))
+    .filter(game => (!gridSize || game.gridSize === gridSize) && (!mode || game.mode === mode))
+    .map(getRoomListing)
+    .sort((a, b) => b.playerCount - a.playerCount || b.createdAt - a.createdAt);
+}
+
+/**
+ * Find the lobby a Quick Play player should be dropped into
+ * @param {Object} games - All rooms keyed by room code
+ * @param {string} gridSize - The grid size the player asked for
+ * @param {string} mode - The room mode to match
+ * Password-protected rooms are never picked.
+ * @returns {Object|null} The room to join, or null if a new one is needed
+ */
+function findQuickPlayRoom(games, gridSize, mode) {
+  return Object.values(games)
+    .filter(game => isJoinableLobby(game) && !game.passwordHash && game.gridSize === gridSize && game.mode === mode)
+    .filter(game => game.players.length < QUICK_PLAY_MAX_PLAYERS)
+    .sort((a, b) => b.players.length - a.players.length || a.createdAt - b.createdAt)[0] || null;
+}
+
+module.exports = {
+  QUICK_PLAY_MAX_PLAYERS,
+  isJoinableLobby,
+  getRoomListing,
+  listPublicRooms,
+  findQuickPlayRoom
+};
@@ -0,0 +1,92 @@
+/**
+ * Multi-round series helpers for Bingo Buzz
+ * A room can play a "first to N wins" series: each game is a round, round wins
+ * are counted per player, and the first player to reach the target takes the series.
+ */
+
+// Round wins needed to take a series; 1 means every game stands on its own
+const DEFAULT_SERIES_LENGTH = 1;
+const MAX_SERIES_LENGTH = 5;
+
+/**
+ * Check whether a value is a supported series length
+ * @param {number} length - Round wins needed to take the series
+ * @returns {boolean} True if the length is supported
+ */
+function isValidSeriesLength(length) {
+  return Number.isInteger(length) && length >= 1 && length <= MAX_SERIES_LENGTH;
+}
+
+/**
+ * Check whether a room is playing a series rather than single games
+ * @param {Object} game - The game state object
+ * @returns {boolean} True if the room needs more than one round win to finish
+ */
+function isSeriesRoom(game) {
+  return (game.seriesLength || DEFAULT_SERIES_LENGTH) > 1;
+}
+
+/**
+ * Move a room's series on to its next round, starting a new series if the
+ * last one already has a champion
+ * @param {Object} game - The game state object
+ */
+function startSeriesRound(game) {
+  if (!game.series || game.series.champion) {
+    game.series = { round: 1, wins: {}, champion: null, startedAt: Date.now() };
+  } else {
+    game.series.round += 1;
+  }
+}
+
+/**
+ * Count a round win towards the series
+ * @param {Object} game - The game state object
+ * @param {string} username - The round winner
+ * @returns {string|null} The series champion if this win decides the series
+ */
+function recordRoundWin(game, username) {
+  if (!game.series) {
+    startSeriesRound(game);
+  }
+
+  const wins = (game.series.wins[username] || 0) + 1;
+  game.series.wins[username] = wins;
+
+  if (wins >= game.seriesLength) {
+    game.series.champion = username;
+  }
+  return game.series.champion;
+}
+
+/**
+ * Get the series scoreboard for everyone in the room, most round wins first
+ * @param {Object} game - The game state object
+ * @returns {Object|null} { length, round, standings: [{ username, wins }], champion }, or null outside a series
+ */
+function getSeriesStandings(game) {
+  if (!isSeriesRoom(game) || !game.series) return null;
+
+  const wins = game.series.wins;
+  const usernames = new Set([...game.players.map(player => player.username), ...Object.keys(wins)]);
+  const standings = [...usernames]
+    .map(username => ({ username, wins: wins[username] || 0 }))
+    .sort((a, b) => b.wins - a.wins);
+
+  return {
+    length: game.seriesLength,
+    round: game.series.round,
+    standings,
+    champion: game.series.champion
+  };
+}
+
+module.exports = {
+  DEFAULT_SERIES_LENGTH,
+  MAX_SERIES_LENGTH,
+  isValidSeriesLength,
+  isSeriesRoom,
+  startSeriesRound,
+  recordRoundWin,
+  getSeriesStandings
+};
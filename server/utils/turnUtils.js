@@ -0,0 +1,103 @@
+/**
+ * Turn timer helpers for Bingo Buzz
+ * In turn-based rooms the host picks how long each turn lasts (or no limit at all)
+ * and what happens when a player runs out of time: a random number from their
+ * card is marked for them, their turn is skipped, or they skip until too many
+ * timeouts in a row make them forfeit the game.
+ */
+
+// How long each turn lasts, in milliseconds
+const DEFAULT_TURN_DURATION = 15000;
+const MIN_TURN_DURATION = 5000;
+const MAX_TURN_DURATION = 60000;
+
+// A turn duration of 0 means turns never time out
+const UNLIMITED_TURN_DURATION = 0;
+
+// What happens when a player's turn times out
+const TIMEOUT_ACTIONS = {
+  AUTO_PICK: 'auto-pick',
+  SKIP: 'skip',
+  FORFEIT: 'forfeit'
+};
+const DEFAULT_TIMEOUT_ACTION = TIMEOUT_ACTIONS.AUTO_PICK;
+
+// Timeouts in a row before a player forfeits (in forfeit rooms)
+const DEFAULT_FORFEIT_AFTER = 3;
+const MIN_FORFEIT_AFTER = 1;
+const MAX_FORFEIT_AFTER = 5;
+
+/**
+ * Check whether a value is a supported turn duration
+ * @param {number} duration - Turn length in milliseconds, or 0 for unlimited
+ * @returns {boolean} True if the duration is allowed
+ */
+function isValidTurnDuration(duration) {
+  return Number.isInteger(duration) &&
+    (duration === UNLIMITED_TURN_DURATION || (duration >= MIN_TURN_DURATION && duration <= MAX_TURN_DURATION));
+}
+
+/**
+ * Check whether a value is a supported timeout action
+ * @param {string} action - The requested action
+ * @returns {boolean} True if the action is supported
+ */
+function isValidTimeoutAction(action) {
+  return Object.values(TIMEOUT_ACTIONS).includes(action);
+}
+
+/**
+ * Check whether a value is a supported number of timeouts before forfeiting
+ * @param {number} count - Timeouts in a row
+ * @returns {boolean} True if the count is allowed
+ */
+function isValidForfeitAfter(count) {
+  return Number.isInteger(count) && count >= MIN_FORFEIT_AFTER && count <= MAX_FORFEIT_AFTER;
+}
+
+/**
+ * Check whether turns in a room run against the clock
+ * @param {Object} game - The game state object
+ * @returns {boolean} True if turns time out
+ */
+function hasTurnLimit(game) {
+  return game.turnDuration !== UNLIMITED_TURN_DURATION;
+}
+
+/**
+ * Get the players still in the game (those who haven't forfeited)
+ * @param {Object} game - The game state object
+ * @returns {Array<Object>} The remaining players
+ */
+function getActivePlayers(game) {
+  return game.players.filter(player => !player.forfeited);
+}
+
+/**
+ * Count a timeout against a player and decide whether they forfeit
+ * A player is never forfeited if that would leave nobody else in the game.
+ * @param {Object} game - The game state object
+ * @param {Object} player - The player whose turn timed out (updated in place)
+ * @returns {boolean} True if the player forfeits now
+ */
+function recordTimeout(game, player) {
+  player.timeouts = (player.timeouts || 0) + 1;
+
+  return game.timeoutAction === TIMEOUT_ACTIONS.FORFEIT &&
+    player.timeouts >= game.forfeitAfter &&
+    getActivePlayers(game).length > 1;
+}
+
+module.exports = {
+  DEFAULT_TURN_DURATION,
+  UNLIMITED_TURN_DURATION,
+  TIMEOUT_ACTIONS,
+  DEFAULT_TIMEOUT_ACTION,
+  DEFAULT_FORFEIT_AFTER,
+  isValidTurnDuration,
+  isValidTimeoutAction,
+  isValidForfeitAfter,
+  hasTurnLimit,
+  getActivePlayers,
+  recordTimeout
+};
@@ -0,0 +1,104 @@
+const {
+  DEFAULT_TURN_DURATION,
+  UNLIMITED_TURN_DURATION,
+  TIMEOUT_ACTIONS,
+  DEFAULT_FORFEIT_AFTER,
+  isValidTurnDuration,
+  isValidTimeoutAction,
+  isValidForfeitAfter,
+  hasTurnLimit,
+  getActivePlayers,
+  recordTimeout
+} = require('./turnUtils');
+
+const createGame = (overrides = {}) => ({
+  turnDuration: DEFAULT_TURN_DURATION,
+  timeoutAction: TIMEOUT_ACTIONS.FORFEIT,
+  forfeitAfter: DEFAULT_FORFEIT_AFTER,
+  players: [{ username: 'alice' }, { username: 'bob' }, { username: 'carol' }],
+  ...overrides
+});
+
+describe('isValidTurnDuration', () => {
+  test('accepts unlimited turns and durations from 5 to 60 seconds', () => {
+    expect(isValidTurnDuration(UNLIMITED_TURN_DURATION)).toBe(true);
+    expect(isValidTurnDuration(5000)).toBe(true);
+    expect(isValidTurnDuration(DEFAULT_TURN_DURATION)).toBe(true);
+    expect(isValidTurnDuration(60000)).toBe(true);
+  });
+
+  test('rejects durations outside the range or that are not whole milliseconds', () => {
+    expect(isValidTurnDuration(4999)).toBe(false);
+    expect(isValidTurnDuration(60001)).toBe(false);
+    expect(isValidTurnDuration(-1)).toBe(false);
+    expect(isValidTurnDuration(15000.5)).toBe(false);
+    expect(isValidTurnDuration('15000')).toBe(false);
+    expect(isValidTurnDuration(undefined)).toBe(false);
+  });
+});
+
+describe('isValidTimeoutAction', () => {
+  test('accepts only the supported actions', () => {
+    for (const action of Object.values(TIMEOUT_ACTIONS)) {
+      expect(isValidTimeoutAction(action)).toBe(true);
+    }
+    expect(isValidTimeoutAction('nap')).toBe(false);
+    expect(isValidTimeoutAction(undefined)).toBe(false);
+  });
+});
+
+describe('isValidForfeitAfter', () => {
+  test('accepts 1 to 5 timeouts', () => {
+    expect(isValidForfeitAfter(1)).toBe(true);
+    expect(isValidForfeitAfter(5)).toBe(true);
+    expect(isValidForfeitAfter(0)).toBe(false);
+    expect(isValidForfeitAfter(6)).toBe(false);
+    expect(isValidForfeitAfter(2.5)).toBe(false);
+  });
+});
+
+describe('hasTurnLimit', () => {
+  test('is false only for unlimited rooms', () => {
+    expect(hasTurnLimit(createGame())).toBe(true);
+    expect(hasTurnLimit(createGame({ turnDuration: UNLIMITED_TURN_DURATION }))).toBe(false);
+  });
+});
+
+describe('getActivePlayers', () => {
+  test('leaves out players who forfeited', () => {
+    const game = createGame();
+    game.players[1].forfeited = true;
+    expect(getActivePlayers(game).map(player => player.username)).toEqual(['alice', 'carol']);
+  });
+});
+
+describe('recordTimeout', () => {
+  test('counts timeouts in a row against the player', () => {
+    const game = createGame({ timeoutAction: TIMEOUT_ACTIONS.SKIP });
+    const [player] = game.players;
+    recordTimeout(game, player);
+    recordTimeout(game, player);
+    expect(player.timeouts).toBe(2);
+  });
+
+  test('forfeits a player once they reach the room limit', () => {
+    const game = createGame({ forfeitAfter: 2 });
+    const [player] = game.players;
+    expect(recordTimeout(game, player)).toBe(false);
+    expect(recordTimeout(game, player)).toBe(true);
+  });
+
+  test('never forfeits players in skip or auto-pick rooms', () => {
+    for (const timeoutAction of [TIMEOUT_ACTIONS.SKIP, TIMEOUT_ACTIONS.AUTO_PICK]) {
+      const game = createGame({ timeoutAction, forfeitAfter: 1 });
+      expect(recordTimeout(game, game.players[0])).toBe(false);
+    }
+  });
+
+  test('never forfeits the last player still in the game', () => {
+    const game = createGame({ forfeitAfter: 1 });
+    game.players[1].forfeited = true;
+    game.players[2].forfeited = true;
+    expect(recordTimeout(game, game.players[0])).toBe(false);
+  });
+});